@@ -0,0 +1,525 @@
+// === Card client: contracts + IPFS without the DOM (Chg A33) ===
+// Everything needed to talk to CardRegistry, Marketplace, GraderContract and the
+// IPFS API, with no document/window access. The browser loads this file before
+// index.js and hands it its own sendTx so writes still show in the transaction
+// tray; cli.js requires it under Node and lets it sign with a node account.
+//
+//   const client = createCardClient({ web3, contracts: { registry: { address, abi }, ... },
+//       ipfsApiUrl, ipfsGateways, from });
+//   await client.connect();
+//   const { tokenId } = await client.createCard({ name, price, image, details });
+
+// trait_type order used in card metadata (the Create Card form and bulk manifests use the same)
+const CARD_TRAIT_TYPES = ['Set', 'Card Number', 'Rarity', 'Edition', 'Language']; // Chg A33
+
+const IPFS_PIN_CHECK_TIMEOUT_MS = 10000; // pin/ls only reads the local pin set - Chg A34
+const IPFS_PIN_ADD_TIMEOUT_MS = 120000; // pin/add may have to fetch the content from the network - Chg A34
+
+// POST /api/v0/<command>?<params> and return the last JSON line of the reply.
+// The API answers errors with HTTP 500 and { Message }, which becomes the thrown message.
+async function ipfsApiCall(apiUrl, command, params = {}, timeoutMs = 0) { // Chg A34
+    const url = String(apiUrl).replace(/\/+$/, '') + '/api/v0/' + command + '?' + new URLSearchParams(params);
+    const res = await fetch(url, { method: 'POST', signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined });
+    const text = await res.text();
+    let reply = null;
+    try {
+        const lines = text.trim().split('\n');
+        reply = JSON.parse(lines[lines.length - 1]);
+    } catch (e) {
+        reply = null;
+    }
+    if (!res.ok) {
+        const error = new Error('IPFS ' + command + ' failed: ' + ((reply && reply.Message) || 'HTTP ' + res.status));
+        error.ipfsMessage = reply && reply.Message;
+        throw error;
+    }
+    return reply;
+}
+
+// Is the CID in the node's recursive pin set?
+async function ipfsIsPinned(apiUrl, cid) { // Chg A34
+    try {
+        const reply = await ipfsApiCall(apiUrl, 'pin/ls', { arg: cid, type: 'recursive' }, IPFS_PIN_CHECK_TIMEOUT_MS);
+        return Boolean(reply && reply.Keys && Object.keys(reply.Keys).length > 0);
+    } catch (error) {
+        if (/not pinned/i.test(error.ipfsMessage || '')) return false;
+        throw error;
+    }
+}
+
+async function ipfsPin(apiUrl, cid) { // Chg A34
+    await ipfsApiCall(apiUrl, 'pin/add', { arg: cid }, IPFS_PIN_ADD_TIMEOUT_MS);
+    return ipfsIsPinned(apiUrl, cid);
+}
+
+// multipart POST to /api/v0/add; XMLHttpRequest when the caller wants upload progress
+// (fetch has no upload progress events), fetch otherwise (Node)
+function ipfsPostFile(url, formData, onProgress) { // Chg A34
+    if (!onProgress || typeof XMLHttpRequest === 'undefined') {
+        return fetch(url, { method: 'POST', body: formData })
+            .then(async res => ({ ok: res.ok, status: res.status, text: await res.text() }));
+    }
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        xhr.upload.addEventListener('progress', event => {
+            if (event.lengthComputable) onProgress(event.loaded, event.total);
+        });
+        xhr.addEventListener('load', () => resolve({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, text: xhr.responseText }));
+        xhr.addEventListener('error', () => reject(new Error('IPFS API unreachable at ' + url)));
+        xhr.send(formData);
+    });
+}
+
+// Upload bytes (File/Blob in the browser, Buffer/string under Node) to an IPFS API
+// node and return the CID once pin/ls confirms the node pinned it.
+// Was uploadFileToIPFS in index.js - Chg A6. onProgress(loaded, total), pin check - Chg A34
+async function ipfsAdd(apiUrl, data, fileName, { onProgress } = {}) { // Chg A33
+    // IMPORTANT: must be the IPFS API (port 5001), NOT the gateway or a static server
+    const base = String(apiUrl).replace(/\/+$/, '');
+
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const formData = new FormData();
+    formData.append('file', blob, fileName || data.name || 'file');
+
+    const res = await ipfsPostFile(base + '/api/v0/add?pin=true', formData, onProgress);
+    if (!res.ok) {
+        throw new Error('IPFS upload failed with status ' + res.status);
+    }
+
+    // One JSON line per added object; the last one is the file itself
+    const lines = res.text.trim().split('\n');
+    const added = JSON.parse(lines[lines.length - 1]);
+    if (!added.Hash) throw new Error('IPFS upload returned no CID');
+
+    // A node can accept the add and still not pin it (e.g. a proxy that drops pin=true)
+    if (!(await ipfsIsPinned(base, added.Hash)) && !(await ipfsPin(base, added.Hash))) {
+        throw new Error('IPFS node stored ' + added.Hash + ' but did not pin it');
+    }
+    return added.Hash;
+}
+
+// CID or ipfs:// URI → "/ipfs/<cid>/<path>" with each segment encoded, so a crafted
+// value can't add a query or climb out of /ipfs/ (Chg A31); http(s) URLs pass through
+function ipfsGatewayPath(ref) { // Chg A34 (was inline in cidToImageUrl - Chg A17)
+    const value = String(ref || '').trim();
+    if (!value) return '';
+    if (/^https?:\/\//i.test(value)) return value;
+    const path = value.replace(/^ipfs:\/\//i, '').replace(/^\/?ipfs\//i, '').split('/')
+        .filter(segment => segment !== '' && segment !== '.' && segment !== '..')
+        .map(encodeURIComponent)
+        .join('/');
+    return path ? '/ipfs/' + path : '';
+}
+
+// Root CID of a CID / ipfs:// URI ("Qm.../image.png" → "Qm..."); '' for http(s) URLs and junk
+function ipfsCidRoot(ref) { // Chg A34
+    const path = ipfsGatewayPath(ref);
+    return path.startsWith('/ipfs/') ? decodeURIComponent(path.split('/')[2]) : '';
+}
+
+// The same content on every gateway, in order of preference
+function ipfsGatewayUrls(gateways, ref) { // Chg A34
+    const path = ipfsGatewayPath(ref);
+    if (!path) return [];
+    if (!path.startsWith('/')) return [path];
+    return gateways.map(gateway => String(gateway).replace(/\/+$/, '') + path);
+}
+
+// First gateway that answers with 2xx wins; throws the last failure if none does
+async function fetchFromGateways(gateways, ref, init = {}) { // Chg A34
+    const urls = ipfsGatewayUrls(gateways, ref);
+    if (urls.length === 0) throw new Error('No IPFS gateway configured');
+    let lastError = null;
+    for (const url of urls) {
+        try {
+            const res = await fetch(url, init);
+            if (res.ok) return { res, url };
+            lastError = new Error('IPFS gateway returned ' + res.status + ' for ' + url);
+        } catch (error) {
+            lastError = new Error('IPFS gateway unreachable: ' + url + ' (' + error.message + ')');
+        }
+    }
+    throw lastError;
+}
+
+// ERC-721 metadata JSON for a new card.
+// details: { [trait_type]: value, conditionNotes } - Chg A18, A30
+function cardMetadataFor(name, imageCID, details = {}) { // Chg A33 (body was buildCardMetadata)
+    const attributes = CARD_TRAIT_TYPES
+        .map(traitType => ({ trait_type: traitType, value: String(details[traitType] || '').trim() }))
+        .filter(attr => attr.value !== '');
+
+    const set = String(details.Set || '').trim();
+    const number = String(details['Card Number'] || '').trim();
+    const conditionNotes = String(details.conditionNotes || '').trim();
+
+    const metadata = {
+        name,
+        description: 'Pokémon card' + (set ? ' from ' + set : '') + (number ? ' #' + number : '') +
+            ', tracked on the Pokemon Card Provenance Tracker.',
+        image: 'ipfs://' + imageCID,
+        attributes
+    };
+    if (conditionNotes) metadata.condition_notes = conditionNotes;
+    return metadata;
+}
+
+// Flatten a web3 event into a plain, JSON/IndexedDB-friendly record - Chg A13
+function flattenContractEvent(ev, source, timestamp) { // Chg A33 (was toIndexedEvent)
+    const values = {};
+    Object.keys(ev.returnValues || {}).forEach(key => {
+        if (isNaN(key)) values[key] = ev.returnValues[key]; // drop positional duplicates
+    });
+
+    return {
+        id: ev.transactionHash + ':' + ev.logIndex,
+        // Ownable's OwnershipTransferred has no tokenId; null keeps it out of the tokenId index
+        tokenId: values.tokenId !== undefined ? Number(values.tokenId) : null,
+        event: ev.event,
+        source,
+        blockNumber: ev.blockNumber,
+        logIndex: ev.logIndex,
+        transactionHash: ev.transactionHash,
+        timestamp,
+        values
+    };
+}
+
+// options:
+//   web3            connected Web3 instance
+//   contracts       { registry, marketplace, grader }: { address, abi } each (any may be left out)
+//   ipfsApiUrl      IPFS API base URL, e.g. http://127.0.0.1:5001
+//   ipfsGateways    IPFS gateway base URLs in order of preference, e.g. ['http://127.0.0.1:8080'] (Chg A34)
+//   from            sender address; defaults to the node's first account on connect()
+//   send            optional (method, { label, key, value }) => receipt; defaults to a plain send
+// from, ipfsApiUrl and ipfsGateways may also be functions, read on every use
+// (the UI passes its current account and active profile this way)
+function createCardClient({ web3, contracts = {}, ipfsApiUrl, ipfsGateways = [], from = null, send = null }) { // Chg A33
+    const contract = entry => (entry && entry.address && entry.abi ? new web3.eth.Contract(entry.abi, entry.address) : null);
+    const settings = { from, ipfsApiUrl, ipfsGateways };
+    const setting = key => (typeof settings[key] === 'function' ? settings[key]() : settings[key]);
+    const blockTimestamps = new Map();
+
+    const client = {
+        web3,
+        registry: contract(contracts.registry),
+        marketplace: contract(contracts.marketplace),
+        grader: contract(contracts.grader),
+        chainId: null,
+        owner: null
+    };
+
+    client.account = () => setting('from');
+
+    function need(name) {
+        if (!client[name]) throw new Error('No ' + name + ' contract configured');
+        return client[name];
+    }
+
+    // Default writer: estimate, add 50% headroom, send from the configured account
+    async function defaultSend(method, { value } = {}) {
+        const options = { from: client.account() };
+        if (!options.from) throw new Error('No sender account configured');
+        if (value !== undefined) options.value = value;
+        const gasEstimate = await method.estimateGas(options);
+        return method.send({ ...options, gas: Math.floor(gasEstimate * 1.5) });
+    }
+
+    client.send = (method, meta = {}) => (send || defaultSend)(method, meta);
+
+    const eth = wei => web3.utils.fromWei(String(wei), 'ether') + ' ETH';
+
+    // --- connection ---
+
+    // Chain ID, default account (first node account) and the registry owner
+    client.connect = async () => {
+        client.chainId = Number(await web3.eth.getChainId());
+        if (settings.from === null) {
+            const accounts = await web3.eth.getAccounts();
+            if (accounts.length > 0) settings.from = accounts[0];
+        }
+        client.owner = client.registry ? await client.registry.methods.owner().call() : null;
+        return { chainId: client.chainId, account: client.account(), owner: client.owner };
+    };
+
+    client.isGrader = address => need('grader').methods.authorizedGraders(address || client.account()).call();
+
+    // --- IPFS ---
+
+    client.uploadFile = (data, fileName, options) => ipfsAdd(setting('ipfsApiUrl'), data, fileName, options);
+
+    client.uploadJSON = (value, fileName) =>
+        ipfsAdd(setting('ipfsApiUrl'), JSON.stringify(value, null, 2), fileName || 'metadata.json');
+
+    // JSON from the first gateway that has it, or null when the CID is not JSON (legacy image-only cards)
+    client.fetchJSON = async cid => {
+        const { res } = await fetchFromGateways(setting('ipfsGateways'), cid); // Chg A34
+        try {
+            return JSON.parse(await res.text());
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // --- reads ---
+
+    client.getCard = async tokenId => {
+        const registry = need('registry');
+        const [card, owner] = await Promise.all([
+            registry.methods.getCard(tokenId).call(),
+            registry.methods.ownerOf(tokenId).call()
+        ]);
+        const listed = client.marketplace ? await client.marketplace.methods.listed(tokenId).call() : false;
+        return {
+            tokenId: Number(tokenId),
+            name: card.name,
+            metadataCID: card.metadataCID,
+            grade: card.grade,
+            graded: card.graded,
+            price: String(card.price),
+            createdAt: Number(card.createdAt),
+            owner,
+            isListed: listed
+        };
+    };
+
+    client.totalMinted = async () => Number(await need('registry').methods.totalMinted().call());
+
+    client.isMarketApproved = owner => need('registry').methods
+        .isApprovedForAll(owner || client.account(), need('marketplace').options.address)
+        .call();
+
+    // Every event of the three contracts in a block range (optionally for one token), in chain order
+    client.getEvents = async ({ fromBlock = 0, toBlock = 'latest', tokenId = null } = {}) => {
+        const range = { fromBlock, toBlock };
+        const sources = [['registry', client.registry], ['market', client.marketplace], ['grader', client.grader]]
+            .filter(([, c]) => c);
+        const batches = await Promise.all(sources.map(([, c]) => c.getPastEvents('allEvents', range)));
+
+        const events = [];
+        for (const [i, batch] of batches.entries()) {
+            for (const ev of batch) {
+                const record = flattenContractEvent(ev, sources[i][0], await client.getBlockTimestamp(ev.blockNumber));
+                if (tokenId === null || record.tokenId === Number(tokenId)) events.push(record);
+            }
+        }
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    };
+
+    client.getBlockTimestamp = async blockNumber => {
+        if (!blockTimestamps.has(blockNumber)) {
+            const block = await web3.eth.getBlock(blockNumber);
+            blockTimestamps.set(blockNumber, String(block.timestamp));
+        }
+        return blockTimestamps.get(blockNumber);
+    };
+
+    // Current card, its on-chain hash and every event that mentions it
+    client.history = async tokenId => {
+        const [card, cardHash, events] = await Promise.all([
+            client.getCard(tokenId),
+            need('registry').methods.getCardHash(tokenId).call(),
+            client.getEvents({ tokenId })
+        ]);
+        return {
+            tokenId: Number(tokenId),
+            chainId: client.chainId,
+            registry: client.registry.options.address,
+            cardHash,
+            card,
+            exportedAt: new Date().toISOString(),
+            events
+        };
+    };
+
+    // --- cards ---
+
+    // createCard() on the registry; returns the new token id
+    client.mintCard = async ({ to, name, metadataCID, price, label = 'Create card "' + name + '"' }) => {
+        const receipt = await client.send(
+            need('registry').methods.createCard(to || client.account(), name, metadataCID, String(price)),
+            { label, key: 'create:' + metadataCID });
+        return { tokenId: Number(receipt.events.CardCreated.returnValues.tokenId), receipt };
+    };
+
+    // Image → metadata JSON → mint → (auto-list). image is uploaded unless imageCID is given.
+    // onProgress(message) reports each step.
+    client.createCard = async ({ to, name, price, image, imageFileName, imageCID, details = {}, autoList = true, onProgress = () => {} }) => {
+        if (!name) throw new Error('Card name is required');
+        if (!imageCID) {
+            if (!image) throw new Error('No image: every card needs one');
+            onProgress('Uploading image to IPFS...');
+            imageCID = await client.uploadFile(image, imageFileName);
+            onProgress('Image uploaded to IPFS. CID: ' + imageCID);
+        }
+
+        onProgress('Uploading card metadata to IPFS...');
+        const metadataCID = await client.uploadJSON(cardMetadataFor(name, imageCID, details), 'metadata.json');
+        onProgress('Metadata uploaded to IPFS. CID: ' + metadataCID);
+
+        const { tokenId } = await client.mintCard({ to, name, metadataCID, price });
+        onProgress('Card created. Token ID: ' + tokenId);
+
+        if (autoList) await client.autoList(tokenId);
+        return { tokenId, imageCID, metadataCID };
+    };
+
+    client.setPrice = (tokenId, price) => client.send(need('registry').methods.setPrice(tokenId, String(price)),
+        { label: `Set price of #${tokenId} to ${eth(price)}`, key: 'price:' + tokenId });
+
+    client.transfer = (tokenId, to) => client.send(
+        // safeTransferFrom is overloaded (with/without data), so pick the 3-arg form
+        need('registry').methods['safeTransferFrom(address,address,uint256)'](client.account(), to, tokenId),
+        { label: `Transfer #${tokenId} to ${to.substring(0, 10)}...`, key: 'transfer:' + tokenId });
+
+    // --- marketplace ---
+
+    client.autoList = tokenId => client.send(need('marketplace').methods.autoList(tokenId), { label: 'List card #' + tokenId });
+
+    client.list = tokenId => client.send(need('marketplace').methods.list(tokenId), { label: 'List card #' + tokenId });
+
+    client.unlist = tokenId => client.send(need('marketplace').methods.unlist(tokenId), { label: 'Unlist card #' + tokenId });
+
+    client.setMarketApproval = approved => client.send(
+        need('registry').methods.setApprovalForAll(need('marketplace').options.address, approved),
+        { label: approved ? 'Approve marketplace' : 'Revoke marketplace approval', key: 'approval' });
+
+    // Buy at the on-chain price, pinned to the current metadata CID. With expectedHash the
+    // purchase uses buyWithHashVerification and reverts if name/metadata/grade changed - Chg A22
+    client.buy = async (tokenId, { price, metadataCID, expectedHash, name } = {}) => {
+        const marketplaceContract = need('marketplace');
+        if (price === undefined || metadataCID === undefined || name === undefined) {
+            const card = await client.getCard(tokenId);
+            if (price === undefined) price = card.price;
+            if (metadataCID === undefined) metadataCID = card.metadataCID;
+            if (name === undefined) name = card.name;
+        }
+        const method = expectedHash
+            ? marketplaceContract.methods.buyWithHashVerification(tokenId, metadataCID, expectedHash)
+            : marketplaceContract.methods.buy(tokenId, metadataCID);
+        return client.send(method, { label: `Buy "${name}" (#${tokenId})`, key: 'buy:' + tokenId, value: String(price) });
+    };
+
+    // --- royalties (EIP-2981) - Chg A36 ---
+
+    // What a sale at this price would pay the creator, given the card's current owner
+    // (nothing when the owner is the royalty receiver). amount is a wei string.
+    client.royaltyFor = async (tokenId, price) => {
+        const result = await need('marketplace').methods.calculateRoyalty(tokenId, String(price)).call();
+        return { receiver: result.receiver, amount: String(result.royalty) };
+    };
+
+    // Royalties as { receiver, bps }; royaltyInfo on a 10000 wei sale returns the basis points
+    client.defaultRoyalty = async () => {
+        const result = await need('registry').methods.defaultRoyaltyInfo().call();
+        return { receiver: result.receiver, bps: Number(result.feeBps) };
+    };
+
+    client.tokenRoyalty = async tokenId => {
+        const result = await need('registry').methods.royaltyInfo(tokenId, 10000).call(); // unnamed outputs
+        return { receiver: result[0], bps: Number(result[1]) };
+    };
+
+    client.setDefaultRoyalty = (receiver, bps) => client.send(
+        need('registry').methods.setDefaultRoyalty(receiver, String(bps)),
+        { label: `Set default royalty to ${bps / 100}%`, key: 'default-royalty' });
+
+    client.setTokenRoyalty = (tokenId, receiver, bps) => client.send(
+        need('registry').methods.setTokenRoyalty(tokenId, receiver, String(bps)),
+        { label: `Set royalty of #${tokenId} to ${bps / 100}%`, key: 'token-royalty:' + tokenId });
+
+    client.resetTokenRoyalty = tokenId => client.send(
+        need('registry').methods.resetTokenRoyalty(tokenId),
+        { label: `Reset royalty of #${tokenId} to the default`, key: 'token-royalty:' + tokenId });
+
+    // --- grading ---
+
+    client.enqueue = async tokenId => {
+        const fee = await need('grader').methods.gradingFee().call();
+        return client.send(client.grader.methods.enqueueForGrading(tokenId), { label: 'Request grading for #' + tokenId, value: fee });
+    };
+
+    client.getQueue = async () => (await need('grader').methods.getPendingQueue().call()).map(Number);
+
+    // Head of the queue that still needs grading. Cards graded out of order stay in the
+    // on-chain queue, so completed heads are popped first - Chg A20
+    client.nextToGrade = async () => {
+        const grader = need('grader');
+        let result = await grader.methods.peek().call();
+        while (result.exists && (await grader.methods.gradingRequests(result.tokenId).call()).completed) {
+            await client.send(grader.methods.popNext(), { label: 'Skip graded card #' + result.tokenId });
+            result = await grader.methods.peek().call();
+        }
+        return result.exists ? Number(result.tokenId) : null;
+    };
+
+    // Original metadata + "grading_certificate" section, uploaded to IPFS, then grade() on-chain - Chg A19.
+    // metadata: the card's current metadata JSON if the caller already has it (fetched otherwise;
+    // image-only legacy cards get a minimal one).
+    client.grade = async (tokenId, { grade, subGrades = {}, notes = '', photoCIDs = [], metadata } = {}) => {
+        const card = await need('registry').methods.getCard(tokenId).call();
+        const originalCID = card.metadataCID;
+
+        let base = metadata;
+        if (base === undefined) {
+            base = await client.fetchJSON(originalCID).catch(() => null);
+        }
+        if (!base || typeof base !== 'object') {
+            base = { name: card.name, image: 'ipfs://' + originalCID, attributes: [] };
+        }
+
+        const certificate = {
+            ...base,
+            attributes: (Array.isArray(base.attributes) ? base.attributes : [])
+                .filter(attr => attr.trait_type !== 'Grade')
+                .concat([{ trait_type: 'Grade', value: String(grade) }]),
+            original_metadata: 'ipfs://' + originalCID,
+            grading_certificate: {
+                token_id: Number(tokenId),
+                registry: client.registry.options.address,
+                chain_id: client.chainId,
+                grade: String(grade),
+                sub_grades: subGrades,
+                notes,
+                inspection_photos: photoCIDs.map(cid => 'ipfs://' + cid),
+                grader: client.account(),
+                graded_at: new Date().toISOString()
+            }
+        };
+
+        const certificateCID = await client.uploadJSON(certificate, 'grading-certificate.json');
+        const receipt = await client.send(need('grader').methods.grade(tokenId, String(grade), certificateCID),
+            { label: `Grade #${tokenId} as ${grade}`, key: 'grade:' + tokenId });
+        return { certificateCID, receipt };
+    };
+
+    client.isPinned = cid => ipfsIsPinned(setting('ipfsApiUrl'), cid); // Chg A34
+
+    client.pin = cid => ipfsPin(setting('ipfsApiUrl'), cid); // Chg A34
+
+    // Every IPFS object a card depends on: its metadata JSON, the image, and for graded
+    // cards the original metadata and inspection photos. Referenced objects are found
+    // through the gateways, so a metadata CID nobody serves any more only lists itself.
+    client.cardCids = async card => { // Chg A34
+        const refs = [{ role: 'metadata', cid: ipfsCidRoot(card.metadataCID) }];
+        const metadata = await client.fetchJSON(card.metadataCID).catch(() => null);
+        if (metadata && typeof metadata === 'object') {
+            refs.push({ role: 'image', cid: ipfsCidRoot(metadata.image) });
+            refs.push({ role: 'original metadata', cid: ipfsCidRoot(metadata.original_metadata) });
+            const cert = metadata.grading_certificate;
+            (cert && Array.isArray(cert.inspection_photos) ? cert.inspection_photos : [])
+                .forEach(uri => refs.push({ role: 'inspection photo', cid: ipfsCidRoot(uri) }));
+        }
+        return refs.filter(ref => ref.cid);
+    };
+
+    return client;
+}
+
+if (typeof module !== 'undefined' && module.exports) { // Node (cli.js) - Chg A33
+    module.exports = {
+        createCardClient, ipfsAdd, ipfsIsPinned, ipfsPin, ipfsGatewayPath, ipfsGatewayUrls, ipfsCidRoot, fetchFromGateways,
+        cardMetadataFor, flattenContractEvent, CARD_TRAIT_TYPES
+    };
+}
@@ -8,14 +8,20 @@ pragma solidity ^0.8.20;
   - Immutable grade once set by authorized grader
   - Full ownership history tracking for provenance
   - Automatic marketplace listing on creation
+  - EIP-2981 creator royalties (default + per-token override, capped) for resales
 */
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
-contract CardRegistry is ERC721, Ownable {
+contract CardRegistry is ERC721, ERC2981, Ownable {
     uint256 private _tokenIdCounter;
 
+    // Royalties in basis points of the sale price (ERC2981 denominator is 10000)
+    uint96 public constant MAX_ROYALTY_BPS = 1000; // 10%, same cap as the marketplace fee
+    uint96 public constant DEFAULT_ROYALTY_BPS = 500; // 5% to the deployer until changed
+
     // Card data structure
     struct CardData {
         string name;
@@ -31,7 +37,7 @@ contract CardRegistry is ERC721, Ownable {
     struct OwnershipRecord {
         address owner;
         uint64 timestamp;
-        uint256 price;  // Price at time of transfer (0 for minting)
+        uint256 price;  // Price paid through the marketplace (0 for minting and plain transfers)
     }
 
     // Storage
@@ -39,6 +45,7 @@ contract CardRegistry is ERC721, Ownable {
     mapping(uint256 => OwnershipRecord[]) private _ownershipHistory;
     mapping(address => bool) public registeredGraderContracts;
     address public marketplace;
+    mapping(uint256 => uint256) private _pendingSalePrice; // set by the marketplace right before a sale transfer
 
     // Events
     event CardCreated(
@@ -61,11 +68,17 @@ contract CardRegistry is ERC721, Ownable {
         address indexed to,
         uint256 price
     );
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 feeBps);
+    /// @dev receiver == address(0) means the token is back on the default royalty
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 feeBps);
 
     constructor(string memory name_, string memory symbol_) 
         ERC721(name_, symbol_) 
         Ownable(msg.sender) 
-    {}
+    {
+        _setDefaultRoyalty(msg.sender, DEFAULT_ROYALTY_BPS);
+        emit DefaultRoyaltyUpdated(msg.sender, DEFAULT_ROYALTY_BPS);
+    }
 
     // -------------------------
     // Marketplace Integration
@@ -77,6 +90,14 @@ contract CardRegistry is ERC721, Ownable {
         marketplace = marketplaceAddress;
     }
 
+    /// @notice Marketplace reports what the buyer paid, right before it transfers the card
+    /// @dev Consumed by the next transfer of the token, which records it in the ownership history
+    function recordSale(uint256 tokenId, uint256 salePrice) external {
+        require(msg.sender == marketplace, "Only marketplace");
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        _pendingSalePrice[tokenId] = salePrice;
+    }
+
     // -------------------------
     // Card Creation (Minting)
     // -------------------------
@@ -142,6 +163,39 @@ contract CardRegistry is ERC721, Ownable {
         emit PriceUpdated(tokenId, oldPrice, newPrice);
     }
 
+    // -------------------------
+    // Royalties (EIP-2981)
+    // -------------------------
+    /// @notice Royalty for every card without its own override (0 bps turns royalties off)
+    function setDefaultRoyalty(address receiver, uint96 feeBps) external onlyOwner {
+        require(receiver != address(0), "Invalid recipient");
+        require(feeBps <= MAX_ROYALTY_BPS, "Royalty too high (max 10%)");
+        _setDefaultRoyalty(receiver, feeBps);
+        emit DefaultRoyaltyUpdated(receiver, feeBps);
+    }
+
+    /// @notice Per-card royalty that overrides the default
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeBps) external onlyOwner {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        require(receiver != address(0), "Invalid recipient");
+        require(feeBps <= MAX_ROYALTY_BPS, "Royalty too high (max 10%)");
+        _setTokenRoyalty(tokenId, receiver, feeBps);
+        emit TokenRoyaltyUpdated(tokenId, receiver, feeBps);
+    }
+
+    /// @notice Drop a card's override so the default royalty applies again
+    function resetTokenRoyalty(uint256 tokenId) external onlyOwner {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltyUpdated(tokenId, address(0), 0);
+    }
+
+    /// @notice Current default royalty as (receiver, basis points)
+    /// @dev Token 0 is never minted, so royaltyInfo() falls through to the default
+    function defaultRoyaltyInfo() external view returns (address receiver, uint256 feeBps) {
+        return royaltyInfo(0, 10000);
+    }
+
     // -------------------------
     // Grading System
     // -------------------------
@@ -203,14 +257,18 @@ contract CardRegistry is ERC721, Ownable {
         
         // Record ownership transfer (skip on mint since we handle that in createCard)
         if (from != address(0) && to != address(0)) {
+            // Amount actually paid (offers and auctions rarely match the asking price); 0 when not a sale
+            uint256 salePrice = _pendingSalePrice[tokenId];
+            delete _pendingSalePrice[tokenId];
+
             _cards[tokenId].ownershipHistoryCount++;
             _ownershipHistory[tokenId].push(OwnershipRecord({
                 owner: to,
                 timestamp: uint64(block.timestamp),
-                price: _cards[tokenId].price  // Current listed price
+                price: salePrice
             }));
             
-            emit OwnershipTransferred(tokenId, from, to, _cards[tokenId].price);
+            emit OwnershipTransferred(tokenId, from, to, salePrice);
         }
         
         return super._update(to, tokenId, auth);
@@ -291,6 +349,11 @@ contract CardRegistry is ERC721, Ownable {
         ));
     }
 
+    /// @notice ERC-165: ERC-721 plus ERC-2981 royalties
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
     // -------------------------
     // Token URI (ERC721 Metadata)
     // -------------------------
@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+// === Command-line client (Chg A33) ===
+// Owner, grader and collector operations plus JSON history export from a terminal,
+// on top of cardClient.js (the same code the browser UI uses). Signs with the node's
+// unlocked accounts, so it is meant for Ganache or another dev node, with any server
+// that speaks the IPFS /api/v0/add API (a Kubo node or a stand-in).
+//
+//   node cli.js --deployment deployment.json info
+//   node cli.js --deployment deployment.json --from 1 grade-next 9.5 --notes "Sharp corners"
+//
+// Needs Node 18+ (fetch, FormData, Blob) and web3 1.x: npm install web3@1.10.0
+
+const fs = require('fs');
+const path = require('path');
+const Web3 = require('web3');
+const { createCardClient } = require('./cardClient.js');
+
+const USAGE = `Usage: node cli.js [options] <command> [args]
+
+Options:
+  --rpc <url>             JSON-RPC URL (default http://127.0.0.1:8545)
+  --deployment <file>     deployment manifest (default ./deployment.json):
+                          { "chainId": 1337, "contracts": { "CardRegistry": { "address", "abi" },
+                            "Marketplace": {...}, "GraderContract": {...} } }
+  --from <address|index>  sending account, or an index into the node's accounts (default 0)
+  --ipfs-api <url>        IPFS API URL (default http://127.0.0.1:5001)
+  --ipfs-gateway <url>    IPFS gateway URL (default http://127.0.0.1:8080); repeat for fallback
+                          gateways, tried in the order given
+  --out <file>            write JSON output to a file instead of stdout
+
+Read:
+  info                                  chain, accounts, owners, fees, queue length
+  card <tokenId>                        one card as JSON
+  queue                                 pending grading queue
+  history <tokenId>                     card + every event for it, as JSON
+  export-history                        history of every minted card, as JSON
+  royalty <tokenId>                     the card's EIP-2981 royalty and what a sale at its price pays
+  pin-health [--repin]                  IPFS objects of every card the API node has not pinned;
+                                        --repin pins them again
+
+Cards and market:
+  create <name> <priceEth> <imageFile>  upload image + metadata, mint and auto-list
+      [--set S] [--number N] [--rarity R] [--edition E] [--language L] [--notes T] [--no-list]
+  set-price <tokenId> <priceEth>
+  list <tokenId>
+  unlist <tokenId>
+  approve-market [--revoke]             setApprovalForAll(marketplace) for --from
+  buy <tokenId>                         buy at the listed price, pinned to the current card hash
+  transfer <tokenId> <to>
+  enqueue <tokenId>                     request grading (pays the grading fee)
+
+Grader:
+  grade <tokenId> <grade>               upload a grading certificate and record the grade
+      [--sub centering=9,corners=9.5,edges=9,surface=10] [--notes T] [--photo file]...
+  grade-next <grade> [same options]     grade the head of the queue
+
+Owner:
+  set-grader <address> [--revoke]
+  set-grading-fee <eth>
+  withdraw-grading-fees <to>
+  set-platform-fee <bps>
+  set-fee-recipient <address>
+  pause | unpause
+  register-grader-contract <address> [--revoke]
+  set-royalty <bps> [receiver]          default royalty, max 1000 bps (receiver defaults to --from)
+  set-token-royalty <tokenId> <bps> <receiver>
+  reset-token-royalty <tokenId>         back to the default royalty
+`;
+
+const FLAG_OPTIONS = new Set(['no-list', 'revoke', 'repin', 'help']);
+const REPEATED_OPTIONS = new Set(['photo', 'ipfs-gateway']);
+const CONTRACT_NAMES = { registry: 'CardRegistry', marketplace: 'Marketplace', grader: 'GraderContract' };
+const ATTRIBUTE_OPTIONS = { set: 'Set', number: 'Card Number', rarity: 'Rarity', edition: 'Edition', language: 'Language' };
+const SUB_GRADE_KEYS = ['centering', 'corners', 'edges', 'surface'];
+
+// "--key value", "--key=value", boolean flags and repeatable options; the rest are positional
+function parseArgs(argv) {
+    const options = { photo: [], 'ipfs-gateway': [] };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        let [key, value] = arg.slice(2).split(/=(.*)/s);
+        if (FLAG_OPTIONS.has(key)) {
+            options[key] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) throw new Error(`--${key} needs a value`);
+        }
+        if (REPEATED_OPTIONS.has(key)) options[key].push(value);
+        else options[key] = value;
+    }
+    return { options, positional };
+}
+
+function loadDeployment(file) {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const contracts = {};
+    Object.keys(CONTRACT_NAMES).forEach(role => {
+        const entry = manifest.contracts && manifest.contracts[CONTRACT_NAMES[role]];
+        if (!entry || !entry.address || !Array.isArray(entry.abi)) {
+            throw new Error(`${file}: contracts.${CONTRACT_NAMES[role]} needs an address and an abi`);
+        }
+        contracts[role] = entry;
+    });
+    return { chainId: manifest.chainId, contracts };
+}
+
+// Same rule as the grading form: 1 to 10 in half points
+function isValidGrade(value) {
+    const n = Number(value);
+    return value !== '' && Number.isFinite(n) && n >= 1 && n <= 10 && Number.isInteger(n * 2);
+}
+
+function parseSubGrades(text) {
+    const subGrades = {};
+    (text || '').split(',').filter(Boolean).forEach(pair => {
+        const [key, value] = pair.split('=').map(s => s.trim());
+        if (!SUB_GRADE_KEYS.includes(key)) throw new Error(`Unknown sub-grade "${key}" (use ${SUB_GRADE_KEYS.join(', ')})`);
+        if (!isValidGrade(value)) throw new Error(`Sub-grade ${key} must be between 1 and 10 in half points`);
+        subGrades[key] = Number(value);
+    });
+    return subGrades;
+}
+
+function requireArgs(positional, count, usage) {
+    if (positional.length < count) throw new Error('Usage: node cli.js ' + usage);
+    return positional.slice(0, count);
+}
+
+function requireAddress(web3, value) {
+    if (!web3.utils.isAddress(value)) throw new Error('Invalid address: ' + value);
+    return web3.utils.toChecksumAddress(value);
+}
+
+// Same cap as CardRegistry.MAX_ROYALTY_BPS, so a bad value fails before gas estimation
+function requireRoyaltyBps(value) {
+    const bps = Number(value);
+    if (!Number.isInteger(bps) || bps < 0 || bps > 1000) throw new Error('Royalty must be 0 to 1000 basis points');
+    return bps;
+}
+
+function output(value, options) {
+    const text = JSON.stringify(value, null, 2);
+    if (options.out) {
+        fs.writeFileSync(options.out, text + '\n');
+        console.error('Wrote ' + options.out);
+    } else {
+        console.log(text);
+    }
+}
+
+function printReceipt(message, receipt) {
+    console.log(`${message} (tx ${receipt.transactionHash}, block ${receipt.blockNumber}, gas ${receipt.gasUsed})`);
+}
+
+async function gradeCard(client, tokenId, grade, options) {
+    if (!isValidGrade(grade)) throw new Error('Grade must be between 1 and 10 in half points (e.g. 9 or 9.5)');
+    if (!(await client.isGrader())) throw new Error(client.account() + ' is not an authorized grader');
+
+    const photoCIDs = [];
+    for (const file of options.photo) {
+        photoCIDs.push(await client.uploadFile(fs.readFileSync(file), path.basename(file)));
+    }
+    const { certificateCID, receipt } = await client.grade(tokenId, {
+        grade,
+        subGrades: parseSubGrades(options.sub),
+        notes: options.notes || '',
+        photoCIDs
+    });
+    printReceipt(`Graded #${tokenId} as ${grade}, certificate ${certificateCID}`, receipt);
+}
+
+const COMMANDS = {
+    async info(client) {
+        const { web3, marketplace, grader } = client;
+        return {
+            chainId: client.chainId,
+            account: client.account(),
+            accounts: await web3.eth.getAccounts(),
+            registry: {
+                address: client.registry.options.address,
+                owner: client.owner,
+                totalMinted: await client.totalMinted(),
+                defaultRoyalty: await client.defaultRoyalty()
+            },
+            marketplace: {
+                address: marketplace.options.address,
+                owner: await marketplace.methods.owner().call(),
+                platformFeeBps: Number(await marketplace.methods.platformFeeBps().call()),
+                feeRecipient: await marketplace.methods.feeRecipient().call(),
+                paused: await marketplace.methods.paused().call()
+            },
+            grader: {
+                address: grader.options.address,
+                owner: await grader.methods.owner().call(),
+                gradingFee: web3.utils.fromWei(String(await grader.methods.gradingFee().call()), 'ether') + ' ETH',
+                queueLength: Number(await grader.methods.queueLength().call()),
+                accountIsGrader: await client.isGrader()
+            }
+        };
+    },
+
+    card: (client, [tokenId]) => client.getCard(tokenId),
+
+    queue: async client => ({ pending: await client.getQueue() }),
+
+    history: (client, [tokenId]) => client.history(tokenId),
+
+    async 'export-history'(client) {
+        const total = await client.totalMinted();
+        const cards = [];
+        for (let tokenId = 1; tokenId <= total; tokenId++) {
+            cards.push(await client.history(tokenId));
+        }
+        return { chainId: client.chainId, registry: client.registry.options.address, exportedAt: new Date().toISOString(), cards };
+    },
+
+    async 'pin-health'(client, args, options) {
+        const total = await client.totalMinted();
+        const missing = [];
+        for (let tokenId = 1; tokenId <= total; tokenId++) {
+            const card = await client.getCard(tokenId);
+            for (const { role, cid } of await client.cardCids(card)) {
+                if (await client.isPinned(cid)) continue;
+                const entry = { tokenId, name: card.name, role, cid };
+                if (options.repin) {
+                    try {
+                        entry.repinned = await client.pin(cid);
+                    } catch (error) {
+                        entry.repinned = false;
+                        entry.error = error.message;
+                    }
+                }
+                missing.push(entry);
+            }
+        }
+        return { cards: total, missing };
+    },
+
+    async create(client, [name, priceEth, imageFile], options) {
+        const details = { conditionNotes: options.notes || '' };
+        Object.keys(ATTRIBUTE_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) details[ATTRIBUTE_OPTIONS[key]] = options[key];
+        });
+        const { tokenId, metadataCID } = await client.createCard({
+            name,
+            price: client.web3.utils.toWei(priceEth, 'ether'),
+            image: fs.readFileSync(imageFile),
+            imageFileName: path.basename(imageFile),
+            details,
+            autoList: !options['no-list'],
+            onProgress: message => console.error(message)
+        });
+        console.log(`Created card #${tokenId} "${name}", metadata ${metadataCID}${options['no-list'] ? '' : ', listed'}`);
+    },
+
+    async 'set-price'(client, [tokenId, priceEth]) {
+        printReceipt(`Price of #${tokenId} set to ${priceEth} ETH`,
+            await client.setPrice(tokenId, client.web3.utils.toWei(priceEth, 'ether')));
+    },
+
+    async list(client, [tokenId]) {
+        if (!(await client.isMarketApproved())) {
+            console.error('Warning: the marketplace is not approved for ' + client.account() + ', so this listing cannot be bought (run approve-market)');
+        }
+        printReceipt(`Listed #${tokenId}`, await client.list(tokenId));
+    },
+
+    async unlist(client, [tokenId]) {
+        printReceipt(`Unlisted #${tokenId}`, await client.unlist(tokenId));
+    },
+
+    async 'approve-market'(client, args, options) {
+        const approved = !options.revoke;
+        printReceipt(approved ? 'Marketplace approved' : 'Marketplace approval revoked', await client.setMarketApproval(approved));
+    },
+
+    async buy(client, [tokenId]) {
+        const card = await client.getCard(tokenId);
+        const expectedHash = await client.registry.methods.getCardHash(tokenId).call();
+        printReceipt(`Bought #${tokenId} "${card.name}" for ${client.web3.utils.fromWei(card.price, 'ether')} ETH`,
+            await client.buy(tokenId, { price: card.price, metadataCID: card.metadataCID, name: card.name, expectedHash }));
+    },
+
+    async transfer(client, [tokenId, to]) {
+        const recipient = requireAddress(client.web3, to);
+        if ((await client.getCard(tokenId)).isListed) await client.unlist(tokenId); // a listing survives transfers
+        printReceipt(`Transferred #${tokenId} to ${recipient}`, await client.transfer(tokenId, recipient));
+    },
+
+    async enqueue(client, [tokenId]) {
+        printReceipt(`Requested grading for #${tokenId}`, await client.enqueue(tokenId));
+    },
+
+    grade: (client, [tokenId, grade], options) => gradeCard(client, tokenId, grade, options),
+
+    async 'grade-next'(client, [grade], options) {
+        const tokenId = await client.nextToGrade();
+        if (tokenId === null) throw new Error('Queue is empty');
+        await gradeCard(client, tokenId, grade, options);
+    },
+
+    async 'set-grader'(client, [address], options) {
+        const grader = requireAddress(client.web3, address);
+        printReceipt(options.revoke ? `Revoked grader ${grader}` : `Authorized grader ${grader}`,
+            await client.send(client.grader.methods.setGrader(grader, !options.revoke)));
+    },
+
+    async 'set-grading-fee'(client, [eth]) {
+        printReceipt(`Grading fee set to ${eth} ETH`,
+            await client.send(client.grader.methods.setGradingFee(client.web3.utils.toWei(eth, 'ether'))));
+    },
+
+    async 'withdraw-grading-fees'(client, [to]) {
+        printReceipt('Grading fees withdrawn', await client.send(client.grader.methods.withdrawFees(requireAddress(client.web3, to))));
+    },
+
+    async 'set-platform-fee'(client, [bps]) {
+        const value = Number(bps);
+        if (!Number.isInteger(value) || value < 0 || value > 1000) throw new Error('Platform fee must be 0 to 1000 basis points');
+        printReceipt(`Platform fee set to ${value} bps`, await client.send(client.marketplace.methods.setPlatformFee(value)));
+    },
+
+    async 'set-fee-recipient'(client, [address]) {
+        const recipient = requireAddress(client.web3, address);
+        printReceipt(`Fee recipient set to ${recipient}`, await client.send(client.marketplace.methods.setFeeRecipient(recipient)));
+    },
+
+    async pause(client) {
+        printReceipt('Marketplace paused', await client.send(client.marketplace.methods.setPaused(true)));
+    },
+
+    async unpause(client) {
+        printReceipt('Marketplace unpaused', await client.send(client.marketplace.methods.setPaused(false)));
+    },
+
+    async 'register-grader-contract'(client, [address], options) {
+        const graderContract = requireAddress(client.web3, address);
+        printReceipt(options.revoke ? `Unregistered ${graderContract}` : `Registered ${graderContract}`,
+            await client.send(client.registry.methods.registerGraderContract(graderContract, !options.revoke)));
+    },
+
+    async 'set-royalty'(client, [bps, address]) {
+        const value = requireRoyaltyBps(bps);
+        const receiver = address ? requireAddress(client.web3, address) : client.account();
+        printReceipt(`Default royalty set to ${value} bps for ${receiver}`, await client.setDefaultRoyalty(receiver, value));
+    },
+
+    async 'set-token-royalty'(client, [tokenId, bps, address]) {
+        const value = requireRoyaltyBps(bps);
+        const receiver = requireAddress(client.web3, address);
+        printReceipt(`Royalty of #${tokenId} set to ${value} bps for ${receiver}`, await client.setTokenRoyalty(tokenId, receiver, value));
+    },
+
+    async 'reset-token-royalty'(client, [tokenId]) {
+        printReceipt(`#${tokenId} uses the default royalty again`, await client.resetTokenRoyalty(tokenId));
+    },
+
+    // Royalty a sale at the card's current price would pay now
+    async royalty(client, [tokenId]) {
+        const card = await client.getCard(tokenId);
+        return { tokenId: Number(tokenId), ...await client.tokenRoyalty(tokenId), onSaleAtPrice: await client.royaltyFor(tokenId, card.price) };
+    }
+};
+
+// Positional arguments each command needs, for the usage error
+const COMMAND_ARGS = {
+    card: '<tokenId>', history: '<tokenId>', create: '<name> <priceEth> <imageFile>',
+    'set-price': '<tokenId> <priceEth>', list: '<tokenId>', unlist: '<tokenId>', buy: '<tokenId>',
+    transfer: '<tokenId> <to>', enqueue: '<tokenId>', grade: '<tokenId> <grade>', 'grade-next': '<grade>',
+    'set-grader': '<address>', 'set-grading-fee': '<eth>', 'withdraw-grading-fees': '<to>',
+    'set-platform-fee': '<bps>', 'set-fee-recipient': '<address>', 'register-grader-contract': '<address>',
+    'set-royalty': '<bps>', 'set-token-royalty': '<tokenId> <bps> <receiver>', 'reset-token-royalty': '<tokenId>',
+    royalty: '<tokenId>'
+};
+
+async function main(argv) {
+    const { options, positional } = parseArgs(argv);
+    const [command, ...args] = positional;
+    if (!command || options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) throw new Error(`Unknown command "${command}". Run with --help for the list.`);
+    if (COMMAND_ARGS[command]) {
+        requireArgs(args, COMMAND_ARGS[command].split(' ').length, `${command} ${COMMAND_ARGS[command]}`);
+    }
+
+    const deployment = loadDeployment(options.deployment || 'deployment.json');
+    const web3 = new Web3(options.rpc || 'http://127.0.0.1:8545');
+
+    let from = null;
+    if (options.from !== undefined) {
+        if (/^\d+$/.test(options.from)) {
+            const accounts = await web3.eth.getAccounts();
+            from = accounts[Number(options.from)];
+            if (!from) throw new Error(`The node has no account #${options.from}`);
+        } else {
+            from = requireAddress(web3, options.from);
+        }
+    }
+
+    const client = createCardClient({
+        web3,
+        contracts: deployment.contracts,
+        ipfsApiUrl: options['ipfs-api'] || 'http://127.0.0.1:5001',
+        ipfsGateways: options['ipfs-gateway'].length ? options['ipfs-gateway'] : ['http://127.0.0.1:8080'],
+        from
+    });
+    await client.connect();
+    if (deployment.chainId !== undefined && Number(deployment.chainId) !== client.chainId) {
+        console.error(`Warning: connected to chain ${client.chainId}, but the deployment is for chain ${deployment.chainId}`);
+    }
+
+    const result = await COMMANDS[command](client, args, options);
+    if (result !== undefined) output(result, options);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('Error: ' + error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -6,39 +6,140 @@ let accounts = [];
 let currentAccount;
 let contractOwner = null; // Chg A1
 let isCurrentGrader = false; // Chg A3
+let connectionMode = 'local'; // 'local' (Ganache accounts) or 'wallet' (EIP-1193) - Chg A15
+let walletProvider = null; // Chg A15
+let cardClient = null; // contract/IPFS operations from cardClient.js; the globals below are its contracts - Chg A33
+let currentChainId = null; // Chg A15
+let pendingPurchase = null; // snapshot shown in the pre-purchase summary - Chg A22
+let profilePinnedByUser = false; // user picked a profile by hand: don't auto-switch it - Chg A17
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545'; // Chg A15, per-profile since Chg A17
+const DEFAULT_IPFS_API_URL = 'http://127.0.0.1:5001'; // Chg A17
+const DEFAULT_IPFS_GATEWAY_URL = 'http://127.0.0.1:8080'; // Chg A17
+let eventPollTimer = null; // Chg A12
+let isPollingEvents = false; // Chg A12
+const EVENT_POLL_INTERVAL_MS = 4000; // Chg A12
 
-// Upload a file to local IPFS node and return its CID  // Chg A6
-async function uploadFileToIPFS(file) {                 // Chg A6
-    // IMPORTANT: must be the IPFS API, NOT port 5500
-    const apiUrl = 'http://127.0.0.1:5001/api/v0/add?pin=true';  // Chg A6
+// Placeholders shared by full loads and live updates - Chg A12
+const EMPTY_MARKET_HTML =
+    '<p style="text-align:center; color:#666;">No cards currently listed in the marketplace.</p>';
+const EMPTY_QUEUE_HTML =
+    '<p style="color:#666;">No cards currently waiting for grading.</p>';
+
+// === Safe rendering (Chg A31) ===
+// Card names, CIDs, attributes, grades, addresses and anything read from IPFS are
+// attacker-controlled. Views build markup with the html`` tag, which escapes every
+// interpolated value unless it is itself html`` (or rawHtml) output, and buttons use
+// action() data attributes dispatched by one click listener instead of onclick strings.
+class SafeHtml { // Chg A31
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) { // Chg A31
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/`/g, '&#96;');
+}
+
+// Markup we wrote ourselves (constants, already escaped fragments)
+function rawHtml(markup) { // Chg A31
+    return new SafeHtml(String(markup ?? ''));
+}
 
-    const formData = new FormData();
-    formData.append('file', file);
+function renderHtmlValue(value) { // Chg A31
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
 
-    const res = await fetch(apiUrl, {
-        method: 'POST',
-        body: formData
+// Tagged template: html`<b>${card.name}</b>` escapes card.name; arrays are joined
+function html(strings, ...values) { // Chg A31
+    let out = strings[0];
+    values.forEach((value, i) => {
+        out += renderHtmlValue(value) + strings[i + 1];
     });
+    return new SafeHtml(out);
+}
+
+// Only http(s), ipfs:// and relative gateway URLs may end up in src/href
+function safeUrl(url) { // Chg A31
+    const value = String(url ?? '').trim();
+    return /^(https?:\/\/|ipfs:\/\/|\/)/i.test(value) ? value : '';
+}
+
+// Functions buttons may trigger through action(); anything else is ignored
+const UI_ACTIONS = { // Chg A31
+    acceptOffer, adminSetGrader, buyCard, cancelAuction, closeModal, confirmPurchase,
+    exportProvenanceCSV, exportProvenanceJSON, listCard, makeOffer, navigate, openGradingForm,
+    placeBid, printProvenanceCertificate, requestGrading, setMarketApproval, settleAuction,
+    startAuction, submitAuction, submitGrading, submitOffer, transferCard, unlistCard,
+    updatePrice, verifyCard, viewBidHistory, viewCertificate, viewHistory, withdrawAuctionRefund,
+    withdrawOffer, repinCid, // Chg A34
+    toggleWatch, deleteSearchAlert, enableBrowserNotifications, // Chg A35
+    adminResetTokenRoyalty // Chg A36
+};
 
-    if (!res.ok) {
-        console.error('IPFS add response not OK:', res.status, res.statusText);
-        throw new Error('IPFS upload failed with status ' + res.status);
+// <button ${action('buyCard', tokenId)}> - arguments travel as JSON data, never as code
+function action(name, ...args) { // Chg A31
+    return rawHtml(`data-action="${escapeHtml(name)}" data-args="${escapeHtml(JSON.stringify(args))}"`);
+}
+
+document.addEventListener('click', event => { // Chg A31
+    const target = event.target.closest('[data-action]');
+    if (!target || target.disabled) return;
+    const handler = Object.prototype.hasOwnProperty.call(UI_ACTIONS, target.dataset.action)
+        ? UI_ACTIONS[target.dataset.action]
+        : null;
+    if (!handler) {
+        console.warn('Unknown UI action', target.dataset.action);
+        return;
     }
 
-    const text = await res.text();
-    console.log('IPFS add raw response:', text); // helpful for debugging
+    let args = [];
+    try {
+        args = JSON.parse(target.dataset.args || '[]');
+    } catch (e) {
+        console.warn('Bad UI action arguments', target.dataset.args);
+        return;
+    }
+    event.preventDefault();
+    handler(...args);
+});
 
-    const lines = text.trim().split('\n');
-    const last = lines[lines.length - 1];
-    const data = JSON.parse(last);
+// Upload a file to local IPFS node and return its CID  // Chg A6
+// Only images are uploaded from files; type/size are checked before anything is sent,
+// progress shows in the upload panel, and the CID is returned once pin/ls confirms it - Chg A34
+async function uploadFileToIPFS(file) {                 // Chg A6
+    const problem = validateImageFile(file); // Chg A34
+    if (problem) throw new Error(problem);
 
-    return data.Hash; // CID string
+    const entry = startUploadProgress(file); // Chg A34
+    try {
+        const cid = await ipfsAdd(getIpfsApiUrl(), file, file.name, { // endpoint from profile - Chg A17, cardClient.js - Chg A33
+            onProgress: (loaded, total) => updateUploadProgress(entry, loaded / total)
+        });
+        finishUploadProgress(entry, 'pinned');
+        return cid;
+    } catch (error) {
+        finishUploadProgress(entry, 'failed');
+        throw error;
+    }
 }
 
 // === Navigation helper (Chg A2 + A3) ===
-function navigate(page) {
-    // Chg A2
-    const pages = ['home', 'market', 'config', 'create']; // include create page - Chg A3
+// Show one page div and highlight its nav link (no URL change; the router calls this)
+function showPage(page) { // Chg A24 (was navigate - Chg A2)
+    const pages = ['home', 'market', 'collection', 'offers', 'analytics', 'watchlist', 'config', 'create', 'card', 'owner', 'admin']; // include create page - Chg A3, collection - Chg A14, card/owner views - Chg A24, admin - Chg A25, offers - Chg A28, analytics - Chg A32, watchlist - Chg A35
     pages.forEach(p => {
         const el = document.getElementById('page-' + p);
         if (el) el.style.display = (p === page) ? 'block' : 'none';
@@ -51,72 +152,595 @@ function navigate(page) {
     });
 }
 
+// Nav buttons and code that used to toggle pages now go through the URL,
+// so every view gets a history entry and the back button works - Chg A24
+function navigate(page) {
+    const hash = '#/' + page;
+    if (window.location.hash === hash) routeFromHash();
+    else window.location.hash = hash;
+}
+
+// === Hash router (Chg A24) ===
+// #/home, #/market?graded=1&sort=price-asc, #/collection, #/offers, #/analytics, #/watchlist, #/queue, #/workbench,
+// #/config, #/create, #/admin, #/card/42, #/owner/0xabc...
+const ROUTES = [ // Chg A24
+    { pattern: /^\/(?:home)?$/, page: 'home' },
+    { pattern: /^\/market$/, page: 'market' },
+    { pattern: /^\/collection$/, page: 'collection' },
+    { pattern: /^\/offers$/, page: 'offers' }, // Chg A28
+    { pattern: /^\/analytics$/, page: 'analytics' }, // Chg A32
+    { pattern: /^\/watchlist$/, page: 'watchlist' }, // Chg A35
+    { pattern: /^\/config$/, page: 'config' },
+    { pattern: /^\/create$/, page: 'create', guard: 'owner' },
+    { pattern: /^\/admin$/, page: 'admin', guard: 'owner', message: 'The admin console is only available to the contract owner account.' }, // Chg A25
+    { pattern: /^\/queue$/, page: 'home', anchor: 'queueSection' },
+    { pattern: /^\/workbench$/, page: 'home', anchor: 'graderWorkbench', guard: 'grader' },
+    { pattern: /^\/card\/(\d+)$/, page: 'card' },
+    { pattern: /^\/owner\/(0x[0-9a-fA-F]{40})$/, page: 'owner' }
+];
+
+// Same checks that hide the Create tab and the grading controls
+const ROUTE_GUARDS = { // Chg A24
+    owner: {
+        allowed: () => !!(contractOwner && currentAccount &&
+            contractOwner.toLowerCase() === currentAccount.toLowerCase()),
+        message: 'Create Card is only available to the contract owner account.'
+    },
+    grader: {
+        allowed: () => isCurrentGrader,
+        message: 'The grader workbench is only available to authorized graders.'
+    }
+};
+
+let currentRoute = { page: 'home', params: [] }; // Chg A24
+
+function parseHash(hash) { // Chg A24
+    const raw = (hash || '').replace(/^#/, '') || '/';
+    const [path, query = ''] = raw.split('?');
+    return { path: path.startsWith('/') ? path : '/' + path, query };
+}
+
+function routeFromHash() { // Chg A24
+    const { path, query } = parseHash(window.location.hash);
+
+    let route = null;
+    let params = [];
+    for (const r of ROUTES) {
+        const match = path.match(r.pattern);
+        if (match) {
+            route = r;
+            params = match.slice(1);
+            break;
+        }
+    }
+
+    if (!route) {
+        redirectTo('home', 'Page not found: #' + path);
+        return;
+    }
+
+    if (route.guard && !ROUTE_GUARDS[route.guard].allowed()) {
+        const message = route.message || ROUTE_GUARDS[route.guard].message; // per-route text - Chg A25
+        // Before the contracts are connected we can't know the role yet
+        if (!cardRegistry) redirectTo('config', 'Connect to the contracts first. ' + message);
+        else redirectTo('home', message);
+        return;
+    }
+
+    currentRoute = { page: route.page, params };
+    showPage(route.page);
+
+    if (route.page === 'market') applyMarketQuery(query);
+    if (route.page === 'card') renderCardDetail(Number(params[0]));
+    if (route.page === 'owner') renderOwnerView(params[0]);
+    if (route.page === 'admin') loadAdminConsole(); // Chg A25
+    if (route.page === 'offers') loadOffers(); // Chg A28
+    if (route.page === 'analytics') loadAnalytics(); // Chg A32
+    if (route.page === 'watchlist') loadWatchlistPage(); // Chg A35
+
+    if (route.anchor) {
+        const target = document.getElementById(route.anchor);
+        if (target) target.scrollIntoView({ behavior: 'smooth' });
+    } else {
+        window.scrollTo(0, 0);
+    }
+}
+
+// Replace (not push) the current entry so back doesn't bounce into the refused route
+function redirectTo(page, message) { // Chg A24
+    history.replaceState(null, '', '#/' + page);
+    routeFromHash();
+    if (message) showError(message);
+}
+
+// Re-check guards and re-render the card/owner view after the account,
+// contracts or (for tokenIds) specific cards changed
+async function refreshRouteView(tokenIds) { // Chg A24
+    const { path } = parseHash(window.location.hash);
+    const route = ROUTES.find(r => r.pattern.test(path));
+    if (route && route.guard && !ROUTE_GUARDS[route.guard].allowed()) {
+        redirectTo('home', route.message || ROUTE_GUARDS[route.guard].message);
+        return;
+    }
+
+    if (currentRoute.page === 'card') {
+        const tokenId = Number(currentRoute.params[0]);
+        if (!tokenIds || tokenIds.has(tokenId)) await renderCardDetail(tokenId);
+    } else if (currentRoute.page === 'owner') {
+        if (!tokenIds || tokenIds.size > 0) await renderOwnerView(currentRoute.params[0]);
+    } else if (currentRoute.page === 'admin' && !tokenIds) {
+        await loadAdminConsole(); // Chg A25
+    } else if (currentRoute.page === 'offers') {
+        await loadOffers(); // offers view depends on the account and on ownership - Chg A28
+    } else if (currentRoute.page === 'analytics') {
+        await loadAnalytics(); // Chg A32
+    } else if (currentRoute.page === 'watchlist') {
+        await loadWatchlistPage(); // watchlists are per account - Chg A35
+    }
+}
+
 // Initialize Web3 and load accounts
 async function initialize() {
     try {
-        web3 = new Web3('http://127.0.0.1:8545');
-        showSuccess('Connected to local node');
+        loadConfig(); // before connecting so the expected chain ID is known - Chg A15
+        initMarketFilters(); // Chg A23
+
+        // Older market links carried the filters in ?query - Chg A24
+        if (window.location.search && !window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + '#/market' + window.location.search);
+        }
+        window.addEventListener('hashchange', routeFromHash); // Chg A24
+        routeFromHash(); // deep link or home by default - Chg A2, A24
+
+        await connectLocalNode(); // Chg A15
+
+    } catch (error) {
+        showError('Connection error: ' + error.message);
+    }
+}
+
+// === Connection layer: local node or EIP-1193 wallet (Chg A15) ===
+// Local mode signs with the node's unlocked accounts and uses the account <select>.
+// Wallet mode takes any EIP-1193 provider (MetaMask's window.ethereum, or a
+// stand-in passed to connectWallet()) and follows its accountsChanged/chainChanged events.
+
+// Connect to the Ganache node over HTTP
+async function connectLocalNode() { // Chg A15
+    detachWalletListeners();
+    stopEventWatcher();
+    connectionMode = 'local';
+
+    web3 = new Web3(getRpcUrl()); // Chg A17
+    showSuccess('Connected to local node');
+
+    accounts = await web3.eth.getAccounts();
+    currentAccount = accounts[0];
+
+    const select = document.getElementById('accountSelect');
+    select.innerHTML = '<option value="">Select Account...</option>';
+    accounts.forEach((acc, index) => {
+        const option = document.createElement('option');
+        option.value = acc;
+        option.text = `Account ${index}: ${acc.substring(0, 10)}...`;
+        select.appendChild(option);
+    });
+    select.value = currentAccount;
+
+    updateConnectionModeUI();
+    await checkChainId();
+    await updateAccountInfo();
+}
+
+// Connect through an injected (or supplied) EIP-1193 provider
+async function connectWallet(provider = window.ethereum) { // Chg A15
+    if (!provider || typeof provider.request !== 'function') {
+        showError('No browser wallet found. Install MetaMask or use the local node.');
+        return;
+    }
+
+    try {
+        detachWalletListeners();
+        stopEventWatcher();
 
-        accounts = await web3.eth.getAccounts();
-        currentAccount = accounts[0];
+        const walletAccounts = await provider.request({ method: 'eth_requestAccounts' });
 
-        const select = document.getElementById('accountSelect');
-        select.innerHTML = '<option value="">Select Account...</option>';
-        accounts.forEach((acc, index) => {
-            const option = document.createElement('option');
-            option.value = acc;
-            option.text = `Account ${index}: ${acc.substring(0, 10)}...`;
-            select.appendChild(option);
-        });
-        select.value = currentAccount;
+        walletProvider = provider;
+        connectionMode = 'wallet';
+        web3 = new Web3(provider);
+        accounts = walletAccounts;
+        currentAccount = walletAccounts[0] || null;
+
+        if (typeof provider.on === 'function') {
+            provider.on('accountsChanged', handleAccountsChanged);
+            provider.on('chainChanged', handleChainChanged);
+        }
 
+        showSuccess('Connected to browser wallet');
+        updateConnectionModeUI();
+        await checkChainId();
         await updateAccountInfo();
-        loadConfig();
-        navigate('home'); // default - Chg A2
+        await reconnectContracts();
+    } catch (error) {
+        showError('Wallet connection error: ' + error.message);
+        console.error('connectWallet error:', error);
+    }
+}
 
+// "Use Local Node" button: go back to Ganache accounts
+async function useLocalNode() { // Chg A15
+    try {
+        await connectLocalNode();
+        await reconnectContracts();
     } catch (error) {
         showError('Connection error: ' + error.message);
     }
 }
 
+function detachWalletListeners() { // Chg A15
+    if (walletProvider && typeof walletProvider.removeListener === 'function') {
+        walletProvider.removeListener('accountsChanged', handleAccountsChanged);
+        walletProvider.removeListener('chainChanged', handleChainChanged);
+    }
+    walletProvider = null;
+}
+
+// Wallet switched (or disconnected) the active account
+async function handleAccountsChanged(newAccounts) { // Chg A15
+    accounts = newAccounts || [];
+    currentAccount = accounts[0] || null;
+
+    if (!currentAccount) {
+        showError('Wallet disconnected. Connect again to continue.');
+    } else {
+        showSuccess('Wallet account changed to ' + currentAccount.substring(0, 10) + '...');
+    }
+    await refreshForAccount();
+}
+
+// Wallet moved to another network: contract objects and index must follow
+async function handleChainChanged() { // Chg A15
+    stopEventWatcher();
+    profilePinnedByUser = false; // a new network may have its own profile - Chg A17
+    web3 = new Web3(walletProvider);
+    await checkChainId();
+    await updateAccountInfo();
+    await reconnectContracts();
+}
+
+// Compare the connected chain with the one the contracts were deployed on
+async function checkChainId() { // Chg A15
+    const warning = document.getElementById('chainWarning');
+    currentChainId = Number(await web3.eth.getChainId());
+
+    await autoSelectProfileForChain(currentChainId); // Chg A17
+    await checkProfileContractsCode(); // Chg A17
+
+    const expected = Number(document.getElementById('expectedChainId').value);
+    if (expected && currentChainId !== expected) {
+        warning.textContent =
+            `⚠️ Connected to chain ${currentChainId}, but the contracts are configured for chain ${expected}. ` +
+            'Switch network in your wallet or update the Configuration page.';
+        warning.style.display = 'block';
+        return false;
+    }
+
+    warning.style.display = 'none';
+    return true;
+}
+
+// Rebind contracts to the current web3 instance if they were already connected
+async function reconnectContracts() { // Chg A15
+    if (cardRegistry) {
+        await initializeContracts();
+    } else {
+        await refreshForAccount();
+    }
+}
+
+// Show the account <select> only when the node's accounts are in use
+function updateConnectionModeUI() { // Chg A15
+    const isWallet = connectionMode === 'wallet';
+    document.getElementById('accountSelect').style.display = isWallet ? 'none' : '';
+    document.getElementById('connectionMode').textContent =
+        isWallet ? 'Browser wallet' : 'Local node (' + getRpcUrl() + ')';
+}
+
 // Initialize contracts
 async function initializeContracts() {
     try {
-        const cardRegAddr = document.getElementById('cardRegistryAddress').value;
-        const marketAddr = document.getElementById('marketplaceAddress').value;
-        const graderAddr = document.getElementById('graderAddress').value;
+        const cardRegAddr = document.getElementById('cardRegistryAddress').value.trim();
+        const marketAddr = document.getElementById('marketplaceAddress').value.trim();
+        const graderAddr = document.getElementById('graderAddress').value.trim();
 
-        const cardRegABI = JSON.parse(document.getElementById('cardRegistryABI').value);
-        const marketABI = JSON.parse(document.getElementById('marketplaceABI').value);
-        const graderABI = JSON.parse(document.getElementById('graderABI').value);
+        const cardRegABI = parseAbiField('registry'); // Chg A16
+        const marketABI = parseAbiField('marketplace'); // Chg A16
+        const graderABI = parseAbiField('grader'); // Chg A16
+
+        // Catch wrong addresses/ABIs here rather than as a confusing call failure later - Chg A16
+        const problems = await validateDeployment({
+            registry: { address: cardRegAddr, abi: cardRegABI },
+            marketplace: { address: marketAddr, abi: marketABI },
+            grader: { address: graderAddr, abi: graderABI }
+        });
+        if (problems.length > 0) {
+            showError('Deployment check failed: ' + problems[0] +
+                (problems.length > 1 ? ` (+${problems.length - 1} more, see Configuration page)` : ''));
+            return;
+        }
 
-        cardRegistry = new web3.eth.Contract(cardRegABI, cardRegAddr);
-        marketplace = new web3.eth.Contract(marketABI, marketAddr);
-        graderContract = new web3.eth.Contract(graderABI, graderAddr);
+        // Writes go through sendTx so they show up in the transaction tray - Chg A33
+        cardClient = createCardClient({
+            web3,
+            contracts: {
+                registry: { address: cardRegAddr, abi: cardRegABI },
+                marketplace: { address: marketAddr, abi: marketABI },
+                grader: { address: graderAddr, abi: graderABI }
+            },
+            ipfsApiUrl: getIpfsApiUrl,
+            ipfsGateways: getIpfsGateways, // primary + fallbacks - Chg A34
+            from: () => currentAccount,
+            send: sendTx
+        });
+        cardRegistry = cardClient.registry;
+        marketplace = cardClient.marketplace;
+        graderContract = cardClient.grader;
 
         // Get contract owner (company)
-        contractOwner = await cardRegistry.methods.owner().call(); // Chg A1
+        contractOwner = (await cardClient.connect()).owner; // Chg A1, Chg A33
+        clearMarketApprovals(); // new deployment or chain - Chg A26
 
         showSuccess('Contracts initialized successfully!');
         updateCreateSectionVisibility(); // Chg A1
         await updateGraderControlsVisibility(); // Chg A3
         loadCards();
         loadQueue();
+        loadMyCollection(); // Chg A14
+        refreshRouteView(); // Chg A24
+        renderAlertBadge(); // Chg A35
+        startEventWatcher(); // keep views current without Refresh - Chg A12
 
     } catch (error) {
         showError('Error initializing contracts: ' + error.message);
     }
 }
 
+// === Deployment import & validation (Chg A16) ===
+// Methods/events index.js relies on; a pasted ABI missing any of these is rejected up front
+const DEPLOYMENT_REQUIREMENTS = { // Chg A16
+    registry: {
+        label: 'CardRegistry',
+        addressField: 'cardRegistryAddress',
+        abiField: 'cardRegistryABI',
+        methods: ['owner', 'ownerOf', 'getCard', 'getCardHash', 'getPrice', 'createCard', 'setPrice', 'safeTransferFrom',
+            'royaltyInfo', 'defaultRoyaltyInfo', 'setDefaultRoyalty', 'setTokenRoyalty', 'resetTokenRoyalty'], // royalties - Chg A36
+        events: ['CardCreated', 'PriceUpdated', 'GradeSet', 'OwnershipTransferred', 'TokenRoyaltyUpdated']
+    },
+    marketplace: {
+        label: 'Marketplace',
+        addressField: 'marketplaceAddress',
+        abiField: 'marketplaceABI',
+        methods: ['cardRegistry', 'getListingInfo', 'list', 'unlist', 'autoList', 'buy', 'buyWithHashVerification',
+            'calculatePlatformFee', 'calculateRoyalty', 'makeOffer', 'withdrawOffer', 'acceptOffer', 'getOffers', // offers - Chg A28, royalties - Chg A36
+            'createAuction', 'bid', 'settleAuction', 'cancelAuction', 'withdrawRefund', 'pendingReturns', 'auctions'], // auctions - Chg A29
+        events: ['Listed', 'Unlisted', 'CardPurchased', 'OfferMade', 'OfferWithdrawn', 'OfferAccepted',
+            'AuctionCreated', 'BidPlaced', 'AuctionSettled', 'AuctionCancelled']
+    },
+    grader: {
+        label: 'GraderContract',
+        addressField: 'graderAddress',
+        abiField: 'graderABI',
+        methods: ['cardRegistry', 'authorizedGraders', 'gradingFee', 'enqueueForGrading', 'getPendingQueue',
+            'isInQueue', 'queueLength', 'totalProcessed', 'peek', 'grade', 'setGrader'],
+        events: ['Enqueued', 'Graded']
+    }
+};
+
+// Contract name → role, for artifacts that carry a name
+const CONTRACT_ROLES = { CardRegistry: 'registry', Marketplace: 'marketplace', GraderContract: 'grader' }; // Chg A16
+
+function abiHas(abi, type, name) { // Chg A16
+    return abi.some(item => item.type === type && item.name === name);
+}
+
+// Parse one ABI textarea, naming the field in the error instead of a bare JSON error
+function parseAbiField(role) { // Chg A16
+    const req = DEPLOYMENT_REQUIREMENTS[role];
+    const raw = document.getElementById(req.abiField).value.trim();
+    if (!raw) throw new Error(req.label + ' ABI is empty');
+
+    let abi;
+    try {
+        abi = JSON.parse(raw);
+    } catch (e) {
+        throw new Error(req.label + ' ABI is not valid JSON: ' + e.message);
+    }
+    // Accept a whole artifact pasted in by mistake
+    if (!Array.isArray(abi) && abi && Array.isArray(abi.abi)) abi = abi.abi;
+    if (!Array.isArray(abi)) throw new Error(req.label + ' ABI must be a JSON array');
+    return abi;
+}
+
+// Check code, ABI shape and cross-contract wiring; renders a checklist and returns the failures
+async function validateDeployment(deployment) { // Chg A16
+    const results = [];
+    const check = (ok, message) => results.push({ ok, message });
+
+    for (const role of Object.keys(DEPLOYMENT_REQUIREMENTS)) {
+        const req = DEPLOYMENT_REQUIREMENTS[role];
+        const { address, abi } = deployment[role];
+
+        if (!web3.utils.isAddress(address)) {
+            check(false, `${req.label}: "${address}" is not a valid address`);
+            continue;
+        }
+
+        const code = await web3.eth.getCode(address);
+        check(code && code !== '0x' && code !== '0x0',
+            `${req.label}: contract code at ${address}` +
+            (code && code !== '0x' && code !== '0x0' ? '' : ' — none found (wrong address or chain?)'));
+
+        const missingMethods = req.methods.filter(name => !abiHas(abi, 'function', name));
+        const missingEvents = req.events.filter(name => !abiHas(abi, 'event', name));
+        const missing = missingMethods.concat(missingEvents.map(name => 'event ' + name));
+        check(missing.length === 0,
+            `${req.label}: ABI has the methods and events the app uses` +
+            (missing.length ? ' — missing ' + missing.join(', ') : ''));
+    }
+
+    // Marketplace and GraderContract must both point at the configured registry
+    const registryAddr = deployment.registry.address;
+    for (const role of ['marketplace', 'grader']) {
+        const req = DEPLOYMENT_REQUIREMENTS[role];
+        const { address, abi } = deployment[role];
+        if (!web3.utils.isAddress(address) || !abiHas(abi, 'function', 'cardRegistry')) continue;
+
+        try {
+            const linked = await new web3.eth.Contract(abi, address).methods.cardRegistry().call();
+            check(linked.toLowerCase() === String(registryAddr).toLowerCase(),
+                `${req.label}: cardRegistry() is ${linked}` +
+                (linked.toLowerCase() === String(registryAddr).toLowerCase()
+                    ? '' : ', not the configured CardRegistry'));
+        } catch (error) {
+            check(false, `${req.label}: cardRegistry() call failed — ${error.message}`);
+        }
+    }
+
+    renderDeploymentCheck(results);
+    return results.filter(r => !r.ok).map(r => r.message);
+}
+
+function renderDeploymentCheck(results) { // Chg A16
+    const box = document.getElementById('deploymentCheck');
+    if (!box) return;
+
+    box.innerHTML = '<strong>Deployment check</strong>';
+    const list = document.createElement('ul');
+    results.forEach(r => {
+        const li = document.createElement('li');
+        li.className = r.ok ? 'check-ok' : 'check-fail';
+        li.textContent = (r.ok ? '✅ ' : '❌ ') + r.message;
+        list.appendChild(li);
+    });
+    box.appendChild(list);
+    box.style.display = 'block';
+}
+
+// Import Remix / Hardhat / Foundry / Truffle artifacts or a deployment manifest
+async function importDeploymentFiles() { // Chg A16
+    const input = document.getElementById('artifactFiles');
+    const files = Array.from(input.files || []);
+    if (files.length === 0) {
+        showError('Choose one or more artifact or manifest JSON files first');
+        return;
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    for (const file of files) {
+        try {
+            const json = JSON.parse(await file.text());
+            const entries = extractDeploymentEntries(json, file.name);
+            if (entries.length === 0) skipped.push(file.name);
+
+            entries.forEach(entry => {
+                const req = DEPLOYMENT_REQUIREMENTS[entry.role];
+                if (entry.address) document.getElementById(req.addressField).value = entry.address;
+                if (entry.abi) document.getElementById(req.abiField).value = JSON.stringify(entry.abi);
+                imported.push(req.label + (entry.address ? ' address' : '') +
+                    (entry.address && entry.abi ? ' + ' : '') + (entry.abi ? 'ABI' : ''));
+            });
+        } catch (error) {
+            skipped.push(file.name + ' (' + error.message + ')');
+        }
+    }
+
+    input.value = '';
+    if (imported.length === 0) {
+        showError('Nothing imported. Unrecognized files: ' + skipped.join(', '));
+        return;
+    }
+    showSuccess('Imported ' + imported.join(', ') +
+        (skipped.length ? '. Skipped: ' + skipped.join(', ') : '') +
+        '. Click "Connect to Contracts" to validate.');
+}
+
+// Returns [{ role, address?, abi? }] for every contract of ours found in the JSON
+function extractDeploymentEntries(json, fileName) { // Chg A16
+    // Deployment manifest: { chainId, contracts: { CardRegistry: { address, abi }, ... } }
+    if (json.contracts && !Array.isArray(json.contracts) && typeof json.contracts === 'object') {
+        if (json.chainId !== undefined) {
+            document.getElementById('expectedChainId').value = json.chainId; // Chg A15
+        }
+        return Object.keys(json.contracts)
+            .map(name => ({ name, ...json.contracts[name] }))
+            .map(item => toDeploymentEntry(item.name, item.address, item.abi))
+            .filter(Boolean);
+    }
+
+    // Foundry broadcast (run-latest.json): addresses of CREATE transactions
+    if (Array.isArray(json.transactions)) {
+        return json.transactions
+            .filter(tx => tx.transactionType === 'CREATE' && tx.contractAddress)
+            .map(tx => toDeploymentEntry(tx.contractName, tx.contractAddress, null))
+            .filter(Boolean);
+    }
+
+    // Single-contract artifacts
+    let metadata = json.metadata;
+    if (typeof metadata === 'string') {
+        try { metadata = JSON.parse(metadata); } catch (e) { metadata = null; }
+    }
+    const target = (metadata && metadata.settings && metadata.settings.compilationTarget) ||
+        (json.settings && json.settings.compilationTarget) || {};
+    const name = json.contractName ||                                    // Hardhat / Truffle
+        Object.values(target)[0] ||                                     // Foundry out/, Remix *_metadata.json
+        fileName.replace(/\.json$/i, '').replace(/_metadata$/i, '');     // Remix artifacts/<Name>.json
+
+    const abi = json.abi || (json.output && json.output.abi) || null;
+
+    let address = json.address || null;                                 // hardhat-deploy
+    if (!address && json.networks && typeof json.networks === 'object') { // Truffle
+        const net = json.networks[currentChainId] ||
+            Object.values(json.networks).filter(n => n && n.address).pop();
+        address = net ? net.address : null;
+    }
+
+    const entry = toDeploymentEntry(name, address, abi);
+    return entry ? [entry] : [];
+}
+
+function toDeploymentEntry(name, address, abi) { // Chg A16
+    let role = CONTRACT_ROLES[name];
+
+    // Unknown name: recognise the contract by a method only it has
+    if (!role && Array.isArray(abi)) {
+        if (abiHas(abi, 'function', 'getPendingQueue')) role = 'grader';
+        else if (abiHas(abi, 'function', 'getListingInfo')) role = 'marketplace';
+        else if (abiHas(abi, 'function', 'getCardHash')) role = 'registry';
+    }
+    if (!role || (!address && !Array.isArray(abi))) return null;
+
+    return { role, address: address || null, abi: Array.isArray(abi) ? abi : null };
+}
+
 // Switch account
 async function switchAccount() {
     const select = document.getElementById('accountSelect');
     currentAccount = select.value;
+    await refreshForAccount(); // Chg A15
+}
+
+// Re-run role checks and reload views for currentAccount - Chg A15
+async function refreshForAccount() { // Chg A15
     await updateAccountInfo();
     updateCreateSectionVisibility(); // Chg A1
     await updateGraderControlsVisibility(); // Chg A3
     loadCards();
     loadQueue();
+    loadMyCollection(); // Chg A14
+    refreshRouteView(); // role-gated routes / card and owner views - Chg A24
+    renderAlertBadge(); // each account has its own inbox - Chg A35
 }
 
 // Update account info
@@ -128,6 +752,8 @@ async function updateAccountInfo() {
         const balance = await web3.eth.getBalance(currentAccount);
         document.getElementById('accountBalance').textContent =
             web3.utils.fromWei(balance, 'ether') + ' ETH';
+    } else {
+        document.getElementById('accountBalance').textContent = '0 ETH'; // Chg A15
     }
 }
 
@@ -137,13 +763,15 @@ function updateCreateSectionVisibility() {
     const section = document.getElementById('createCardSection');
     const navCreate = document.getElementById('navCreate'); // Chg A3
     const pageCreate = document.getElementById('page-create'); // Chg A3
+    const navAdmin = document.getElementById('navAdmin'); // Chg A25
     if (!section || !navCreate || !pageCreate) return;
 
     if (!contractOwner || !currentAccount) {
         section.style.display = 'none';
         navCreate.style.display = 'none';
+        if (navAdmin) navAdmin.style.display = 'none'; // Chg A25
         if (pageCreate.style.display !== 'none') {
-            navigate('home'); // Chg A3
+            redirectTo('home', ROUTE_GUARDS.owner.message); // Chg A3, A24
         }
         return;
     }
@@ -154,11 +782,13 @@ function updateCreateSectionVisibility() {
     if (isOwner) {
         section.style.display = '';
         navCreate.style.display = 'inline-block'; // show Create tab - Chg A3
+        if (navAdmin) navAdmin.style.display = 'inline-block'; // Chg A25
     } else {
         section.style.display = 'none';
         navCreate.style.display = 'none';
+        if (navAdmin) navAdmin.style.display = 'none'; // Chg A25
         if (pageCreate.style.display !== 'none') {
-            navigate('home'); // if we were on hidden page, go home - Chg A3
+            redirectTo('home', ROUTE_GUARDS.owner.message); // if we were on hidden page, go home - Chg A3, A24
         }
     }
 }
@@ -172,6 +802,7 @@ async function updateGraderControlsVisibility() {
     if (!graderContract || !currentAccount) {
         btn.style.display = 'none';
         isCurrentGrader = false;
+        loadGraderWorkbench(); // hides it - Chg A20
         return;
     }
 
@@ -187,6 +818,7 @@ async function updateGraderControlsVisibility() {
         btn.style.display = 'none';
         isCurrentGrader = false;
     }
+    loadGraderWorkbench(); // Chg A20
 }
 
 // Create a new card (one click = upload image to IPFS + mint card)  // Chg A6
@@ -209,53 +841,34 @@ async function createCard() {                                       // Chg A6
         return;
     }
 
-    let finalCID = null;
+    // No image → no mint: avoids cards without images
+    if (!imageFile) {
+        showError('No metadata CID. Please upload an image');
+        return;
+    }
+    const imageProblem = validateImageFile(imageFile); // Chg A34
+    if (imageProblem) {
+        showError(imageProblem);
+        return;
+    }
 
     try {
-        // 1) If a file is selected, upload it to IPFS and use that CID
-        if (imageFile) {
-            showSuccess('Uploading image to IPFS...');
-            finalCID = await uploadFileToIPFS(imageFile);
-            // cidField.value = finalCID; // auto-fill field so you can see it
-            showSuccess('Image uploaded to IPFS. CID: ' + finalCID);
-        }
-
-        // 2) If still no CID, block minting → avoids cards without images
-        if (!finalCID) {
-            showError('No metadata CID. Please upload an image');
-            return;
-        }
-
-        const priceWei = web3.utils.toWei(priceEth, 'ether');
-
-        // 3) Mint the card on-chain with the CID
-        const gasEstimate = await cardRegistry.methods
-            .createCard(currentAccount, name, finalCID, priceWei)
-            .estimateGas({ from: currentAccount });
-
-        const gasLimit = Math.floor(gasEstimate * 1.5);
+        showSuccess('Uploading image to IPFS...');
+        const imageCID = await uploadFileToIPFS(imageFile); // with progress + pin check - Chg A34
+        showSuccess('Image uploaded and pinned. CID: ' + imageCID);
 
-        const result = await cardRegistry.methods
-            .createCard(currentAccount, name, finalCID, priceWei)
-            .send({
-                from: currentAccount,
-                gas: gasLimit
-            });
-
-        const tokenId = result.events.CardCreated.returnValues.tokenId;
-        showSuccess('Card created successfully! Token ID: ' + tokenId);
-
-        // 4) Auto-list in marketplace
-        const listGasEstimate = await marketplace.methods
-            .autoList(tokenId)
-            .estimateGas({ from: currentAccount });
-
-        await marketplace.methods.autoList(tokenId).send({
-            from: currentAccount,
-            gas: Math.floor(listGasEstimate * 1.5)
+        // ERC-721 metadata JSON (Chg A18) → mint → auto-list, in cardClient.js - Chg A33
+        const { tokenId } = await cardClient.createCard({
+            to: currentAccount,
+            name,
+            price: web3.utils.toWei(priceEth, 'ether'),
+            imageCID,
+            details: readCardFormDetails(),
+            onProgress: showSuccess
         });
+        showSuccess('Card created successfully! Token ID: ' + tokenId);
 
-        // 5) Refresh UI
+        // Refresh UI
         loadCards();
 
         // Clear inputs (but leave CID so user sees what it was)
@@ -264,6 +877,8 @@ async function createCard() {                                       // Chg A6
             document.getElementById('cardImageFile').value = '';
         }
         document.getElementById('price').value = '';
+        CARD_ATTRIBUTE_FIELDS.forEach(([id]) => { document.getElementById(id).value = ''; }); // Chg A18
+        document.getElementById('cardConditionNotes').value = '';
 
     } catch (error) {
         showError('Error creating card: ' + error.message);
@@ -271,416 +886,4662 @@ async function createCard() {                                       // Chg A6
     }
 }
 
-// Authorize a grader (owner only)
-async function authorizeGrader() {
-    const graderAddr = document.getElementById('graderAccountAddress').value.trim();
-    if (!graderAddr) {
-        showError('Please enter a grader address');
-        return;
-    }
-    if (!graderContract) {
-        showError('Please initialize contracts first');
-        return;
-    }
+// === ERC-721 metadata (Chg A18) ===
+// Cards minted since Chg A18 point metadataCID at a metadata JSON whose "image"
+// is the uploaded picture; older cards point straight at the image.
+const CARD_ATTRIBUTE_FIELDS = [ // form field id → trait_type - Chg A18
+    ['cardSet', 'Set'],
+    ['cardNumber', 'Card Number'],
+    ['cardRarity', 'Rarity'],
+    ['cardEdition', 'Edition'],
+    ['cardLanguage', 'Language']
+];
 
-    try {
-        const gasEstimate = await graderContract.methods
-            .setGrader(graderAddr, true)
-            .estimateGas({ from: currentAccount });
+const cardMetadataCache = new Map(); // CID → Promise of resolved media; CIDs are immutable - Chg A18
 
-        await graderContract.methods
-            .setGrader(graderAddr, true)
-            .send({
-                from: currentAccount,
-                gas: Math.floor(gasEstimate * 1.5)
-            });
+// Attribute values and condition notes as typed into the Create Card form.
+// The metadata JSON itself is built by cardMetadataFor() in cardClient.js - Chg A33
+function readCardFormDetails() { // Chg A30 (was inline in buildCardMetadata)
+    const details = { conditionNotes: document.getElementById('cardConditionNotes').value.trim() };
+    CARD_ATTRIBUTE_FIELDS.forEach(([id, traitType]) => {
+        details[traitType] = document.getElementById(id).value.trim();
+    });
+    return details;
+}
 
-        showSuccess('Grader authorized successfully!');
-        if (graderAddr.toLowerCase() === currentAccount.toLowerCase()) {
-            await updateGraderControlsVisibility(); // Chg A3
-        }
-    } catch (error) {
-        showError('Error authorizing grader: ' + error.message);
-        console.error('Full error:', error);
+// Resolve a card's image URL and attributes from its metadataCID (cached)
+function fetchCardMetadata(metadataCID) { // Chg A18
+    const cid = (metadataCID || '').trim();
+    if (!cid) return Promise.resolve({ imageUrl: '', attributes: [], metadata: null });
+
+    if (!cardMetadataCache.has(cid)) {
+        cardMetadataCache.set(cid, resolveCardMetadata(cid).catch(error => {
+            // Gateway hiccup: don't cache, and treat the CID as an image like legacy cards
+            cardMetadataCache.delete(cid);
+            console.warn('Could not resolve metadata for', cid, error);
+            return { imageUrl: cidToImageUrl(cid), imageRef: cid, attributes: [], metadata: null };
+        }));
     }
+    return cardMetadataCache.get(cid);
 }
 
-// Load cards: show only listed ones in Market, with grading option for owner  // Chg A11
-async function loadCards() {                                                   // Chg A11
-    if (!cardRegistry || !marketplace) return;
+// imageRef is the CID/URI behind imageUrl, so the image can be retried on other gateways - Chg A34
+async function resolveCardMetadata(cid) { // Chg A18
+    const { res, url } = await fetchFromGateways(getIpfsGateways(), cid); // falls back across gateways - Chg A34
 
+    // The gateway serves JSON as application/json or text/plain; anything else is a legacy image
+    const type = res.headers.get('content-type') || '';
+    if (!type.includes('json') && !type.startsWith('text/')) {
+        return { imageUrl: url, imageRef: cid, attributes: [], metadata: null };
+    }
+
+    let metadata;
     try {
-        const cardsDiv = document.getElementById('cards');
-        cardsDiv.innerHTML = '<div class="loading">Loading cards...</div>';
+        metadata = JSON.parse(await res.text());
+    } catch (e) {
+        return { imageUrl: url, imageRef: cid, attributes: [], metadata: null };
+    }
+
+    return {
+        imageUrl: metadata.image ? cidToImageUrl(metadata.image) : '',
+        imageRef: metadata.image ? String(metadata.image) : '',
+        attributes: Array.isArray(metadata.attributes) ? metadata.attributes : [],
+        metadata
+    };
+}
 
-        const totalMinted = await cardRegistry.methods.totalMinted().call();
+// Fill in the image and attribute list of a rendered tile once its metadata resolves
+async function hydrateCardMedia(el, metadataCID) { // Chg A18
+    const { imageUrl, imageRef, attributes } = await fetchCardMetadata(metadataCID);
 
-        cardsDiv.innerHTML = '';
+    const img = el.querySelector('[data-card-image]');
+    const placeholder = el.querySelector('[data-card-image-placeholder]');
+    if (img && safeUrl(imageUrl)) { // metadata "image" is untrusted - Chg A31
+        loadIpfsImage(img, imageRef || imageUrl); // Chg A34
+        img.style.display = '';
+        if (placeholder) placeholder.style.display = 'none';
+    }
+
+    const list = el.querySelector('.card-attributes');
+    if (list) {
+        list.innerHTML = '';
+        attributes.forEach(attr => {
+            const item = document.createElement('span');
+            item.className = 'card-attribute';
+            item.textContent = (attr.trait_type ? attr.trait_type + ': ' : '') + attr.value;
+            list.appendChild(item);
+        });
+    }
+}
+
+// Shown in place of an image no gateway could deliver - Chg A34
+const BROKEN_IMAGE_PLACEHOLDER = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="420" viewBox="0 0 300 420">' +
+    '<rect width="300" height="420" fill="#eee"/>' +
+    '<text x="150" y="200" font-family="sans-serif" font-size="64" text-anchor="middle">🖼️</text>' +
+    '<text x="150" y="250" font-family="sans-serif" font-size="18" fill="#888" text-anchor="middle">Image unavailable</text>' +
+    '</svg>');
 
-        let listedCount = 0;
+// Point an <img> at the first gateway; each load error moves on to the next one,
+// and when all of them fail the placeholder is shown instead of a broken image - Chg A34
+function loadIpfsImage(img, ref) { // Chg A34
+    const urls = ipfsGatewayUrls(getIpfsGateways(), ref).map(safeUrl).filter(Boolean);
+    let next = 0;
+    const tryNext = () => {
+        if (next < urls.length) {
+            img.src = urls[next++];
+        } else {
+            img.onerror = null;
+            img.src = BROKEN_IMAGE_PLACEHOLDER; // own constant, not a URL from metadata
+            img.classList.add('image-unavailable');
+        }
+    };
+    // A property, not addEventListener: loading the same <img> again replaces the previous
+    // fallback chain instead of running several at once
+    img.onerror = tryNext;
+    img.onload = () => { img.onerror = null; };
+    tryNext();
+}
 
-        for (let i = 1; i <= totalMinted; i++) {
-            const card = await cardRegistry.methods.getCard(i).call();
-            const owner = await cardRegistry.methods.ownerOf(i).call();
-            const listingInfo = await marketplace.methods.getListingInfo(i).call();
+// Image types/size accepted for upload (card images, inspection photos, bulk imports) - Chg A34
+const IPFS_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']; // Chg A34
+const IPFS_MAX_IMAGE_BYTES = 20 * 1024 * 1024; // Chg A34 (was BULK_MAX_IMAGE_BYTES - Chg A30)
 
-            // Show only cards that are listed in the marketplace
-            if (!listingInfo.isListed) continue;
-            listedCount++;
+// Returns what is wrong with the file, or '' if it can be uploaded
+function validateImageFile(file) { // Chg A34
+    if (!file) return 'No file selected';
+    if (!IPFS_IMAGE_TYPES.includes(file.type)) {
+        return `"${file.name}" is not a PNG, JPEG, GIF or WebP image` + (file.type ? ` (${file.type})` : '');
+    }
+    if (file.size === 0) return `"${file.name}" is empty`;
+    if (file.size > IPFS_MAX_IMAGE_BYTES) {
+        return `"${file.name}" is ${(file.size / 1024 / 1024).toFixed(1)} MB; the limit is 20 MB`;
+    }
+    return '';
+}
 
-            const cardDiv = document.createElement('div');
-            cardDiv.className = 'card';
+// === Upload progress panel (Chg A34) ===
+// One row per file being uploaded; rows fade out a few seconds after they finish.
+function startUploadProgress(file) { // Chg A34
+    const panel = document.getElementById('uploadProgress');
+    const entry = document.createElement('div');
+    entry.className = 'upload-progress-item';
+    entry.innerHTML = html`<div class="upload-progress-name">${file.name}</div>
+        <div class="upload-progress-bar"><div class="upload-progress-fill"></div></div>
+        <div class="upload-progress-status">uploading 0%</div>`;
+    panel.appendChild(entry);
+    panel.style.display = 'block';
+    return entry;
+}
 
-            const isOwner =
-                currentAccount &&
-                owner.toLowerCase() === currentAccount.toLowerCase();
+function updateUploadProgress(entry, fraction) { // Chg A34
+    const percent = Math.min(100, Math.round(fraction * 100));
+    entry.querySelector('.upload-progress-fill').style.width = percent + '%';
+    entry.querySelector('.upload-progress-status').textContent =
+        percent < 100 ? 'uploading ' + percent + '%' : 'checking pin...';
+}
 
-            const gradeBadge = card.graded
-                ? `<span class="badge graded">Grade: ${card.grade}</span>`
-                : `<span class="badge ungraded">Ungraded</span>`;
+function finishUploadProgress(entry, outcome) { // Chg A34
+    entry.classList.add(outcome);
+    entry.querySelector('.upload-progress-status').textContent = outcome === 'pinned' ? '✓ pinned' : '✗ failed';
+    if (outcome === 'pinned') entry.querySelector('.upload-progress-fill').style.width = '100%';
+    setTimeout(() => {
+        const panel = document.getElementById('uploadProgress');
+        entry.remove();
+        if (!panel.children.length) panel.style.display = 'none';
+    }, outcome === 'pinned' ? 3000 : 8000);
+}
 
-            const listedBadge = `<span class="badge listed">Listed</span>`;
+// === Bulk import (Chg A30) ===
+// Mint a whole set from a CSV/JSON manifest plus the image files it names.
+// Every row goes image → metadata JSON → createCard → autoList; each step is saved
+// to a localStorage checkpoint keyed by registry + manifest hash, so a failed row
+// or a reload resumes where it stopped instead of minting the same card twice.
+const BULK_CHECKPOINT_PREFIX = 'pokemonCardBulkImport:'; // Chg A30
 
-            // Build image URL from metadataCID via local IPFS gateway
-            let imageUrl = '';
-            if (card.metadataCID && card.metadataCID.trim() !== '') {
-                const cid = card.metadataCID.trim();
-                if (cid.startsWith('http://') || cid.startsWith('https://')) {
-                    imageUrl = cid;
-                } else if (cid.startsWith('ipfs://')) {
-                    imageUrl = 'http://127.0.0.1:8080/ipfs/' + cid.replace('ipfs://', '');
-                } else {
-                    imageUrl = 'http://127.0.0.1:8080/ipfs/' + cid;
-                }
-            }
-            const imgHtml = imageUrl
-                ? `<div class="card-image-wrapper"><img class="card-image" src="${imageUrl}" alt="${card.name}"></div>`
-                : '';
-
-            // Buttons
-            const buyButton = !isOwner
-                ? `<button onclick="buyCard(${i}, '${card.metadataCID}')">💰 Buy Card</button>`
-                : '';
-
-            const ownerButtons = isOwner
-                ? `
-                            <button onclick="updatePrice(${i})" class="secondary">💲 Update Price</button>
-                            ${!card.graded
-                    ? `<button onclick="requestGrading(${i})" class="success">⭐ Request Grading</button>`
-                    : ''
-                }
-                        `
-                : '';
-
-            cardDiv.innerHTML = `
-                        <h3>${card.name}</h3>
-                        ${imgHtml}
-                        ${gradeBadge}
-                        ${listedBadge}
-                        <div class="card-info"><strong>Token ID:</strong> ${i}</div>
-                        <div class="card-info"><strong>Price:</strong> ${web3.utils.fromWei(card.price, 'ether')} ETH</div>
-                        <div class="card-info"><strong>Owner:</strong> ${owner.substring(0, 15)}...</div>
-                        <div class="card-info" style="word-break: break-all;">
-                            <strong>CID:</strong> ${card.metadataCID}
-                        </div>
-                        <div class="card-info"><strong>Created:</strong> ${new Date(card.createdAt * 1000).toLocaleDateString()}</div>
+// Manifest column → field. Attribute columns accept the trait name or the form field id.
+const BULK_COLUMN_ALIASES = { // Chg A30
+    name: 'name', card_name: 'name',
+    price: 'price', price_eth: 'price',
+    image: 'image', image_file: 'image', filename: 'image', file: 'image',
+    condition_notes: 'conditionNotes', conditionnotes: 'conditionNotes', notes: 'conditionNotes'
+};
+CARD_ATTRIBUTE_FIELDS.forEach(([id, traitType]) => {
+    BULK_COLUMN_ALIASES[traitType.toLowerCase().replace(/\s+/g, '_')] = traitType;
+    BULK_COLUMN_ALIASES[id.toLowerCase()] = traitType;
+    BULK_COLUMN_ALIASES[id.replace(/^card/, '').toLowerCase()] = traitType; // cardSet → set
+});
 
-                        <div class="card-actions">
-                            ${buyButton}
-                            ${ownerButtons}
-                            <button onclick="viewHistory(${i})">📜 View History</button>
-                        </div>
-                    `;
+let bulkImport = null; // { key, rows, files, checkpoint } after validation - Chg A30
+let bulkImportRunning = false; // Chg A30
+let bulkImportStopRequested = false; // Chg A30
 
-            cardsDiv.appendChild(cardDiv);
-        }
+// RFC 4180-ish: quoted fields, "" escapes, commas/newlines inside quotes
+function parseCsv(text) { // Chg A30
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
 
-        if (listedCount === 0) {
-            cardsDiv.innerHTML =
-                '<p style="text-align:center; color:#666;">No cards currently listed in the marketplace.</p>';
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += ch;
         }
-    } catch (error) {
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function normalizeManifestKey(key) { // Chg A30
+    // Excel-saved CSVs start with a byte order mark
+    const k = String(key).replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return BULK_COLUMN_ALIASES[k] || null;
+}
+
+// Manifest text → [{ line, name, price, image, details }]
+function parseBulkManifest(text, fileName) { // Chg A30
+    let records;
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('[') || text.trim().startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Manifest is not valid JSON: ' + e.message);
+        }
+        if (!Array.isArray(data)) data = data.cards;
+        if (!Array.isArray(data)) throw new Error('JSON manifest must be an array of cards (or { "cards": [...] })');
+
+        records = data.map((item, i) => {
+            const record = { line: i + 1 };
+            Object.entries(item || {}).forEach(([key, value]) => {
+                if (key === 'attributes' && Array.isArray(value)) {
+                    // ERC-721 style [{ trait_type, value }]
+                    value.forEach(attr => {
+                        const field = attr && normalizeManifestKey(attr.trait_type || '');
+                        if (field) record[field] = String(attr.value ?? '');
+                    });
+                } else if (key === 'attributes' && value && typeof value === 'object') {
+                    Object.entries(value).forEach(([k, v]) => {
+                        const field = normalizeManifestKey(k);
+                        if (field) record[field] = String(v ?? '');
+                    });
+                } else {
+                    const field = normalizeManifestKey(key);
+                    if (field) record[field] = String(value ?? '');
+                }
+            });
+            return record;
+        });
+    } else {
+        const table = parseCsv(text);
+        if (table.length < 2) throw new Error('CSV manifest needs a header row and at least one card');
+        const columns = table[0].map(normalizeManifestKey);
+        const unknown = table[0].filter((header, i) => !columns[i]);
+        if (unknown.length) throw new Error('Unknown manifest column(s): ' + unknown.join(', '));
+
+        records = table.slice(1).map((cells, i) => {
+            const record = { line: i + 2 }; // header is line 1
+            columns.forEach((field, c) => { record[field] = cells[c] !== undefined ? cells[c] : ''; });
+            return record;
+        });
+    }
+
+    return records.map(record => {
+        const details = { conditionNotes: (record.conditionNotes || '').trim() };
+        CARD_ATTRIBUTE_FIELDS.forEach(([, traitType]) => { details[traitType] = (record[traitType] || '').trim(); });
+        return {
+            line: record.line,
+            name: (record.name || '').trim(),
+            price: (record.price || '').trim(),
+            image: (record.image || '').trim(),
+            details
+        };
+    });
+}
+
+// Every problem with the manifest + files, before anything is uploaded or minted
+function validateBulkRows(rows, files) { // Chg A30
+    const errors = [];
+    const seen = new Map();
+
+    rows.forEach(row => {
+        const at = `Row ${row.line}`;
+        if (!row.name) errors.push(`${at}: name is required`);
+        if (!row.price || isNaN(Number(row.price)) || Number(row.price) <= 0) {
+            errors.push(`${at}: price must be a number of ETH greater than 0 (got "${row.price}")`);
+        } else {
+            try { web3.utils.toWei(row.price, 'ether'); }
+            catch (e) { errors.push(`${at}: price "${row.price}" has too many decimals`); }
+        }
+
+        if (!row.image) {
+            errors.push(`${at}: image filename is required`);
+        } else {
+            const file = findBulkImage(files, row.image);
+            if (!file) errors.push(`${at}: image "${row.image}" is not among the selected files`);
+            else if (validateImageFile(file)) errors.push(`${at}: ${validateImageFile(file)}`); // shared limits - Chg A34
+        }
+
+        // Identical rows produce identical metadata CIDs, which the resume logic treats as one card
+        const signature = JSON.stringify([row.name, row.image, row.details]);
+        if (seen.has(signature)) errors.push(`${at}: duplicate of row ${seen.get(signature)}`);
+        else seen.set(signature, row.line);
+    });
+
+    if (rows.length === 0) errors.push('The manifest has no cards');
+    return errors;
+}
+
+// Exact filename first, then case-insensitive
+function findBulkImage(files, name) { // Chg A30
+    return files.find(f => f.name === name) ||
+        files.find(f => f.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+function loadBulkCheckpoint(key) { // Chg A30
+    try {
+        return JSON.parse(localStorage.getItem(key)) || { rows: {} };
+    } catch (e) {
+        return { rows: {} };
+    }
+}
+
+function saveBulkCheckpoint() { // Chg A30
+    bulkImport.checkpoint.updatedAt = Date.now();
+    localStorage.setItem(bulkImport.key, JSON.stringify(bulkImport.checkpoint));
+}
+
+// Read + validate the manifest and images, pick up any checkpoint for this manifest
+async function validateBulkImport() { // Chg A30
+    const manifestFile = document.getElementById('bulkManifestFile').files[0];
+    const files = Array.from(document.getElementById('bulkImageFiles').files);
+    const errorsDiv = document.getElementById('bulkErrors');
+    errorsDiv.innerHTML = '';
+    bulkImport = null;
+    renderBulkRows();
+
+    if (!cardRegistry || !marketplace) {
+        showError('Please initialize contracts first');
+        return false;
+    }
+    if (!manifestFile) {
+        showError('Please choose a CSV or JSON manifest');
+        return false;
+    }
+
+    try {
+        const text = await manifestFile.text();
+        const rows = parseBulkManifest(text, manifestFile.name);
+        const errors = validateBulkRows(rows, files);
+        if (errors.length) {
+            errorsDiv.innerHTML = html`<strong>${errors.length} problem(s) - nothing was uploaded or minted:</strong>
+                <ul>${errors.map(e => html`<li>${e}</li>`)}</ul>`; // Chg A31
+            return false;
+        }
+
+        const key = BULK_CHECKPOINT_PREFIX + cardRegistry.options.address.toLowerCase() + ':' + web3.utils.sha3(text);
+        bulkImport = { key, rows, files, checkpoint: loadBulkCheckpoint(key) };
+        bulkImport.checkpoint.manifest = manifestFile.name;
+        renderBulkRows();
+
+        const done = rows.filter(row => bulkRowState(row).status === 'done').length;
+        showSuccess(done
+            ? `Manifest OK: ${rows.length} card(s), ${done} already imported - Start resumes with the rest`
+            : `Manifest OK: ${rows.length} card(s) ready to import`);
+        return true;
+    } catch (error) {
+        errorsDiv.textContent = error.message;
+        return false;
+    }
+}
+
+function bulkRowState(row) { // Chg A30
+    const rows = bulkImport.checkpoint.rows;
+    if (!rows[row.line]) rows[row.line] = { status: 'pending' };
+    return rows[row.line];
+}
+
+async function startBulkImport() { // Chg A30
+    if (bulkImportRunning) return;
+    if (!bulkImport && !(await validateBulkImport())) return;
+    if (!bulkImport) return;
+
+    const autoList = document.getElementById('bulkAutoList').checked;
+    const todo = bulkImport.rows.filter(row => bulkRowState(row).status !== 'done');
+    if (todo.length === 0) {
+        showSuccess('Every card in this manifest has already been imported');
+        return;
+    }
+    if (!confirm(`Import ${todo.length} card(s)? Each one is an IPFS upload plus ${autoList ? 'two transactions' : 'one transaction'}.`)) return;
+
+    bulkImportRunning = true;
+    bulkImportStopRequested = false;
+    updateBulkButtons();
+
+    let failed = 0;
+    try {
+        // Mints an earlier, interrupted run sent are looked up in the index
+        await syncCardIndex();
+        for (const row of todo) {
+            if (bulkImportStopRequested) break;
+            try {
+                await importBulkRow(row, autoList);
+            } catch (error) {
+                failed++;
+                const state = bulkRowState(row);
+                state.status = 'failed';
+                state.error = error.message;
+                saveBulkCheckpoint();
+                renderBulkRows();
+                console.error('Bulk import row ' + row.line + ' failed:', error);
+            }
+        }
+    } finally {
+        bulkImportRunning = false;
+        updateBulkButtons();
+        loadCards();
+    }
+
+    if (bulkImportStopRequested) showSuccess('Bulk import paused - Start resumes from the next card');
+    else if (failed) showError(`${failed} card(s) failed - fix the cause and press Start to retry only those`);
+    else showSuccess('Bulk import finished');
+}
+
+function stopBulkImport() { // Chg A30
+    bulkImportStopRequested = true;
+    showSuccess('Stopping after the current card...');
+}
+
+// One manifest row, resuming from whichever step the checkpoint reached
+async function importBulkRow(row, autoList) { // Chg A30
+    const state = bulkRowState(row);
+    state.error = null;
+    const step = status => {
+        state.status = status;
+        saveBulkCheckpoint();
+        renderBulkRows();
+    };
+
+    if (!state.imageCID) {
+        step('uploading image');
+        state.imageCID = await uploadFileToIPFS(findBulkImage(bulkImport.files, row.image));
+    }
+    if (!state.metadataCID) {
+        step('uploading metadata');
+        state.metadataCID = await cardClient.uploadJSON(cardMetadataFor(row.name, state.imageCID, row.details)); // Chg A33
+    }
+
+    if (!state.tokenId) {
+        // A reload between sending createCard and saving its token id leaves mintFromBlock but no tokenId
+        const existing = state.mintFromBlock !== undefined && await findInterruptedBulkMint(state);
+        if (existing) {
+            state.tokenId = existing.tokenId;
+        } else {
+            state.mintFromBlock = Number(await web3.eth.getBlockNumber());
+            step('minting');
+            const { tokenId } = await cardClient.mintCard({ // Chg A33
+                to: currentAccount,
+                name: row.name,
+                metadataCID: state.metadataCID,
+                price: web3.utils.toWei(row.price, 'ether'),
+                label: `Create card "${row.name}" (bulk row ${row.line})`
+            });
+            state.tokenId = tokenId;
+        }
+        step('minted');
+    }
+
+    if (autoList && !state.listed) {
+        const listed = await marketplace.methods.listed(state.tokenId).call();
+        if (!listed) {
+            step('listing');
+            await cardClient.autoList(state.tokenId); // Chg A33
+        }
+        state.listed = true;
+    }
+    step('done');
+}
+
+// CardCreated of the mint this row sent before an interruption. CIDs are content-addressed, so an
+// identical card minted earlier (by anyone, or by another row) has the same CID: only mints to this
+// account after the send, and not already claimed by a row of this checkpoint, count.
+async function findInterruptedBulkMint(state) { // Chg A30
+    const claimed = new Set(Object.values(bulkImport.checkpoint.rows).map(row => row.tokenId).filter(Boolean).map(String));
+    return (await getIndexedEventsByName('CardCreated')).find(ev =>
+        ev.blockNumber > state.mintFromBlock &&
+        ev.values.metadataCID === state.metadataCID &&
+        ev.values.creator.toLowerCase() === currentAccount.toLowerCase() &&
+        !claimed.has(String(ev.tokenId)));
+}
+
+function clearBulkCheckpoint() { // Chg A30
+    if (!bulkImport) {
+        showError('Validate a manifest first');
+        return;
+    }
+    if (!confirm('Forget the progress saved for this manifest? Cards already minted stay on-chain and are not reused: Start would upload and mint every row again, creating duplicates.')) return;
+    localStorage.removeItem(bulkImport.key);
+    bulkImport.checkpoint = { rows: {} };
+    renderBulkRows();
+}
+
+function updateBulkButtons() { // Chg A30
+    document.getElementById('bulkStartBtn').disabled = bulkImportRunning;
+    document.getElementById('bulkValidateBtn').disabled = bulkImportRunning;
+    document.getElementById('bulkStopBtn').disabled = !bulkImportRunning;
+}
+
+function renderBulkRows() { // Chg A30
+    const container = document.getElementById('bulkRows');
+    if (!bulkImport) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = bulkImport.rows;
+    const done = rows.filter(row => bulkRowState(row).status === 'done').length;
+    container.innerHTML = html`
+        <div class="bulk-progress"><div class="bulk-progress-bar" style="width:${Math.round(done / rows.length * 100)}%"></div></div>
+        <p>${done} / ${rows.length} imported</p>
+        <table class="data-table">
+            <tr><th>Row</th><th>Name</th><th>Price</th><th>Image</th><th>Status</th><th>Token</th></tr>
+            ${rows.map(row => {
+                const state = bulkRowState(row);
+                return html`
+                <tr class="bulk-row bulk-${state.status.split(' ')[0]}">
+                    <td>${row.line}</td>
+                    <td>${row.name}</td>
+                    <td>${row.price} ETH</td>
+                    <td>${row.image}</td>
+                    <td>${state.status}${state.error ? ': ' + state.error : ''}</td>
+                    <td>${state.tokenId ? html`<a href="#/card/${state.tokenId}">#${state.tokenId}</a>` : ''}</td>
+                </tr>`;
+            })}
+        </table>
+    `; // Chg A31
+}
+
+// Authorize a grader (owner only)
+async function authorizeGrader() {
+    const graderAddr = document.getElementById('graderAccountAddress').value.trim();
+    if (!graderAddr) {
+        showError('Please enter a grader address');
+        return;
+    }
+    if (!graderContract) {
+        showError('Please initialize contracts first');
+        return;
+    }
+
+    try {
+        await sendTx(graderContract.methods.setGrader(graderAddr, true), // Chg A27
+            { label: 'Authorize grader ' + graderAddr.substring(0, 10) + '...' });
+
+        showSuccess('Grader authorized successfully!');
+        if (graderAddr.toLowerCase() === currentAccount.toLowerCase()) {
+            await updateGraderControlsVisibility(); // Chg A3
+        }
+    } catch (error) {
+        showError('Error authorizing grader: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// Load cards: show only listed ones in Market, with grading option for owner  // Chg A11
+async function loadCards() {                                                   // Chg A11
+    if (!cardRegistry || !marketplace) return;
+
+    try {
+        const cardsDiv = document.getElementById('cards');
+        cardsDiv.innerHTML = '<div class="loading">Loading cards...</div>';
+
+        // Catch up the local index, then render from it instead of per-token RPC - Chg A13
+        await syncCardIndex();
+        await renderMarket(); // search/filter/sort/page - Chg A23
+        await renderAuctions(); // Chg A29
+    } catch (error) {
         showError('Error loading cards: ' + error.message);
         console.error('loadCards error:', error);
     }
 }
 
+// Build the market tile for one listed card - Chg A12
+function buildMarketCard(tokenId, card, owner) { // Chg A12
+    const cardDiv = document.createElement('div');
+    cardDiv.className = 'card';
+    cardDiv.dataset.tokenId = tokenId; // lets live updates find this tile - Chg A12
+
+    const isOwner =
+        currentAccount &&
+        owner.toLowerCase() === currentAccount.toLowerCase();
+
+    // Every fragment is html`` so on-chain strings stay text - Chg A31
+    const gradeBadge = card.graded
+        ? html`<span class="badge graded">Grade: ${card.grade}</span>`
+        : html`<span class="badge ungraded">Ungraded</span>`;
+
+    // Owner views also show unlisted cards through this tile - Chg A24
+    const listedBadge = card.isListed
+        ? html`<span class="badge listed">Listed</span>`
+        : html`<span class="badge unlisted">Not Listed</span>`;
+
+    // Image and attributes are resolved from the metadata JSON after render - Chg A18
+    const imgHtml = card.metadataCID
+        ? html`<div class="card-image-wrapper"><img class="card-image" data-card-image style="display:none;" alt="${card.name}"></div>`
+        : '';
+
+    // Filled in after the approval check - Chg A26
+    const purchasableBadge = card.isListed
+        ? html`<span class="badge not-purchasable" data-not-purchasable style="display:none;">Not Purchasable</span>`
+        : '';
+
+    // Buttons
+    const buyButton = !isOwner && card.isListed // Chg A24
+        ? html`<button ${action('buyCard', tokenId)} data-buy-button>💰 Buy Card</button>` // Chg A22, A26
+        : '';
+    const offerButton = !isOwner && currentAccount // Chg A28
+        ? html`<button ${action('makeOffer', tokenId)} class="secondary">🤝 Make Offer</button>`
+        : '';
+
+    const ownerButtons = isOwner
+        ? html`
+                    <button ${action('updatePrice', tokenId)} class="secondary">💲 Update Price</button>
+                    ${!card.graded
+            ? html`<button ${action('requestGrading', tokenId)} class="success">⭐ Request Grading</button>`
+            : ''
+        }
+                `
+        : '';
+
+    cardDiv.innerHTML = html`
+                <h3><a href="#/card/${tokenId}">${card.name}</a></h3> <!-- detail view - Chg A24 -->
+                ${imgHtml}
+                ${gradeBadge}
+                ${listedBadge}
+                ${purchasableBadge}
+                <div class="card-attributes"></div>
+                <div class="card-info"><strong>Token ID:</strong> ${tokenId}</div>
+                <div class="card-info"><strong>Price:</strong> ${web3.utils.fromWei(card.price, 'ether')} ETH</div>
+                <div class="card-info"><strong>Owner:</strong> <a href="#/owner/${owner}">${owner.substring(0, 15)}...</a></div>
+                <div class="card-info" style="word-break: break-all;">
+                    <strong>CID:</strong> ${card.metadataCID}
+                </div>
+                <div class="card-info"><strong>Created:</strong> ${new Date(card.createdAt * 1000).toLocaleDateString()}</div>
+
+                <div class="card-actions">
+                    ${buyButton}
+                    ${offerButton}
+                    ${ownerButtons}
+                    ${watchButton(tokenId)} <!-- Chg A35 -->
+                    <button ${action('viewHistory', tokenId)}>📜 View History</button>
+                    ${card.graded ? html`<button ${action('viewCertificate', tokenId)} class="success">📄 Certificate</button>` : ''}
+                    <button ${action('verifyCard', tokenId)} class="success">🔍 Verify</button>
+                </div>
+            `;
+
+    hydrateCardMedia(cardDiv, card.metadataCID); // Chg A18
+    if (card.isListed) markPurchasability(cardDiv, tokenId, owner); // Chg A26
+    return cardDiv;
+}
+
+// Insert or replace a market tile, keeping the grid in token-ID order - Chg A12
+function upsertMarketCard(cardsDiv, tokenId, cardDiv) { // Chg A12
+    // Drop the "loading"/"no cards" placeholder if it is still there
+    cardsDiv.querySelectorAll(':scope > :not(.card)').forEach(el => el.remove());
+
+    const existing = cardsDiv.querySelector(`.card[data-token-id="${tokenId}"]`);
+    if (existing) {
+        existing.replaceWith(cardDiv);
+        return;
+    }
+
+    const next = Array.from(cardsDiv.querySelectorAll('.card'))
+        .find(el => Number(el.dataset.tokenId) > Number(tokenId));
+    cardsDiv.insertBefore(cardDiv, next || null);
+}
+
+// Re-render (or remove) a single market tile after an on-chain change - Chg A12
+async function refreshMarketCard(tokenId) { // Chg A12
+    if (!cardRegistry || !marketplace) return;
+
+    const cardsDiv = document.getElementById('cards');
+    try {
+        // Only swap the tile in place if the visible page keeps the same cards
+        // in the same order; otherwise the filters/sort moved things, so redraw the page - Chg A23
+        const allCards = await getIndexedCards();
+        const { pageCards } = computeMarketPage(allCards);
+        const pageIds = pageCards.map(card => card.tokenId);
+        const shownIds = Array.from(cardsDiv.querySelectorAll('.card')).map(el => Number(el.dataset.tokenId));
+
+        const samePage = pageIds.length === shownIds.length && pageIds.every((id, i) => id === shownIds[i]);
+        if (!samePage) {
+            await renderMarket(allCards);
+            return;
+        }
+
+        const card = pageCards.find(c => c.tokenId === Number(tokenId));
+        const existing = cardsDiv.querySelector(`.card[data-token-id="${tokenId}"]`);
+        if (card && existing) {
+            existing.replaceWith(buildMarketCard(card.tokenId, card, card.owner));
+        }
+    } catch (error) {
+        console.error('refreshMarketCard error for token', tokenId, error);
+    }
+}
+
+// === Market search, filters, sorting and paging (Chg A23) ===
+// Filter state lives in localStorage and in the #/market?... route, so it
+// survives reloads and a copied link opens the same view.
+const MARKET_FILTERS_STORAGE_KEY = 'pokemonCardMarketFilters'; // Chg A23
+const MARKET_FILTER_DEFAULTS = { // Chg A23
+    q: '',
+    graded: 'all', // all | graded | ungraded
+    minGrade: '',
+    maxGrade: '',
+    minPrice: '',
+    maxPrice: '',
+    owner: '',
+    hideMine: false,
+    sort: 'id', // id | price-asc | price-desc | grade-desc | grade-asc | newest | most-traded
+    page: 1,
+    pageSize: 24
+};
+// control id → filter key
+const MARKET_FILTER_CONTROLS = { // Chg A23
+    marketSearch: 'q',
+    marketGraded: 'graded',
+    marketMinGrade: 'minGrade',
+    marketMaxGrade: 'maxGrade',
+    marketMinPrice: 'minPrice',
+    marketMaxPrice: 'maxPrice',
+    marketOwner: 'owner',
+    marketHideMine: 'hideMine',
+    marketSort: 'sort',
+    marketPageSize: 'pageSize'
+};
+
+let marketFilters = { ...MARKET_FILTER_DEFAULTS }; // Chg A23
+
+// Last saved state; a #/market?... link overrides it when routed - Chg A24
+function initMarketFilters() { // Chg A23
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(MARKET_FILTERS_STORAGE_KEY) || '{}');
+    } catch (e) {
+        saved = {};
+    }
+    marketFilters = { ...MARKET_FILTER_DEFAULTS, ...saved };
+    applyMarketFiltersToControls();
+}
+
+// Called by the router for #/market: a query in the link wins (shared view),
+// a bare #/market keeps the saved filters and writes them back into the URL
+function applyMarketQuery(query) { // Chg A24
+    const fromUrl = marketFiltersFromQuery(query);
+    if (Object.keys(fromUrl).length) {
+        marketFilters = { ...MARKET_FILTER_DEFAULTS, ...fromUrl };
+        applyMarketFiltersToControls();
+    }
+    saveMarketFilters();
+    renderMarket();
+}
+
+function marketFiltersFromQuery(search) { // Chg A23
+    const params = new URLSearchParams(search);
+    const filters = {};
+    Object.keys(MARKET_FILTER_DEFAULTS).forEach(key => {
+        if (!params.has(key)) return;
+        const value = params.get(key);
+        if (key === 'hideMine') filters[key] = value === '1' || value === 'true';
+        else if (key === 'graded') filters[key] = value === '1' ? 'graded' : value === '0' ? 'ungraded' : value; // short form - Chg A24
+        else if (key === 'page' || key === 'pageSize') filters[key] = Math.max(1, parseInt(value, 10) || MARKET_FILTER_DEFAULTS[key]);
+        else filters[key] = value;
+    });
+    return filters;
+}
+
+// Only non-default values, so links stay short
+function marketFiltersToQuery(filters) { // Chg A23
+    const params = new URLSearchParams();
+    Object.keys(MARKET_FILTER_DEFAULTS).forEach(key => {
+        const value = filters[key];
+        if (value === MARKET_FILTER_DEFAULTS[key] || value === '' || value === false) return;
+        params.set(key, value === true ? '1' : String(value));
+    });
+    return params.toString();
+}
+
+function applyMarketFiltersToControls() { // Chg A23
+    Object.keys(MARKET_FILTER_CONTROLS).forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const value = marketFilters[MARKET_FILTER_CONTROLS[id]];
+        if (el.type === 'checkbox') el.checked = !!value;
+        else el.value = value;
+    });
+}
+
+function saveMarketFilters() { // Chg A23
+    localStorage.setItem(MARKET_FILTERS_STORAGE_KEY, JSON.stringify(marketFilters));
+    if (currentRoute.page !== 'market') return;
+    const query = marketFiltersToQuery(marketFilters);
+    history.replaceState(null, '', '#/market' + (query ? '?' + query : '')); // Chg A24
+}
+
+// Any filter control changed: back to page 1
+function onMarketFiltersChanged() { // Chg A23
+    Object.keys(MARKET_FILTER_CONTROLS).forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const key = MARKET_FILTER_CONTROLS[id];
+        marketFilters[key] = el.type === 'checkbox' ? el.checked
+            : key === 'pageSize' ? parseInt(el.value, 10) : el.value.trim();
+    });
+    marketFilters.page = 1;
+    saveMarketFilters();
+    renderMarket();
+}
+
+function resetMarketFilters() { // Chg A23
+    marketFilters = { ...MARKET_FILTER_DEFAULTS };
+    applyMarketFiltersToControls();
+    saveMarketFilters();
+    renderMarket();
+}
+
+function goToMarketPage(page) { // Chg A23
+    marketFilters.page = page;
+    saveMarketFilters();
+    renderMarket();
+    document.getElementById('cards').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function copyMarketLink() { // Chg A23
+    saveMarketFilters();
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showSuccess('Link to this market view copied to clipboard');
+    } catch (error) {
+        prompt('Copy this link:', window.location.href);
+    }
+}
+
+function gradeNumber(card) { // Chg A23
+    const n = parseFloat(card.grade);
+    return card.graded && !isNaN(n) ? n : null;
+}
+
+// Listed cards that pass the filters, in the chosen order
+function filterAndSortMarket(cards, filters) { // Chg A23
+    const q = filters.q.toLowerCase();
+    const owner = filters.owner.toLowerCase();
+    const minGrade = filters.minGrade === '' ? null : parseFloat(filters.minGrade);
+    const maxGrade = filters.maxGrade === '' ? null : parseFloat(filters.maxGrade);
+    const toWei = eth => (eth === '' || isNaN(Number(eth)) ? null : BigInt(web3.utils.toWei(String(eth), 'ether')));
+    const minPrice = toWei(filters.minPrice);
+    const maxPrice = toWei(filters.maxPrice);
+    const me = currentAccount ? currentAccount.toLowerCase() : null;
+
+    const matching = cards.filter(card => {
+        if (!card.isListed) return false;
+        if (q && !card.name.toLowerCase().includes(q)) return false;
+        if (filters.graded === 'graded' && !card.graded) return false;
+        if (filters.graded === 'ungraded' && card.graded) return false;
+
+        const grade = gradeNumber(card);
+        if ((minGrade !== null || maxGrade !== null) && grade === null) return false;
+        if (minGrade !== null && grade < minGrade) return false;
+        if (maxGrade !== null && grade > maxGrade) return false;
+
+        const price = BigInt(card.price);
+        if (minPrice !== null && price < minPrice) return false;
+        if (maxPrice !== null && price > maxPrice) return false;
+
+        if (owner && !card.owner.toLowerCase().includes(owner)) return false;
+        if (filters.hideMine && me && card.owner.toLowerCase() === me) return false;
+        return true;
+    });
+
+    const byPrice = (a, b) => (BigInt(a.price) < BigInt(b.price) ? -1 : BigInt(a.price) > BigInt(b.price) ? 1 : 0);
+    // ungraded cards sort after graded ones in both grade directions
+    const byGrade = dir => (a, b) => {
+        const ga = gradeNumber(a);
+        const gb = gradeNumber(b);
+        if (ga === null && gb === null) return 0;
+        if (ga === null) return 1;
+        if (gb === null) return -1;
+        return dir * (ga - gb);
+    };
+    const comparators = {
+        'id': (a, b) => a.tokenId - b.tokenId,
+        'price-asc': byPrice,
+        'price-desc': (a, b) => byPrice(b, a),
+        'grade-desc': byGrade(-1),
+        'grade-asc': byGrade(1),
+        'newest': (a, b) => Number(b.createdAt) - Number(a.createdAt) || b.tokenId - a.tokenId,
+        'most-traded': (a, b) => (b.purchaseCount || 0) - (a.purchaseCount || 0) || a.tokenId - b.tokenId
+    };
+    const compare = comparators[filters.sort] || comparators.id;
+    return matching.sort((a, b) => compare(a, b) || a.tokenId - b.tokenId);
+}
+
+// Matching cards plus the slice for the current page (clamps the page number)
+function computeMarketPage(cards) { // Chg A23
+    const matching = filterAndSortMarket(cards, marketFilters);
+    const pageSize = marketFilters.pageSize || MARKET_FILTER_DEFAULTS.pageSize;
+    const pageCount = Math.max(1, Math.ceil(matching.length / pageSize));
+    const page = Math.min(Math.max(1, marketFilters.page), pageCount);
+    marketFilters.page = page;
+    return {
+        matching,
+        page,
+        pageCount,
+        pageCards: matching.slice((page - 1) * pageSize, page * pageSize)
+    };
+}
+
+async function renderMarket(allCards) { // Chg A23
+    if (!cardRegistry || !marketplace) return;
+
+    const cardsDiv = document.getElementById('cards');
+    const cards = allCards || await getIndexedCards();
+    const listedTotal = cards.filter(card => card.isListed).length;
+    const { matching, page, pageCount, pageCards } = computeMarketPage(cards);
+
+    cardsDiv.innerHTML = '';
+    pageCards.forEach(card => {
+        cardsDiv.appendChild(buildMarketCard(card.tokenId, card, card.owner));
+    });
+
+    if (listedTotal === 0) {
+        cardsDiv.innerHTML = EMPTY_MARKET_HTML; // Chg A12
+    } else if (matching.length === 0) {
+        cardsDiv.innerHTML = '<p style="text-align:center; color:#666;">No listed cards match these filters.</p>';
+    }
+
+    document.getElementById('marketSummary').textContent =
+        `${matching.length} of ${listedTotal} listed cards`;
+
+    const pager = document.getElementById('marketPager');
+    pager.innerHTML = '';
+    if (pageCount > 1) {
+        const prev = document.createElement('button');
+        prev.textContent = '◀ Prev';
+        prev.disabled = page <= 1;
+        prev.onclick = () => goToMarketPage(page - 1);
+
+        const label = document.createElement('span');
+        label.className = 'pager-label';
+        label.textContent = `Page ${page} of ${pageCount}`;
+
+        const next = document.createElement('button');
+        next.textContent = 'Next ▶';
+        next.disabled = page >= pageCount;
+        next.onclick = () => goToMarketPage(page + 1);
+
+        pager.append(prev, label, next);
+    }
+}
+
+// Buy a card: show a verified pre-purchase summary first - Chg A22
+async function buyCard(tokenId) {
+    try {
+        // Snapshot of the card as this page knows it; the purchase is pinned to it
+        const snapshot = await getIndexedCard(tokenId);
+        if (!snapshot) throw new Error('Token #' + tokenId + ' is not in the card index');
+
+        const { checks } = await runCardVerification(tokenId, snapshot);
+        const blocked = checks.some(c => !c.ok && c.blocking);
+
+        const fee = await marketplace.methods.calculatePlatformFee(snapshot.price).call();
+        const royalty = await cardClient.royaltyFor(tokenId, snapshot.price); // EIP-2981 - Chg A36
+        const sellerAmount = web3.utils.toBN(snapshot.price).sub(web3.utils.toBN(fee)).sub(web3.utils.toBN(royalty.amount));
+        const expectedHash = computeCardHash(tokenId, snapshot);
+
+        pendingPurchase = { tokenId, snapshot, expectedHash };
+
+        showModal(html`
+            <h2>💰 Confirm Purchase - ${snapshot.name}</h2>
+            <div class="purchase-summary">
+                <div class="card-info"><strong>Token ID:</strong> ${tokenId}</div>
+                <div class="card-info"><strong>Grade:</strong> ${snapshot.graded ? snapshot.grade : 'Ungraded'}</div>
+                <div class="card-info"><strong>Seller:</strong> ${snapshot.owner}</div>
+                <div class="card-info"><strong>Price:</strong> ${web3.utils.fromWei(snapshot.price, 'ether')} ETH</div>
+                <div class="card-info"><strong>Platform Fee:</strong> ${web3.utils.fromWei(fee, 'ether')} ETH</div>
+                <div class="card-info"><strong>Creator Royalty:</strong> ${royalty.amount !== '0' // Chg A36
+            ? html`${web3.utils.fromWei(royalty.amount, 'ether')} ETH to ${royalty.receiver}`
+            : 'none'}</div>
+                <div class="card-info"><strong>Seller Receives:</strong> ${web3.utils.fromWei(sellerAmount, 'ether')} ETH</div>
+                <div class="card-info" style="word-break: break-all;"><strong>Metadata CID:</strong> ${snapshot.metadataCID}</div>
+                <div class="card-info" style="word-break: break-all;"><strong>Card Hash:</strong> ${expectedHash}</div>
+            </div>
+            ${renderCheckList(checks)}
+            <p style="margin: 10px 0; color: #666;">
+                The purchase uses <code>buyWithHashVerification</code>: it reverts if the card's name,
+                metadata or grade changes before your transaction is mined.
+            </p>
+            <button id="confirmPurchaseBtn" ${action('confirmPurchase')} ${blocked ? rawHtml('disabled') : ''}>✅ Confirm Purchase</button>
+            <button ${action('closeModal')} class="secondary">Cancel</button>
+        `);
+
+    } catch (error) {
+        showError('Error buying card: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// Send the purchase pinned to the snapshot shown in the summary - Chg A22
+async function confirmPurchase() {
+    if (!pendingPurchase) return;
+    const { tokenId, snapshot, expectedHash } = pendingPurchase;
+    const btn = document.getElementById('confirmPurchaseBtn');
+    if (btn) btn.disabled = true;
+
+    try {
+        await cardClient.buy(tokenId, { // Chg A27, Chg A33
+            price: snapshot.price,
+            metadataCID: snapshot.metadataCID,
+            expectedHash,
+            name: snapshot.name
+        });
+
+        pendingPurchase = null;
+        closeModal();
+        showSuccess('Card purchased successfully!');
+        loadCards();
+        await updateAccountInfo();
+
+    } catch (error) {
+        showError('Error buying card: ' + error.message);
+        console.error('Full error:', error);
+        if (btn) btn.disabled = false;
+    }
+}
+
+// === Card integrity verification (Chg A22) ===
+// Same packing as CardRegistry.getCardHash():
+// keccak256(abi.encodePacked(tokenId, name, metadataCID, grade, createdAt))
+function computeCardHash(tokenId, card) { // Chg A22
+    return web3.utils.soliditySha3(
+        { t: 'uint256', v: String(tokenId) },
+        { t: 'string', v: card.name },
+        { t: 'string', v: card.metadataCID },
+        { t: 'string', v: card.grade },
+        { t: 'uint64', v: String(card.createdAt) }
+    );
+}
+
+// "Verify card" button: run every check and show the report
+async function verifyCard(tokenId) { // Chg A22
+    try {
+        showModal('<div class="loading">Verifying card...</div>');
+        const snapshot = await getIndexedCard(tokenId);
+        const { checks, chainCard } = await runCardVerification(tokenId, snapshot);
+
+        showModal(html`
+            <h2>🔍 Verify Card - ${chainCard.name}</h2>
+            <p style="margin: 15px 0; color: #666;">Token ID: ${tokenId}</p>
+            ${renderCheckList(checks)}
+        `);
+    } catch (error) {
+        closeModal();
+        showError('Error verifying card: ' + error.message);
+    }
+}
+
+// Compare on-chain state, the page's snapshot and the IPFS content.
+// "blocking" failures disable the purchase button.
+async function runCardVerification(tokenId, snapshot) { // Chg A22
+    const checks = [];
+    const check = (ok, message, blocking = false) => checks.push({ ok, message, blocking });
+
+    const chainCard = await cardRegistry.methods.getCard(tokenId).call();
+    const listing = await marketplace.methods.getListingInfo(tokenId).call();
+    const chainHash = await cardRegistry.methods.getCardHash(tokenId).call();
+
+    const recomputed = computeCardHash(tokenId, chainCard);
+    check(recomputed === chainHash,
+        recomputed === chainHash
+            ? 'Card hash recomputed from getCard() matches getCardHash()'
+            : `Recomputed hash ${recomputed} does not match getCardHash() ${chainHash}`, true);
+
+    if (snapshot) {
+        const snapshotHash = computeCardHash(tokenId, snapshot);
+        check(snapshotHash === chainHash,
+            snapshotHash === chainHash
+                ? 'Name, metadata and grade unchanged since this page loaded them'
+                : 'Card changed since this page loaded it (name, metadata or grade) — refresh before buying', true);
+        check(snapshot.owner.toLowerCase() === listing.owner.toLowerCase(),
+            snapshot.owner.toLowerCase() === listing.owner.toLowerCase()
+                ? 'Owner is ' + listing.owner
+                : `Owner changed to ${listing.owner} since this page loaded`, true);
+        check(snapshot.price === listing.price,
+            snapshot.price === listing.price
+                ? 'Listing price is ' + web3.utils.fromWei(listing.price, 'ether') + ' ETH'
+                : `Price changed to ${web3.utils.fromWei(listing.price, 'ether')} ETH since this page loaded`, true);
+    }
+
+    check(listing.isListed, listing.isListed ? 'Card is listed for sale' : 'Card is not listed for sale', true);
+
+    // Always ask the chain here, not the cache - Chg A26
+    marketApprovalCache.delete(listing.owner.toLowerCase());
+    const purchasable = await isCardPurchasable(tokenId, listing.owner);
+    check(purchasable,
+        purchasable
+            ? 'Seller has approved the marketplace to transfer the card'
+            : "Seller hasn't approved the marketplace to transfer the card, so the purchase would revert", true);
+    if (currentAccount) {
+        const own = listing.owner.toLowerCase() === currentAccount.toLowerCase();
+        check(!own, own ? 'You already own this card' : 'Seller is a different account', true);
+    }
+
+    const ipfs = await verifyIpfsContent(chainCard.metadataCID);
+    check(ipfs.ok, 'IPFS content: ' + ipfs.message);
+
+    // Metadata JSON should describe the same card
+    const { metadata } = await fetchCardMetadata(chainCard.metadataCID);
+    if (metadata && metadata.name !== undefined) {
+        check(metadata.name === chainCard.name,
+            metadata.name === chainCard.name
+                ? 'Metadata name matches on-chain name'
+                : `Metadata name "${metadata.name}" differs from on-chain name "${chainCard.name}"`);
+    }
+
+    return { checks, chainCard, listing, chainHash };
+}
+
+// Fetch the CID's root block from the gateway and check it hashes to the CID
+async function verifyIpfsContent(cid) { // Chg A22
+    const value = (cid || '').trim().replace('ipfs://', '');
+    if (!value || value.startsWith('http')) {
+        return { ok: false, message: 'metadata is not an IPFS CID' };
+    }
+
+    const multihash = parseCidMultihash(value);
+    // First gateway that serves the block is checked; the message names the last failure otherwise - Chg A34
+    let res = null;
+    let failure = 'no IPFS gateway configured';
+    for (const url of ipfsGatewayUrls(getIpfsGateways(), value)) {
+        try {
+            res = await fetch(url + '?format=raw', { headers: { Accept: 'application/vnd.ipld.raw' } });
+            if (res.ok) break;
+            failure = 'not retrievable from ' + url + ' (HTTP ' + res.status + ')';
+        } catch (error) {
+            failure = 'gateway unreachable: ' + url + ' (' + error.message + ')';
+        }
+        res = null;
+    }
+    if (!res) return { ok: false, message: failure };
+
+    const type = res.headers.get('content-type') || '';
+    if (!type.includes('vnd.ipld.raw') || !multihash || multihash.code !== 0x12) {
+        return { ok: true, message: 'retrievable (gateway or CID type does not allow a hash check)' };
+    }
+
+    const block = new Uint8Array(await res.arrayBuffer());
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', block));
+    const matches = digest.length === multihash.digest.length &&
+        digest.every((byte, i) => byte === multihash.digest[i]);
+
+    return matches
+        ? { ok: true, message: 'retrieved and its SHA-256 matches the CID' }
+        : { ok: false, message: 'gateway returned content that does NOT match the CID' };
+}
+
+// CIDv0 ("Qm…", base58btc multihash) or CIDv1 base32 ("b…") → { code, digest }
+function parseCidMultihash(cid) { // Chg A22
+    try {
+        let bytes;
+        if (cid.startsWith('Qm') && cid.length === 46) {
+            bytes = decodeBase58(cid);
+        } else if (cid.startsWith('b')) {
+            const v1 = decodeBase32(cid.substring(1));
+            let offset = 0;
+            const readVarint = () => {
+                let result = 0;
+                let shift = 0;
+                let byte;
+                do {
+                    byte = v1[offset++];
+                    result += (byte & 0x7f) * Math.pow(2, shift);
+                    shift += 7;
+                } while (byte & 0x80);
+                return result;
+            };
+            if (readVarint() !== 1) return null; // version
+            readVarint(); // content codec (dag-pb, raw, ...)
+            bytes = v1.slice(offset);
+        } else {
+            return null;
+        }
+        // multihash: <code><length><digest>, both single-byte for sha2-256
+        return { code: bytes[0], digest: bytes.slice(2, 2 + bytes[1]) };
+    } catch (e) {
+        return null;
+    }
+}
+
+function decodeBase58(str) { // Chg A22
+    const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const bytes = [0];
+    for (const char of str) {
+        let carry = alphabet.indexOf(char);
+        if (carry < 0) throw new Error('Invalid base58 character');
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of str) {
+        if (char !== '1') break;
+        bytes.push(0); // leading zeros
+    }
+    return Uint8Array.from(bytes.reverse());
+}
+
+function decodeBase32(str) { // Chg A22
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+    const out = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of str.toLowerCase()) {
+        const index = alphabet.indexOf(char);
+        if (index < 0) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+function renderCheckList(checks) { // Chg A22
+    return html`<ul class="check-list">${checks.map(c =>
+        html`<li class="${c.ok ? 'check-ok' : 'check-fail'}">${c.ok ? '✅' : '❌'} ${c.message}</li>`)}</ul>`; // Chg A31
+}
+
+// Update card price
+async function updatePrice(tokenId) {
+    const newPrice = prompt('Enter new price in ETH:');
+    if (!newPrice) return;
+
+    try {
+        const priceWei = web3.utils.toWei(newPrice, 'ether');
+
+        await cardClient.setPrice(tokenId, priceWei); // Chg A27, Chg A33
+
+        showSuccess('Price updated successfully!');
+        loadCards();
+
+    } catch (error) {
+        showError('Error updating price: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// List card
+async function listCard(tokenId) {
+    try {
+        // Offer the one-time approval first, or the listing can't be bought - Chg A26
+        if (!(await isMarketApproved(currentAccount)) &&
+            confirm("The marketplace isn't approved to transfer your cards yet, so buyers won't be able to purchase this listing.\n\nApprove the marketplace now? (Cancel lists the card anyway.)")) {
+            if (!(await setMarketApproval(true))) return;
+        }
+
+        await cardClient.list(tokenId); // Chg A27, Chg A33
+        showSuccess('Card listed successfully!');
+        loadCards();
+        loadMyCollection(); // Chg A14
+    } catch (error) {
+        showError('Error listing card: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// Unlist card - Chg A14
+async function unlistCard(tokenId) { // Chg A14
+    try {
+        await cardClient.unlist(tokenId); // Chg A27, Chg A33
+        showSuccess('Card unlisted successfully!');
+        loadCards();
+        loadMyCollection();
+    } catch (error) {
+        showError('Error unlisting card: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// Gift / transfer a card to another account (ERC-721 safeTransferFrom) - Chg A14
+async function transferCard(tokenId) { // Chg A14
+    const recipient = (prompt('Transfer card #' + tokenId + ' to address:') || '').trim();
+    if (!recipient) return;
+
+    if (!web3.utils.isAddress(recipient)) {
+        showError('Invalid recipient address');
+        return;
+    }
+    if (recipient.toLowerCase() === currentAccount.toLowerCase()) {
+        showError('You already own this card');
+        return;
+    }
+
+    try {
+        // Moving the card mid-auction would lock the bids until the end and then cancel the sale - Chg A29
+        const auction = await marketplace.methods.auctions(tokenId).call();
+        if (auction.active) {
+            showError('Card #' + tokenId + ' is on auction - it can be transferred once the auction is settled or cancelled');
+            return;
+        }
+
+        // A listing survives transfers, so pull it first or the recipient's
+        // gift would be immediately purchasable by anyone
+        const listingInfo = await marketplace.methods.getListingInfo(tokenId).call();
+        if (listingInfo.isListed) {
+            if (!confirm('This card is listed on the market. Unlist it and transfer?')) return;
+
+            await cardClient.unlist(tokenId); // Chg A27, Chg A33
+        }
+
+        await cardClient.transfer(tokenId, recipient); // safeTransferFrom - Chg A27, Chg A33
+
+        showSuccess('Card #' + tokenId + ' transferred to ' + recipient.substring(0, 10) + '...');
+        loadCards();
+        loadMyCollection();
+    } catch (error) {
+        showError('Error transferring card: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// === My Collection page (Chg A14) ===
+// Every card owned by currentAccount, listed or not, read from the card index.
+const EMPTY_COLLECTION_HTML =
+    '<p style="text-align:center; color:#666;">This account does not own any cards yet.</p>'; // Chg A14
+
+async function loadMyCollection() { // Chg A14
+    if (!cardRegistry || !marketplace || !currentAccount) return;
+
+    const myCardsDiv = document.getElementById('myCards');
+    try {
+        myCardsDiv.innerHTML = '<div class="loading">Loading your cards...</div>';
+        loadApprovalStatus(); // Chg A26
+
+        await syncCardIndex();
+        const owned = (await getIndexedCards()).filter(card =>
+            card.owner.toLowerCase() === currentAccount.toLowerCase());
+
+        myCardsDiv.innerHTML = '';
+        owned.forEach(card => {
+            upsertMarketCard(myCardsDiv, card.tokenId, buildCollectionCard(card));
+        });
+
+        if (owned.length === 0) {
+            myCardsDiv.innerHTML = EMPTY_COLLECTION_HTML;
+        }
+    } catch (error) {
+        showError('Error loading collection: ' + error.message);
+        console.error('loadMyCollection error:', error);
+    }
+}
+
+// Build the collection tile for one owned card (card is an index record)
+function buildCollectionCard(card) { // Chg A14
+    const tokenId = card.tokenId;
+    const cardDiv = document.createElement('div');
+    cardDiv.className = 'card';
+    cardDiv.dataset.tokenId = tokenId;
+
+    const gradeBadge = card.graded
+        ? html`<span class="badge graded">Grade: ${card.grade}</span>`
+        : html`<span class="badge ungraded">Ungraded</span>`;
+
+    const listedBadge = card.isListed
+        ? html`<span class="badge listed">Listed</span>`
+        : html`<span class="badge unlisted">Not Listed</span>`;
+
+    const queueBadge = card.inQueue
+        ? html`<span class="badge queued">In Grading Queue</span>`
+        : '';
+
+    const onAuction = card.auction && card.auction.active; // Chg A29
+    const auctionBadge = onAuction ? html`<span class="badge auction">On Auction</span>` : '';
+
+    // Own listings buyers can't complete until the marketplace is approved - Chg A26
+    const purchasableBadge = card.isListed
+        ? html`<span class="badge not-purchasable" data-not-purchasable style="display:none;">Not Purchasable</span>`
+        : '';
+
+    // Image and attributes are resolved from the metadata JSON after render - Chg A18
+    const imgHtml = card.metadataCID
+        ? html`<div class="card-image-wrapper"><img class="card-image" data-card-image style="display:none;" alt="${card.name}"></div>`
+        : '';
+
+    const listButton = card.isListed
+        ? html`<button ${action('unlistCard', tokenId)} class="secondary">🚫 Unlist</button>`
+        : html`<button ${action('listCard', tokenId)}>🏷️ List for Sale</button>`;
+    const auctionButton = card.auction && card.auction.active // Chg A29
+        ? html`<button ${action('navigate', `card/${tokenId}`)}>🔨 View Auction</button>`
+        : html`<button ${action('startAuction', tokenId)}>🔨 Auction</button>`;
+
+    const gradingButton = !card.graded && !card.inQueue
+        ? html`<button ${action('requestGrading', tokenId)} class="success">⭐ Request Grading</button>`
+        : '';
+
+    cardDiv.innerHTML = html`
+                <h3><a href="#/card/${tokenId}">${card.name}</a></h3> <!-- detail view - Chg A24 -->
+                ${imgHtml}
+                ${gradeBadge}
+                ${listedBadge}
+                ${purchasableBadge}
+                ${auctionBadge}
+                ${queueBadge}
+                <div class="card-attributes"></div>
+                <div class="card-info"><strong>Token ID:</strong> ${tokenId}</div>
+                <div class="card-info"><strong>Price:</strong> ${web3.utils.fromWei(card.price, 'ether')} ETH</div>
+                <div class="card-info"><strong>Created:</strong> ${new Date(card.createdAt * 1000).toLocaleDateString()}</div>
+
+                <div class="card-actions">
+                    ${onAuction ? '' : listButton}
+                    ${auctionButton}
+                    <button ${action('updatePrice', tokenId)} class="secondary">💲 Update Price</button>
+                    ${gradingButton}
+                    ${onAuction ? '' : html`<button ${action('transferCard', tokenId)}>🎁 Transfer</button>`} <!-- Chg A29 -->
+                    <button ${action('viewHistory', tokenId)}>📜 View History</button>
+                    ${card.graded ? html`<button ${action('viewCertificate', tokenId)} class="success">📄 Certificate</button>` : ''}
+                </div>
+            `;
+
+    hydrateCardMedia(cardDiv, card.metadataCID); // Chg A18
+    if (card.isListed) markPurchasability(cardDiv, tokenId, card.owner); // Chg A26
+    return cardDiv;
+}
+
+// Re-render (or remove) one collection tile after an on-chain change
+async function refreshCollectionCard(tokenId) { // Chg A14
+    if (!currentAccount) return;
+
+    const myCardsDiv = document.getElementById('myCards');
+    try {
+        const card = await getIndexedCard(tokenId);
+
+        if (card && card.owner.toLowerCase() === currentAccount.toLowerCase()) {
+            upsertMarketCard(myCardsDiv, tokenId, buildCollectionCard(card));
+            return;
+        }
+
+        const existing = myCardsDiv.querySelector(`.card[data-token-id="${tokenId}"]`);
+        if (existing) existing.remove();
+        if (!myCardsDiv.querySelector('.card')) {
+            myCardsDiv.innerHTML = EMPTY_COLLECTION_HTML;
+        }
+    } catch (error) {
+        console.error('refreshCollectionCard error for token', tokenId, error);
+    }
+}
+
+// === Marketplace approval (Chg A26) ===
+// Marketplace.buy moves the card with safeTransferFrom, so the seller must have
+// approved the marketplace as operator; without it every purchase reverts.
+const marketApprovalCache = new Map(); // owner (lowercase) → Promise<bool> - Chg A26
+
+function clearMarketApprovals() { // Chg A26
+    marketApprovalCache.clear();
+}
+
+// isApprovedForAll(owner, marketplace), cached until an ApprovalForAll event arrives
+function isMarketApproved(owner) { // Chg A26
+    const key = owner.toLowerCase();
+    if (!marketApprovalCache.has(key)) {
+        const lookup = cardRegistry.methods
+            .isApprovedForAll(owner, marketplace.options.address)
+            .call()
+            .catch(error => {
+                marketApprovalCache.delete(key);
+                throw error;
+            });
+        marketApprovalCache.set(key, lookup);
+    }
+    return marketApprovalCache.get(key);
+}
+
+// A single-token approve() to the marketplace works too
+async function isCardPurchasable(tokenId, owner) { // Chg A26
+    if (await isMarketApproved(owner)) return true;
+    const approved = await cardRegistry.methods.getApproved(tokenId).call();
+    return approved.toLowerCase() === marketplace.options.address.toLowerCase();
+}
+
+// Show the "Not Purchasable" badge and disable Buy on a rendered tile or detail view
+async function markPurchasability(el, tokenId, owner) { // Chg A26
+    const badge = el.querySelector('[data-not-purchasable]');
+    const buyButton = el.querySelector('[data-buy-button]');
+    if (!badge && !buyButton) return;
+
+    try {
+        const purchasable = await isCardPurchasable(tokenId, owner);
+        if (badge) badge.style.display = purchasable ? 'none' : '';
+        if (buyButton && !purchasable) {
+            buyButton.disabled = true;
+            buyButton.title = "The seller hasn't approved the marketplace to transfer this card";
+        }
+    } catch (error) {
+        console.error('Approval check failed for token', tokenId, error);
+    }
+}
+
+// Status box on My Collection with a grant/revoke button
+async function loadApprovalStatus() { // Chg A26
+    const box = document.getElementById('approvalStatus');
+    if (!box) return;
+    if (!cardRegistry || !marketplace || !currentAccount) {
+        box.style.display = 'none';
+        return;
+    }
+
+    try {
+        const approved = await isMarketApproved(currentAccount);
+        box.style.display = '';
+        if (approved) {
+            box.className = 'approval-status approved';
+            box.innerHTML = html`
+                ✅ The marketplace is approved to transfer your cards when they sell.
+                <button ${action('setMarketApproval', false)} class="secondary">Revoke Approval</button>
+            `;
+        } else {
+            const listedCount = (await getIndexedCards()).filter(card =>
+                card.isListed && card.owner.toLowerCase() === currentAccount.toLowerCase()).length;
+            box.className = 'approval-status not-approved';
+            box.innerHTML = html`
+                ⚠️ The marketplace is not approved to transfer your cards, so buyers can't purchase your listings
+                ${listedCount ? `(${listedCount} listed card${listedCount === 1 ? '' : 's'} affected)` : ''}.
+                <button ${action('setMarketApproval', true)}>Approve Marketplace</button>
+            `;
+        }
+    } catch (error) {
+        box.style.display = 'none';
+        console.error('loadApprovalStatus error:', error);
+    }
+}
+
+// setApprovalForAll(marketplace, approved) from the current account
+async function setMarketApproval(approved) { // Chg A26
+    if (!approved && !confirm('Revoke the marketplace approval? None of your listed cards can be bought until you approve it again.')) {
+        return false;
+    }
+
+    try {
+        await cardClient.setMarketApproval(approved); // Chg A27, Chg A33
+
+        clearMarketApprovals();
+        showSuccess(approved ? 'Marketplace approved - your listings can now be bought' : 'Marketplace approval revoked');
+        loadApprovalStatus();
+        renderMarket();
+        loadMyCollection();
+        return true;
+    } catch (error) {
+        showError('Error updating marketplace approval: ' + error.message);
+        console.error('Full error:', error);
+        return false;
+    }
+}
+
+// === Card detail and owner views (Chg A24) ===
+// #/card/<id>: everything about one card on a single page.
+async function renderCardDetail(tokenId) { // Chg A24
+    const container = document.getElementById('cardDetail');
+    if (!cardRegistry || !marketplace) {
+        container.innerHTML = html`<div class="loading">Connect contracts to load card #${tokenId}...</div>`;
+        return;
+    }
+
+    try {
+        const { card, timeline } = await buildProvenanceTimeline(tokenId);
+        if (currentRoute.page !== 'card' || Number(currentRoute.params[0]) !== tokenId) return; // navigated away meanwhile
+
+        const isOwner = currentAccount && card.owner.toLowerCase() === currentAccount.toLowerCase();
+        const offersHtml = await renderCardOffers(tokenId, card); // Chg A28
+        const auctionHtml = await renderCardAuction(tokenId, card); // Chg A29
+        const onAuction = card.auction && card.auction.active;
+
+        const badges = html`
+                ${card.graded ? html`<span class="badge graded">Grade: ${card.grade}</span>` : html`<span class="badge ungraded">Ungraded</span>`}
+                ${card.isListed ? html`<span class="badge listed">Listed</span>` : html`<span class="badge unlisted">Not Listed</span>`}
+                ${card.isListed ? html`<span class="badge not-purchasable" data-not-purchasable style="display:none;">Not Purchasable</span>` : ''}
+                ${card.inQueue ? html`<span class="badge queued">In Grading Queue</span>` : ''}
+                ${onAuction ? html`<span class="badge auction">On Auction</span>` : ''}`;
+
+        const actions = []; // html`` fragments - Chg A31
+        if (isOwner) {
+            if (!onAuction) { // Chg A29
+                actions.push(card.isListed
+                    ? html`<button ${action('unlistCard', tokenId)} class="secondary">🚫 Unlist</button>`
+                    : html`<button ${action('listCard', tokenId)}>🏷️ List for Sale</button>`);
+                actions.push(html`<button ${action('startAuction', tokenId)}>🔨 Auction</button>`);
+            }
+            actions.push(html`<button ${action('updatePrice', tokenId)} class="secondary">💲 Update Price</button>`);
+            if (!card.graded && !card.inQueue) {
+                actions.push(html`<button ${action('requestGrading', tokenId)} class="success">⭐ Request Grading</button>`);
+            }
+            if (!onAuction) actions.push(html`<button ${action('transferCard', tokenId)}>🎁 Transfer</button>`); // Chg A29
+        } else {
+            if (card.isListed) actions.push(html`<button ${action('buyCard', tokenId)} data-buy-button>💰 Buy Card</button>`); // Chg A26
+            if (currentAccount) actions.push(html`<button ${action('makeOffer', tokenId)} class="secondary">🤝 Make Offer</button>`); // Chg A28
+        }
+        if (card.graded) actions.push(html`<button ${action('viewCertificate', tokenId)} class="success">📄 Certificate</button>`);
+        actions.push(html`<button ${action('verifyCard', tokenId)} class="success">🔍 Verify</button>`);
+        actions.push(watchButton(tokenId)); // Chg A35
+
+        container.innerHTML = html`
+            <div class="card-detail">
+                <div class="card-detail-image">
+                    <img class="card-image" data-card-image style="display:none;" alt="${card.name}">
+                    <div class="queue-card-placeholder" data-card-image-placeholder>No Image</div>
+                </div>
+                <div class="card-detail-info">
+                    <h2>${card.name}</h2>
+                    ${badges}
+                    <div class="card-attributes"></div>
+                    <div class="card-info"><strong>Token ID:</strong> ${tokenId}</div>
+                    <div class="card-info"><strong>Owner:</strong> <a href="#/owner/${card.owner}">${card.owner}</a>${isOwner ? ' (you)' : ''}</div>
+                    <div class="card-info"><strong>Price:</strong> ${web3.utils.fromWei(card.price, 'ether')} ETH</div>
+                    <div class="card-info"><strong>Times sold:</strong> ${card.purchaseCount || 0}</div>
+                    <div class="card-info"><strong>Created:</strong> ${new Date(card.createdAt * 1000).toLocaleString()}</div>
+                    <div class="card-info" style="word-break: break-all;"><strong>CID:</strong> ${card.metadataCID}</div>
+                    <div class="card-actions">${actions}</div>
+                </div>
+            </div>
+
+            ${auctionHtml} <!-- Chg A29 -->
+
+            <h3 style="margin: 25px 0 10px;">🤝 Offers</h3> <!-- Chg A28 -->
+            ${offersHtml}
+
+            <h3 style="margin: 25px 0 10px;">📜 Provenance (${timeline.length} events)</h3>
+            <div class="history-actions">
+                <button ${action('exportProvenanceJSON', tokenId)} class="success">⬇️ JSON</button>
+                <button ${action('exportProvenanceCSV', tokenId)} class="success">⬇️ CSV</button>
+                <button ${action('printProvenanceCertificate', tokenId)}>🖨️ Provenance Certificate</button>
+            </div>
+            ${renderProvenanceItems(timeline)}
+        `;
+
+        hydrateCardMedia(container, card.metadataCID);
+        if (card.isListed || onAuction) markPurchasability(container, tokenId, card.owner); // Chg A26, A29
+        if (onAuction) startCountdownTicker(); // Chg A29
+    } catch (error) {
+        container.innerHTML = html`<p style="text-align:center; color:#666;">Card #${tokenId} was not found on this deployment.</p>`;
+        console.error('renderCardDetail error for token', tokenId, error);
+    }
+}
+
+// #/owner/<address>: every card an address holds, listed or not
+async function renderOwnerView(address) { // Chg A24
+    const title = document.getElementById('ownerTitle');
+    const grid = document.getElementById('ownerCards');
+    title.textContent = address;
+
+    if (!cardRegistry || !marketplace) {
+        grid.innerHTML = '<div class="loading">Connect contracts to load cards...</div>';
+        return;
+    }
+
+    try {
+        await syncCardIndex();
+        const owned = (await getIndexedCards())
+            .filter(card => card.owner.toLowerCase() === address.toLowerCase())
+            .sort((a, b) => a.tokenId - b.tokenId);
+        if (currentRoute.page !== 'owner' || currentRoute.params[0] !== address) return;
+
+        const isMe = currentAccount && currentAccount.toLowerCase() === address.toLowerCase();
+        document.getElementById('ownerSummary').textContent =
+            `${owned.length} cards · ${owned.filter(card => card.isListed).length} listed` + (isMe ? ' · this is your account' : '');
+
+        grid.innerHTML = '';
+        owned.forEach(card => {
+            grid.appendChild(isMe ? buildCollectionCard(card) : buildMarketCard(card.tokenId, card, card.owner));
+        });
+        if (owned.length === 0) {
+            grid.innerHTML = '<p style="text-align:center; color:#666;">This address does not own any cards.</p>';
+        }
+    } catch (error) {
+        showError('Error loading owner cards: ' + error.message);
+    }
+}
+
+// === Offers (Chg A28) ===
+// Escrowed ETH bids on any card (Marketplace.makeOffer / withdrawOffer / acceptOffer).
+// Offer state is folded from the indexed Offer* events, like the card records.
+const OFFER_EVENTS = ['OfferMade', 'OfferWithdrawn', 'OfferAccepted']; // Chg A28
+const OFFER_EXPIRY_DAYS = [1, 3, 7, 14, 30]; // Chg A28
+
+async function getIndexedOffers() { // Chg A28
+    await syncCardIndex();
+    const events = [];
+    for (const name of OFFER_EVENTS) events.push(...await getIndexedEventsByName(name));
+    events.sort(compareIndexedEvents);
+
+    const offers = new Map();
+    events.forEach(ev => {
+        const key = ev.tokenId + ':' + ev.values.offerId;
+        if (ev.event === 'OfferMade') {
+            offers.set(key, {
+                tokenId: ev.tokenId,
+                offerId: Number(ev.values.offerId),
+                bidder: ev.values.bidder,
+                amount: ev.values.amount,
+                expiresAt: Number(ev.values.expiresAt),
+                madeAt: Number(ev.timestamp),
+                status: 'active'
+            });
+        } else if (offers.has(key)) {
+            offers.get(key).status = ev.event === 'OfferWithdrawn' ? 'withdrawn' : 'accepted';
+        }
+    });
+
+    // Expired offers still hold the bidder's ETH until they withdraw it
+    const now = Date.now() / 1000;
+    return Array.from(offers.values()).map(offer => ({
+        ...offer,
+        status: offer.status === 'active' && offer.expiresAt <= now ? 'expired' : offer.status
+    }));
+}
+
+function describeOfferStatus(offer) { // Chg A28
+    return {
+        active: '🟢 Active',
+        expired: '⌛ Expired (withdraw your ETH)',
+        withdrawn: '↩️ Withdrawn',
+        accepted: '✅ Accepted'
+    }[offer.status];
+}
+
+// Modal form for a new offer
+async function makeOffer(tokenId) { // Chg A28
+    const card = await getIndexedCard(tokenId);
+    if (!card) {
+        showError('Token #' + tokenId + ' is not in the card index');
+        return;
+    }
+
+    showModal(html`
+        <h2>🤝 Make an Offer - ${card.name}</h2>
+        <p style="margin: 10px 0; color: #666;">
+            Token #${tokenId} · owner ${card.owner.substring(0, 15)}... ·
+            ${card.isListed ? `listed at ${web3.utils.fromWei(card.price, 'ether')} ETH` : 'not listed for sale'}
+        </p>
+        <div class="input-group">
+            <label>Offer (ETH)</label>
+            <input type="number" id="offerAmount" min="0" step="0.001" placeholder="0.5">
+        </div>
+        <div class="input-group">
+            <label>Expires in</label>
+            <select id="offerExpiry">
+                ${OFFER_EXPIRY_DAYS.map(d => html`<option value="${d}" ${d === 7 ? rawHtml('selected') : ''}>${d} day${d === 1 ? '' : 's'}</option>`)}
+            </select>
+        </div>
+        <p style="margin: 10px 0; color: #666;">
+            The ETH is held by the marketplace contract until the owner accepts the offer,
+            or until you withdraw it (any time, also after it expires).
+        </p>
+        <button id="submitOfferBtn" ${action('submitOffer', tokenId)}>🤝 Submit Offer</button>
+        <button ${action('closeModal')} class="secondary">Cancel</button>
+    `);
+}
+
+async function submitOffer(tokenId) { // Chg A28
+    const amount = document.getElementById('offerAmount').value.trim();
+    const days = Number(document.getElementById('offerExpiry').value);
+    if (!amount || isNaN(Number(amount)) || Number(amount) <= 0) {
+        showError('Please enter an offer greater than 0 ETH');
+        return;
+    }
+
+    const btn = document.getElementById('submitOfferBtn');
+    btn.disabled = true;
+    try {
+        // Expiry is compared with block time, so count from the latest block
+        const latest = await web3.eth.getBlock('latest');
+        const expiresAt = Number(latest.timestamp) + days * 86400;
+
+        await sendTx(marketplace.methods.makeOffer(tokenId, expiresAt), {
+            label: `Offer ${amount} ETH for #${tokenId}`,
+            key: 'make-offer:' + tokenId,
+            value: web3.utils.toWei(amount, 'ether')
+        });
+
+        closeModal();
+        showSuccess(`Offer of ${amount} ETH made on card #${tokenId}`);
+        await updateAccountInfo();
+    } catch (error) {
+        showError('Error making offer: ' + error.message);
+        btn.disabled = false;
+    }
+}
+
+async function withdrawOffer(tokenId, offerId) { // Chg A28
+    try {
+        await sendTx(marketplace.methods.withdrawOffer(tokenId, offerId), {
+            label: `Withdraw offer #${offerId} on #${tokenId}`
+        });
+        showSuccess('Offer withdrawn and ETH returned');
+        await updateAccountInfo();
+    } catch (error) {
+        showError('Error withdrawing offer: ' + error.message);
+    }
+}
+
+async function acceptOffer(tokenId, offerId) { // Chg A28
+    try {
+        const offer = (await getIndexedOffers()).find(o => o.tokenId === tokenId && o.offerId === offerId);
+        if (!offer || offer.status !== 'active') throw new Error('This offer is no longer active');
+
+        // Selling moves the card with safeTransferFrom, same as a purchase - Chg A26
+        if (!(await isMarketApproved(currentAccount))) {
+            if (!confirm("The marketplace isn't approved to transfer your cards, so the offer can't be accepted yet.\n\nApprove the marketplace now?")) return;
+            if (!(await setMarketApproval(true))) return;
+        }
+
+        const fee = await marketplace.methods.calculatePlatformFee(offer.amount).call();
+        const royalty = await cardClient.royaltyFor(tokenId, offer.amount); // Chg A36
+        const proceeds = BigInt(offer.amount) - BigInt(fee) - BigInt(royalty.amount);
+        if (!confirm(`Sell card #${tokenId} to ${offer.bidder} for ${web3.utils.fromWei(offer.amount, 'ether')} ETH?\n\n` +
+            `Platform fee: ${web3.utils.fromWei(fee, 'ether')} ETH\n` +
+            `Creator royalty: ${web3.utils.fromWei(royalty.amount, 'ether')} ETH\n` +
+            `You receive: ${web3.utils.fromWei(proceeds.toString(), 'ether')} ETH`)) {
+            return;
+        }
+
+        await sendTx(marketplace.methods.acceptOffer(tokenId, offerId), {
+            label: `Accept offer #${offerId} on #${tokenId}`,
+            key: 'accept-offer:' + tokenId
+        });
+        showSuccess(`Card #${tokenId} sold to ${offer.bidder.substring(0, 10)}...`);
+        await updateAccountInfo();
+    } catch (error) {
+        showError('Error accepting offer: ' + error.message);
+    }
+}
+
+function offerRow(offer, card, button) { // Chg A28
+    return html`
+        <tr class="offer-${offer.status}">
+            <td><a href="#/card/${offer.tokenId}">${card ? card.name : 'Card'} #${offer.tokenId}</a></td>
+            <td>${web3.utils.fromWei(offer.amount, 'ether')} ETH</td>
+            <td>${card && card.isListed ? web3.utils.fromWei(card.price, 'ether') + ' ETH' : 'Not listed'}</td>
+            <td><a href="#/owner/${offer.bidder}">${offer.bidder.substring(0, 12)}...</a></td>
+            <td>${new Date(offer.expiresAt * 1000).toLocaleString()}</td>
+            <td>${describeOfferStatus(offer)}</td>
+            <td>${button}</td>
+        </tr>`;
+}
+
+const OFFER_TABLE_HEAD = rawHtml('<tr><th>Card</th><th>Offer</th><th>Asking</th><th>Bidder</th><th>Expires</th><th>Status</th><th></th></tr>'); // Chg A28
+
+// #/offers: offers I made, and open offers on cards I own
+async function loadOffers() { // Chg A28
+    const mineDiv = document.getElementById('myOffers');
+    const incomingDiv = document.getElementById('offersOnMyCards');
+    if (!cardRegistry || !marketplace || !currentAccount) {
+        mineDiv.innerHTML = incomingDiv.innerHTML = '<div class="loading">Connect contracts to load offers...</div>';
+        return;
+    }
+
+    try {
+        const offers = (await getIndexedOffers()).sort((a, b) => b.madeAt - a.madeAt);
+        const cards = new Map((await getIndexedCards()).map(card => [card.tokenId, card]));
+        const me = currentAccount.toLowerCase();
+
+        const mine = offers.filter(o => o.bidder.toLowerCase() === me);
+        mineDiv.innerHTML = mine.length
+            ? html`<table class="data-table">${OFFER_TABLE_HEAD}${mine.map(o => offerRow(o, cards.get(o.tokenId),
+                o.status === 'active' || o.status === 'expired'
+                    ? html`<button class="secondary" ${action('withdrawOffer', o.tokenId, o.offerId)}>Withdraw</button>`
+                    : ''))}</table>`
+            : '<p style="color:#666;">You have not made any offers yet. Use "Make Offer" on any card.</p>';
+
+        // Refunds and sale payouts the contract couldn't push automatically - Chg A29
+        const refund = await marketplace.methods.pendingReturns(currentAccount).call();
+        document.getElementById('auctionRefunds').innerHTML = BigInt(refund) > 0n
+            ? html`💸 Unclaimed refunds and payouts: <strong>${web3.utils.fromWei(refund, 'ether')} ETH</strong>
+               <button ${action('withdrawAuctionRefund')}>Withdraw</button>`
+            : '';
+
+        const incoming = offers.filter(o => {
+            const card = cards.get(o.tokenId);
+            return o.status === 'active' && card && card.owner.toLowerCase() === me;
+        });
+        incomingDiv.innerHTML = incoming.length
+            ? html`<table class="data-table">${OFFER_TABLE_HEAD}${incoming.map(o => offerRow(o, cards.get(o.tokenId),
+                html`<button ${action('acceptOffer', o.tokenId, o.offerId)}>Accept</button>`))}</table>`
+            : '<p style="color:#666;">No open offers on your cards.</p>';
+    } catch (error) {
+        showError('Error loading offers: ' + error.message);
+    }
+}
+
+// Offers block on the card detail page
+async function renderCardOffers(tokenId, card) { // Chg A28
+    const offers = (await getIndexedOffers())
+        .filter(o => o.tokenId === tokenId && (o.status === 'active' || o.status === 'expired'))
+        .sort((a, b) => BigInt(b.amount) > BigInt(a.amount) ? 1 : BigInt(b.amount) < BigInt(a.amount) ? -1 : 0);
+    if (offers.length === 0) return rawHtml('<p style="color:#666;">No open offers.</p>');
+
+    const me = currentAccount ? currentAccount.toLowerCase() : '';
+    const isOwner = card.owner.toLowerCase() === me;
+    return html`<table class="data-table">${OFFER_TABLE_HEAD}${offers.map(o => {
+        let button = '';
+        if (o.bidder.toLowerCase() === me) button = html`<button class="secondary" ${action('withdrawOffer', tokenId, o.offerId)}>Withdraw</button>`;
+        else if (isOwner && o.status === 'active') button = html`<button ${action('acceptOffer', tokenId, o.offerId)}>Accept</button>`;
+        return offerRow(o, card, button);
+    })}</table>`;
+}
+
+// === Auctions (Chg A29) ===
+// English auctions on Marketplace: reserve, start/end time, 5% minimum raise,
+// outbid refunds and a 10 minute anti-sniping extension. State comes from the
+// card index (AuctionCreated / BidPlaced / AuctionSettled / AuctionCancelled).
+const AUCTION_EVENTS = ['AuctionCreated', 'BidPlaced', 'AuctionSettled', 'AuctionCancelled']; // Chg A29
+const MIN_BID_INCREMENT_BPS = 500n; // mirrors Marketplace.MIN_BID_INCREMENT_BPS - Chg A29
+let countdownTimer = null; // Chg A29
+
+function minimumBid(auction) { // Chg A29
+    const highest = BigInt(auction.highestBid);
+    if (highest === 0n) return BigInt(auction.reserve);
+    const raised = highest + (highest * MIN_BID_INCREMENT_BPS) / 10000n;
+    return raised > highest ? raised : highest + 1n;
+}
+
+// "2d 03:04:05" / "03:04:05"
+function formatCountdown(seconds) { // Chg A29
+    const s = Math.max(0, Math.floor(seconds));
+    const d = Math.floor(s / 86400);
+    const pad = n => String(n).padStart(2, '0');
+    const clock = `${pad(Math.floor((s % 86400) / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+    return d > 0 ? `${d}d ${clock}` : clock;
+}
+
+// One ticker for every countdown on screen. Elements inside a [data-auction]
+// block marked data-when="upcoming|live|ended" are shown for that phase only.
+function tickCountdowns() { // Chg A29
+    const now = Date.now() / 1000;
+    document.querySelectorAll('[data-auction]').forEach(block => {
+        const start = Number(block.dataset.start);
+        const end = Number(block.dataset.end);
+        const phase = now < start ? 'upcoming' : now < end ? 'live' : 'ended';
+
+        const label = block.querySelector('[data-countdown]');
+        if (label) {
+            label.textContent = phase === 'upcoming' ? 'Starts in ' + formatCountdown(start - now)
+                : phase === 'live' ? 'Ends in ' + formatCountdown(end - now)
+                    : 'Ended - ready to settle';
+            label.classList.toggle('ending-soon', phase === 'live' && end - now < 600);
+        }
+        block.querySelectorAll('[data-when]').forEach(el => {
+            el.style.display = el.dataset.when.split(' ').includes(phase) ? '' : 'none';
+        });
+    });
+}
+
+function startCountdownTicker() { // Chg A29
+    if (!countdownTimer) countdownTimer = setInterval(tickCountdowns, 1000);
+    tickCountdowns();
+}
+
+// Shared auction info + buttons for tiles and the detail page
+function auctionBlockHtml(tokenId, card) { // Chg A29
+    const a = card.auction;
+    const me = currentAccount ? currentAccount.toLowerCase() : '';
+    const isSeller = a.seller.toLowerCase() === me;
+    const eth = wei => web3.utils.fromWei(String(wei), 'ether') + ' ETH';
+    const leading = a.highestBidder && a.highestBidder.toLowerCase() === me;
+
+    return html`
+        <div class="auction-block" data-auction data-start="${a.startTime}" data-end="${a.endTime}">
+            <div class="auction-countdown" data-countdown></div>
+            <div class="card-info"><strong>${a.bidCount ? 'Highest bid' : 'Reserve'}:</strong> ${eth(a.bidCount ? a.highestBid : a.reserve)}${leading ? ' (you)' : ''}</div>
+            <div class="card-info"><strong>Bids:</strong> ${a.bidCount} · <strong>Next minimum:</strong> ${eth(minimumBid(a))}</div>
+            <div class="card-actions">
+                ${!isSeller && currentAccount ? html`<button ${action('placeBid', tokenId)} data-buy-button data-when="live">🔨 Bid</button>` : ''}
+                <button ${action('settleAuction', tokenId)} class="success" data-when="ended">🏁 Settle</button>
+                ${isSeller && a.bidCount === 0 ? html`<button ${action('cancelAuction', tokenId)} class="secondary" data-when="upcoming live">✖ Cancel</button>` : ''}
+                <button ${action('viewBidHistory', tokenId)}>📈 Bid History</button>
+            </div>
+        </div>
+    `;
+}
+
+function buildAuctionCard(card) { // Chg A29
+    const tokenId = card.tokenId;
+    const cardDiv = document.createElement('div');
+    cardDiv.className = 'card auction-card';
+    cardDiv.dataset.tokenId = tokenId;
+
+    const gradeBadge = card.graded
+        ? html`<span class="badge graded">Grade: ${card.grade}</span>`
+        : html`<span class="badge ungraded">Ungraded</span>`;
+    const imgHtml = card.metadataCID
+        ? html`<div class="card-image-wrapper"><img class="card-image" data-card-image style="display:none;" alt="${card.name}"></div>`
+        : '';
+
+    cardDiv.innerHTML = html`
+                <h3><a href="#/card/${tokenId}">${card.name}</a></h3>
+                ${imgHtml}
+                ${gradeBadge}
+                <span class="badge auction">On Auction</span>
+                <span class="badge not-purchasable" data-not-purchasable style="display:none;">Not Purchasable</span>
+                <div class="card-attributes"></div>
+                <div class="card-info"><strong>Token ID:</strong> ${tokenId}</div>
+                <div class="card-info"><strong>Seller:</strong> <a href="#/owner/${card.auction.seller}">${card.auction.seller.substring(0, 15)}...</a></div>
+                ${auctionBlockHtml(tokenId, card)}
+            `;
+
+    hydrateCardMedia(cardDiv, card.metadataCID);
+    markPurchasability(cardDiv, tokenId, card.auction.seller); // settlement needs the same approval - Chg A26
+    return cardDiv;
+}
+
+// "Live Auctions" strip on the Market page, soonest ending first
+async function renderAuctions() { // Chg A29
+    const grid = document.getElementById('auctions');
+    if (!grid || !cardRegistry || !marketplace) return;
+
+    const live = (await getIndexedCards())
+        .filter(card => card.auction && card.auction.active)
+        .sort((a, b) => a.auction.endTime - b.auction.endTime);
+
+    grid.innerHTML = '';
+    live.forEach(card => grid.appendChild(buildAuctionCard(card)));
+    if (live.length === 0) {
+        grid.innerHTML = '<p style="text-align:center; color:#666;">No auctions running right now.</p>';
+    }
+    startCountdownTicker();
+}
+
+// Modal to start an auction (owner, card not listed at a fixed price)
+async function startAuction(tokenId) { // Chg A29
+    const card = await getIndexedCard(tokenId);
+    if (!card) return;
+
+    // datetime-local wants local time without a zone
+    const toLocalInput = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    const now = new Date();
+
+    showModal(html`
+        <h2>🔨 Start Auction - ${card.name}</h2>
+        ${card.isListed ? html`<p style="margin: 10px 0; color: #c62828;">This card is listed at a fixed price; it will be unlisted first.</p>` : ''}
+        <div class="input-group">
+            <label>Reserve price (ETH) - the lowest first bid</label>
+            <input type="number" id="auctionReserve" min="0" step="0.001" value="${web3.utils.fromWei(card.price, 'ether')}">
+        </div>
+        <div class="input-group">
+            <label>Start</label>
+            <input type="datetime-local" id="auctionStart" value="${toLocalInput(now)}">
+        </div>
+        <div class="input-group">
+            <label>End</label>
+            <input type="datetime-local" id="auctionEnd" value="${toLocalInput(new Date(now.getTime() + 86400000))}">
+        </div>
+        <p style="margin: 10px 0; color: #666;">
+            Each bid must beat the previous one by 5%; outbid bidders are refunded automatically.
+            A bid in the last 10 minutes extends the auction to 10 minutes after that bid.
+            Once it ends anyone can settle it: the winner gets the card and you get the bid minus the platform fee.
+            You can cancel only while there are no bids.
+        </p>
+        <button id="submitAuctionBtn" ${action('submitAuction', tokenId)}>🔨 Start Auction</button>
+        <button ${action('closeModal')} class="secondary">Cancel</button>
+    `);
+}
+
+async function submitAuction(tokenId) { // Chg A29
+    const reserve = document.getElementById('auctionReserve').value.trim();
+    const start = Math.floor(new Date(document.getElementById('auctionStart').value).getTime() / 1000);
+    const end = Math.floor(new Date(document.getElementById('auctionEnd').value).getTime() / 1000);
+
+    if (!reserve || isNaN(Number(reserve)) || Number(reserve) <= 0) {
+        showError('Please enter a reserve price greater than 0');
+        return;
+    }
+    if (isNaN(start) || isNaN(end) || end <= start || end <= Date.now() / 1000) {
+        showError('The end time must be in the future and after the start time');
+        return;
+    }
+
+    const btn = document.getElementById('submitAuctionBtn');
+    btn.disabled = true;
+    try {
+        const card = await getIndexedCard(tokenId);
+        if (card && card.isListed) {
+            await sendTx(marketplace.methods.unlist(tokenId), { label: 'Unlist card #' + tokenId });
+        }
+
+        await sendTx(marketplace.methods.createAuction(tokenId, web3.utils.toWei(reserve, 'ether'), start, end), {
+            label: `Auction #${tokenId} (reserve ${reserve} ETH)`,
+            key: 'auction:' + tokenId
+        });
+
+        closeModal();
+        showSuccess('Auction started for card #' + tokenId);
+        if (!(await isMarketApproved(currentAccount))) {
+            showError('Auction started, but the marketplace is not approved to transfer your cards - approve it on My Collection or the auction cannot be settled');
+        }
+    } catch (error) {
+        showError('Error starting auction: ' + error.message);
+        btn.disabled = false;
+    }
+}
+
+async function placeBid(tokenId) { // Chg A29
+    const card = await getIndexedCard(tokenId);
+    if (!card || !card.auction || !card.auction.active) {
+        showError('This card has no active auction');
+        return;
+    }
+
+    const minEth = web3.utils.fromWei(minimumBid(card.auction).toString(), 'ether');
+    const amount = (prompt(`Your bid for "${card.name}" in ETH (minimum ${minEth}):`, minEth) || '').trim();
+    if (!amount) return;
+    if (isNaN(Number(amount)) || Number(amount) <= 0) {
+        showError('Please enter a valid amount');
+        return;
+    }
+
+    try {
+        await sendTx(marketplace.methods.bid(tokenId), {
+            label: `Bid ${amount} ETH on #${tokenId}`,
+            key: 'bid:' + tokenId,
+            value: web3.utils.toWei(amount, 'ether')
+        });
+        showSuccess(`Bid of ${amount} ETH placed on card #${tokenId}`);
+        await updateAccountInfo();
+    } catch (error) {
+        showError('Error placing bid: ' + error.message);
+    }
+}
+
+async function settleAuction(tokenId) { // Chg A29
+    try {
+        await sendTx(marketplace.methods.settleAuction(tokenId), {
+            label: 'Settle auction #' + tokenId,
+            key: 'settle:' + tokenId
+        });
+        showSuccess('Auction for card #' + tokenId + ' settled');
+        await updateAccountInfo();
+    } catch (error) {
+        showError('Error settling auction: ' + error.message);
+    }
+}
+
+async function cancelAuction(tokenId) { // Chg A29
+    if (!confirm('Cancel the auction for card #' + tokenId + '?')) return;
+    try {
+        await sendTx(marketplace.methods.cancelAuction(tokenId), { label: 'Cancel auction #' + tokenId });
+        showSuccess('Auction cancelled');
+    } catch (error) {
+        showError('Error cancelling auction: ' + error.message);
+    }
+}
+
+async function withdrawAuctionRefund() { // Chg A29
+    try {
+        await sendTx(marketplace.methods.withdrawRefund(), { label: 'Withdraw refunds and payouts' });
+        showSuccess('Refund withdrawn');
+        await updateAccountInfo();
+        loadOffers();
+    } catch (error) {
+        showError('Error withdrawing refund: ' + error.message);
+    }
+}
+
+// Bids of the most recent auction on a token, newest first
+async function getAuctionBids(tokenId) { // Chg A29
+    const events = await getIndexedEvents(tokenId);
+    let startIndex = -1;
+    events.forEach((ev, i) => { if (ev.event === 'AuctionCreated') startIndex = i; });
+    return events.slice(startIndex + 1).filter(ev => ev.event === 'BidPlaced').reverse();
+}
+
+function bidHistoryHtml(bids) { // Chg A29
+    if (bids.length === 0) return rawHtml('<p style="color:#666;">No bids yet.</p>');
+    return html`
+        <table class="data-table">
+            <tr><th>Time</th><th>Bidder</th><th>Amount</th><th>Tx</th></tr>
+            ${bids.map(ev => html`
+                <tr>
+                    <td>${new Date(ev.timestamp * 1000).toLocaleString()}</td>
+                    <td><a href="#/owner/${ev.values.bidder}">${ev.values.bidder.substring(0, 12)}...</a></td>
+                    <td>${web3.utils.fromWei(ev.values.amount, 'ether')} ETH</td>
+                    <td class="history-meta">${ev.transactionHash.substring(0, 12)}...</td>
+                </tr>`)}
+        </table>
+    `;
+}
+
+async function viewBidHistory(tokenId) { // Chg A29
+    try {
+        await syncCardIndex();
+        const card = await getIndexedCard(tokenId);
+        const bids = await getAuctionBids(tokenId);
+        showModal(html`<h2>📈 Bid History - ${card ? card.name : 'Card #' + tokenId}</h2>${bidHistoryHtml(bids)}`);
+    } catch (error) {
+        showError('Error loading bid history: ' + error.message);
+    }
+}
+
+// Auction section of the card detail page
+async function renderCardAuction(tokenId, card) { // Chg A29
+    if (!card.auction || !card.auction.active) return '';
+    const bids = await getAuctionBids(tokenId);
+    return html`
+        <h3 style="margin: 25px 0 10px;">🔨 Auction</h3>
+        ${auctionBlockHtml(tokenId, card)}
+        ${bidHistoryHtml(bids)}
+    `;
+}
+
+// === Market analytics (Chg A32) ===
+// #/analytics: sales, fees, prices by grade, traders and grading throughput, all
+// folded from indexed events (CardPurchased carries price, fee and block time).
+// The last computed datasets are kept so every chart can be exported as CSV.
+const ANALYTICS_CHART_DAYS = 90; // charts show the latest 90 days, CSVs the full range - Chg A32
+const ANALYTICS_TOP_TRADERS = 10; // Chg A32
+const GRADE_BUCKETS = ['Ungraded', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10']; // Chg A32
+let analyticsData = null; // Chg A32
+
+function dayKey(timestamp) { // Chg A32
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+function weiToEthNumber(wei) { // Chg A32
+    return Number(web3.utils.fromWei(String(wei), 'ether'));
+}
+
+function medianOf(values) { // Chg A32
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// "9.5" → "9"; half grades share the whole-number bucket
+function gradeBucket(grade) { // Chg A32
+    const n = parseFloat(grade);
+    return grade && grade !== 'ungraded' && !isNaN(n) ? String(Math.min(10, Math.max(1, Math.floor(n)))) : 'Ungraded';
+}
+
+// Every UTC day from the first to the last key, so gaps show up as zeros
+function dayRange(firstDay, lastDay) { // Chg A32
+    const days = [];
+    for (let t = Date.parse(firstDay); t <= Date.parse(lastDay); t += 86400000) {
+        days.push(new Date(t).toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+async function computeAnalytics() { // Chg A32
+    await syncCardIndex();
+    const [purchases, gradeSets, enqueued, gradedEvents, priceUpdates, cards] = await Promise.all([
+        getIndexedEventsByName('CardPurchased'),
+        getIndexedEventsByName('GradeSet'),
+        getIndexedEventsByName('Enqueued'),
+        getIndexedEventsByName('Graded'),
+        getIndexedEventsByName('PriceUpdated'),
+        getIndexedCards()
+    ]);
+    const cardsById = new Map(cards.map(card => [card.tokenId, card]));
+    const today = dayKey(Date.now() / 1000);
+
+    // Grade a card had when it sold: the last GradeSet before the sale
+    const gradeAt = (tokenId, ev) => {
+        let grade = null;
+        gradeSets.forEach(g => {
+            if (g.tokenId === tokenId && compareIndexedEvents(g, ev) < 0) grade = g.values.grade;
+        });
+        return grade;
+    };
+
+    const sales = purchases.map(ev => ({
+        tokenId: ev.tokenId,
+        name: cardsById.has(ev.tokenId) ? cardsById.get(ev.tokenId).name : 'Card #' + ev.tokenId,
+        timestamp: ev.timestamp,
+        day: dayKey(ev.timestamp),
+        buyer: ev.values.buyer,
+        seller: ev.values.seller,
+        priceWei: BigInt(ev.values.price),
+        feeWei: BigInt(ev.values.platformFee),
+        royaltyWei: BigInt(ev.values.royalty), // Chg A36
+        grade: gradeBucket(gradeAt(ev.tokenId, ev)),
+        transactionHash: ev.transactionHash
+    }));
+
+    // Daily volume plus trailing 7/30 day sums
+    const byDay = new Map();
+    sales.forEach(sale => {
+        const entry = byDay.get(sale.day) || { count: 0, volumeWei: 0n, feesWei: 0n };
+        entry.count++;
+        entry.volumeWei += sale.priceWei;
+        entry.feesWei += sale.feeWei;
+        byDay.set(sale.day, entry);
+    });
+    const volume = (sales.length ? dayRange(sales[0].day, today) : []).map(day => {
+        const entry = byDay.get(day) || { count: 0, volumeWei: 0n, feesWei: 0n };
+        return { day, count: entry.count, volume: weiToEthNumber(entry.volumeWei), fees: weiToEthNumber(entry.feesWei) };
+    });
+    volume.forEach((row, i) => {
+        const sum = n => volume.slice(Math.max(0, i - n + 1), i + 1).reduce((total, r) => total + r.volume, 0);
+        row.rolling7 = sum(7);
+        row.rolling30 = sum(30);
+    });
+
+    const now = Date.now() / 1000;
+    const volumeSince = seconds => sales
+        .filter(sale => sale.timestamp >= now - seconds)
+        .reduce((total, sale) => total + sale.priceWei, 0n);
+    const totals = {
+        sales: sales.length,
+        volume: weiToEthNumber(sales.reduce((total, sale) => total + sale.priceWei, 0n)),
+        fees: weiToEthNumber(sales.reduce((total, sale) => total + sale.feeWei, 0n)),
+        royalties: weiToEthNumber(sales.reduce((total, sale) => total + sale.royaltyWei, 0n)), // Chg A36
+        volume24h: weiToEthNumber(volumeSince(86400)),
+        volume7d: weiToEthNumber(volumeSince(7 * 86400)),
+        volume30d: weiToEthNumber(volumeSince(30 * 86400))
+    };
+
+    // Floor/median of what is for sale now, median of what sold, per grade
+    const grades = GRADE_BUCKETS.map(bucket => {
+        const asking = cards
+            .filter(card => card.isListed && !(card.auction && card.auction.active) &&
+                gradeBucket(card.graded ? card.grade : null) === bucket)
+            .map(card => weiToEthNumber(card.price));
+        const sold = sales.filter(sale => sale.grade === bucket).map(sale => weiToEthNumber(sale.priceWei));
+        return {
+            grade: bucket,
+            listed: asking.length,
+            floor: asking.length ? Math.min(...asking) : null,
+            medianAsking: medianOf(asking),
+            sales: sold.length,
+            medianSale: medianOf(sold)
+        };
+    });
+
+    // Top sellers / buyers by volume
+    const traders = new Map();
+    const trader = address => {
+        const key = address.toLowerCase();
+        if (!traders.has(key)) traders.set(key, { address, soldCount: 0, soldWei: 0n, boughtCount: 0, boughtWei: 0n });
+        return traders.get(key);
+    };
+    sales.forEach(sale => {
+        const seller = trader(sale.seller);
+        seller.soldCount++;
+        seller.soldWei += sale.priceWei;
+        const buyer = trader(sale.buyer);
+        buyer.boughtCount++;
+        buyer.boughtWei += sale.priceWei;
+    });
+    const byWei = key => (a, b) => (b[key] > a[key] ? 1 : b[key] < a[key] ? -1 : 0);
+    const toRow = (t, countKey, weiKey) => ({ address: t.address, count: t[countKey], volume: weiToEthNumber(t[weiKey]) });
+    const allTraders = [...traders.values()];
+    const sellers = allTraders.filter(t => t.soldCount).sort(byWei('soldWei')).map(t => toRow(t, 'soldCount', 'soldWei'));
+    const buyers = allTraders.filter(t => t.boughtCount).sort(byWei('boughtWei')).map(t => toRow(t, 'boughtCount', 'boughtWei'));
+
+    // Grading throughput: requests in, grades out, backlog and turnaround per day
+    const requestTimes = new Map();
+    const throughputByDay = new Map();
+    const dayEntry = day => {
+        if (!throughputByDay.has(day)) throughputByDay.set(day, { requested: 0, graded: 0, turnarounds: [] });
+        return throughputByDay.get(day);
+    };
+    [...enqueued, ...gradedEvents].sort(compareIndexedEvents).forEach(ev => {
+        const entry = dayEntry(dayKey(ev.timestamp));
+        if (ev.event === 'Enqueued') {
+            entry.requested++;
+            requestTimes.set(ev.tokenId, ev.timestamp);
+        } else {
+            entry.graded++;
+            if (requestTimes.has(ev.tokenId)) {
+                entry.turnarounds.push(ev.timestamp - requestTimes.get(ev.tokenId));
+                requestTimes.delete(ev.tokenId);
+            }
+        }
+    });
+    const throughputDays = [...throughputByDay.keys()].sort();
+    let backlog = 0;
+    const throughput = (throughputDays.length ? dayRange(throughputDays[0], today) : []).map(day => {
+        const entry = throughputByDay.get(day) || { requested: 0, graded: 0, turnarounds: [] };
+        backlog += entry.requested - entry.graded;
+        const turnaround = entry.turnarounds.length
+            ? entry.turnarounds.reduce((a, b) => a + b, 0) / entry.turnarounds.length
+            : null;
+        return { day, requested: entry.requested, graded: entry.graded, backlog: Math.max(0, backlog), turnaround };
+    });
+
+    return { sales, priceUpdates, cards: cardsById, volume, totals, grades, sellers, buyers, throughput };
+}
+
+// Bars and/or lines over categorical x labels as inline SVG.
+// series: [{ name, values: [number|null], type: 'bar' | 'line', cls }]
+function renderChart(labels, series, unit = '') { // Chg A32
+    if (labels.length === 0) return html`<p style="color:#666;">No data yet.</p>`;
+
+    const width = 800;
+    const height = 220;
+    const pad = { top: 15, right: 10, bottom: 25, left: 55 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const max = Math.max(...series.flatMap(s => s.values.filter(v => v !== null)), 0) || 1;
+    const step = plotW / labels.length;
+    const x = i => pad.left + step * i + step / 2;
+    const y = v => pad.top + plotH - (v / max) * plotH;
+    const fmt = v => (Math.round(v * 10000) / 10000) + unit;
+
+    const bars = series.filter(s => s.type === 'bar');
+    const barW = Math.max(1, (step * 0.8) / Math.max(1, bars.length));
+
+    const shapes = series.map(s => {
+        if (s.type === 'bar') {
+            const offset = bars.indexOf(s) * barW - (barW * bars.length) / 2;
+            return s.values.map((v, i) => v ? html`
+                <rect class="chart-${s.cls}" x="${x(i) + offset}" y="${y(v)}" width="${barW}" height="${pad.top + plotH - y(v)}">
+                    <title>${labels[i]} · ${s.name}: ${fmt(v)}</title>
+                </rect>` : '');
+        }
+        const points = s.values.map((v, i) => v === null ? null : `${x(i)},${y(v)}`).filter(Boolean);
+        return html`
+            <polyline class="chart-line chart-${s.cls}" points="${points.join(' ')}"></polyline>
+            ${s.values.map((v, i) => v === null ? '' : html`
+                <circle class="chart-${s.cls}" cx="${x(i)}" cy="${y(v)}" r="3"><title>${labels[i]} · ${s.name}: ${fmt(v)}</title></circle>`)}`;
+    });
+
+    return html`
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line class="chart-axis" x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}"></line>
+            <line class="chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + plotH}"></line>
+            <text class="chart-label" x="${pad.left - 5}" y="${pad.top + 4}" text-anchor="end">${fmt(max)}</text>
+            <text class="chart-label" x="${pad.left - 5}" y="${pad.top + plotH}" text-anchor="end">0</text>
+            <text class="chart-label" x="${pad.left}" y="${height - 5}">${labels[0]}</text>
+            <text class="chart-label" x="${width - pad.right}" y="${height - 5}" text-anchor="end">${labels[labels.length - 1]}</text>
+            ${shapes}
+        </svg>
+        <div class="chart-legend">
+            ${series.map(s => html`<span><i class="chart-swatch chart-${s.cls}"></i>${s.name}</span>`)}
+        </div>
+    `;
+}
+
+async function loadAnalytics() { // Chg A32
+    const summary = document.getElementById('analyticsSummary');
+    if (!cardRegistry || !marketplace || !graderContract) {
+        summary.innerHTML = html`<div class="loading">Connect contracts to load analytics...</div>`;
+        return;
+    }
+
+    try {
+        analyticsData = await computeAnalytics();
+        if (currentRoute.page !== 'analytics') return;
+        const { totals, volume, grades, sellers, buyers, throughput } = analyticsData;
+        const eth = v => v === null ? '—' : (Math.round(v * 10000) / 10000) + ' ETH';
+
+        summary.innerHTML = html`
+            <div class="stat"><span class="stat-value">${totals.sales}</span><span class="stat-label">Sales</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.volume)}</span><span class="stat-label">Total volume</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.volume24h)}</span><span class="stat-label">Volume 24h</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.volume7d)}</span><span class="stat-label">Volume 7d</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.volume30d)}</span><span class="stat-label">Volume 30d</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.fees)}</span><span class="stat-label">Platform fees collected</span></div>
+            <div class="stat"><span class="stat-value">${eth(totals.royalties)}</span><span class="stat-label">Creator royalties paid</span></div> <!-- Chg A36 -->
+        `;
+
+        const recent = volume.slice(-ANALYTICS_CHART_DAYS);
+        document.getElementById('analyticsVolume').innerHTML = renderChart(recent.map(r => r.day), [
+            { name: 'Daily volume', values: recent.map(r => r.volume), type: 'bar', cls: 'primary' },
+            { name: 'Platform fees', values: recent.map(r => r.fees), type: 'bar', cls: 'secondary' },
+            { name: '7-day rolling volume', values: recent.map(r => r.rolling7), type: 'line', cls: 'accent' }
+        ], ' ETH');
+
+        document.getElementById('analyticsGrades').innerHTML = html`
+            ${renderChart(grades.map(g => g.grade), [
+                { name: 'Floor (listed)', values: grades.map(g => g.floor), type: 'bar', cls: 'primary' },
+                { name: 'Median sale', values: grades.map(g => g.medianSale), type: 'bar', cls: 'accent' }
+            ], ' ETH')}
+            <table class="data-table">
+                <tr><th>Grade</th><th>Listed</th><th>Floor</th><th>Median asking</th><th>Sales</th><th>Median sale</th></tr>
+                ${grades.map(g => html`
+                <tr><td>${g.grade}</td><td>${g.listed}</td><td>${eth(g.floor)}</td><td>${eth(g.medianAsking)}</td><td>${g.sales}</td><td>${eth(g.medianSale)}</td></tr>`)}
+            </table>
+        `;
+
+        const traderTable = (rows, countLabel) => rows.length ? html`
+            <table class="data-table">
+                <tr><th>Address</th><th>${countLabel}</th><th>Volume</th></tr>
+                ${rows.slice(0, ANALYTICS_TOP_TRADERS).map(r => html`
+                <tr><td><a href="#/owner/${r.address}">${r.address}</a></td><td>${r.count}</td><td>${eth(r.volume)}</td></tr>`)}
+            </table>` : html`<p style="color:#666;">No sales yet.</p>`;
+        document.getElementById('analyticsSellers').innerHTML = traderTable(sellers, 'Cards sold');
+        document.getElementById('analyticsBuyers').innerHTML = traderTable(buyers, 'Cards bought');
+
+        const recentThroughput = throughput.slice(-ANALYTICS_CHART_DAYS);
+        document.getElementById('analyticsThroughput').innerHTML = renderChart(recentThroughput.map(r => r.day), [
+            { name: 'Requested', values: recentThroughput.map(r => r.requested), type: 'bar', cls: 'secondary' },
+            { name: 'Graded', values: recentThroughput.map(r => r.graded), type: 'bar', cls: 'primary' },
+            { name: 'Backlog', values: recentThroughput.map(r => r.backlog), type: 'line', cls: 'accent' }
+        ]);
+
+        // Card picker: traded cards first, most sales on top
+        const saleCounts = new Map();
+        analyticsData.sales.forEach(sale => saleCounts.set(sale.tokenId, (saleCounts.get(sale.tokenId) || 0) + 1));
+        const select = document.getElementById('analyticsCard');
+        const previous = select.value;
+        const options = [...analyticsData.cards.values()]
+            .sort((a, b) => (saleCounts.get(b.tokenId) || 0) - (saleCounts.get(a.tokenId) || 0) || a.tokenId - b.tokenId);
+        select.innerHTML = html`${options.map(card => html`
+            <option value="${card.tokenId}">#${card.tokenId} ${card.name} (${saleCounts.get(card.tokenId) || 0} sales)</option>`)}`;
+        if (previous && analyticsData.cards.has(Number(previous))) select.value = previous;
+        renderAnalyticsCardChart();
+    } catch (error) {
+        showError('Error loading analytics: ' + error.message);
+        console.error('loadAnalytics error:', error);
+    }
+}
+
+// Asking price (mint + PriceUpdated) and sale prices of one card over time
+function cardPriceHistory(tokenId) { // Chg A32
+    const card = analyticsData.cards.get(tokenId);
+    if (!card) return [];
+    const points = [];
+    // The creation price is the first asking price; PriceUpdated carries the rest
+    const updates = analyticsData.priceUpdates.filter(ev => ev.tokenId === tokenId);
+    points.push({
+        timestamp: card.createdAt,
+        kind: 'asking',
+        price: weiToEthNumber(updates.length ? updates[0].values.oldPrice : card.price)
+    });
+    updates.forEach(ev => points.push({ timestamp: ev.timestamp, kind: 'asking', price: weiToEthNumber(ev.values.newPrice) }));
+    analyticsData.sales
+        .filter(sale => sale.tokenId === tokenId)
+        .forEach(sale => points.push({ timestamp: sale.timestamp, kind: 'sale', price: weiToEthNumber(sale.priceWei), buyer: sale.buyer, seller: sale.seller }));
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function renderAnalyticsCardChart() { // Chg A32
+    const container = document.getElementById('analyticsCardChart');
+    const tokenId = Number(document.getElementById('analyticsCard').value);
+    if (!analyticsData || !tokenId) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const points = cardPriceHistory(tokenId);
+    container.innerHTML = renderChart(points.map(p => new Date(p.timestamp * 1000).toLocaleDateString()), [
+        { name: 'Asking price', values: points.map(p => p.kind === 'asking' ? p.price : null), type: 'line', cls: 'secondary' },
+        { name: 'Sale price', values: points.map(p => p.kind === 'sale' ? p.price : null), type: 'line', cls: 'accent' }
+    ], ' ETH');
+}
+
+// One CSV per chart, from the data the page is showing
+function exportAnalyticsCSV(kind) { // Chg A32
+    if (!analyticsData) {
+        showError('Load the analytics page first');
+        return;
+    }
+    const d = analyticsData;
+    const exports = {
+        volume: () => [['day', 'sales', 'volume_eth', 'platform_fees_eth', 'rolling_7d_volume_eth', 'rolling_30d_volume_eth'],
+            ...d.volume.map(r => [r.day, r.count, r.volume, r.fees, r.rolling7, r.rolling30])],
+        sales: () => [['timestamp', 'token_id', 'name', 'grade_at_sale', 'seller', 'buyer', 'price_eth', 'platform_fee_eth', 'royalty_eth', 'transaction_hash'], // royalty - Chg A36
+            ...d.sales.map(s => [new Date(s.timestamp * 1000).toISOString(), s.tokenId, s.name, s.grade, s.seller, s.buyer,
+                weiToEthNumber(s.priceWei), weiToEthNumber(s.feeWei), weiToEthNumber(s.royaltyWei), s.transactionHash])],
+        grades: () => [['grade', 'listed', 'floor_eth', 'median_asking_eth', 'sales', 'median_sale_eth'],
+            ...d.grades.map(g => [g.grade, g.listed, g.floor, g.medianAsking, g.sales, g.medianSale])],
+        sellers: () => [['address', 'cards_sold', 'volume_eth'], ...d.sellers.map(r => [r.address, r.count, r.volume])],
+        buyers: () => [['address', 'cards_bought', 'volume_eth'], ...d.buyers.map(r => [r.address, r.count, r.volume])],
+        throughput: () => [['day', 'requested', 'graded', 'backlog', 'avg_turnaround_seconds'],
+            ...d.throughput.map(r => [r.day, r.requested, r.graded, r.backlog, r.turnaround === null ? '' : Math.round(r.turnaround)])],
+        card: () => {
+            const tokenId = Number(document.getElementById('analyticsCard').value);
+            return [['timestamp', 'token_id', 'kind', 'price_eth', 'seller', 'buyer'],
+                ...cardPriceHistory(tokenId).map(p => [new Date(p.timestamp * 1000).toISOString(), tokenId, p.kind, p.price, p.seller || '', p.buyer || ''])];
+        }
+    };
+    const suffix = kind === 'card' ? '-' + document.getElementById('analyticsCard').value : '';
+    downloadFile(`analytics-${kind}${suffix}.csv`, toCSV(exports[kind]()), 'text/csv');
+}
+
+// === Watchlist and alerts (Chg A35) ===
+// Per account and deployment, in localStorage: watched token ids, saved market searches
+// and an inbox. New events from every index sync are matched against them; hits go to
+// the inbox and, when permitted, to a browser notification. Events from transactions
+// sent in this tab (the tx tray knows their hashes) don't alert their sender.
+const WATCHLIST_STORAGE_KEY = 'pokemonCardWatchlists'; // Chg A35
+const WATCH_INBOX_LIMIT = 200; // oldest alerts are dropped beyond this - Chg A35
+const WATCH_CARD_EVENTS = ['Listed', 'Unlisted', 'PriceUpdated', 'GradeSet', 'CardPurchased']; // Chg A35
+const SEARCH_ALERT_EVENTS = ['Listed', 'PriceUpdated', 'GradeSet']; // events that can make a card match - Chg A35
+// Market filter keys a saved search keeps (sort and paging don't change what matches)
+const SEARCH_ALERT_FILTER_KEYS = ['q', 'graded', 'minGrade', 'maxGrade', 'minPrice', 'maxPrice', 'owner', 'hideMine']; // Chg A35
+
+function watchStateKey() { // Chg A35
+    if (!currentAccount || !cardRegistry || !marketplace || !graderContract) return null;
+    return currentDeploymentKey() + '|' + currentAccount.toLowerCase();
+}
+
+function loadWatchStore() { // Chg A35
+    try {
+        return JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+// lastAlertBlock stays null until something is watched, so history is never replayed as alerts
+function loadWatchState() { // Chg A35
+    const key = watchStateKey();
+    const saved = key ? loadWatchStore()[key] : null;
+    return { cards: [], searches: [], inbox: [], lastAlertBlock: null, ...saved };
+}
+
+function saveWatchState(state) { // Chg A35
+    const key = watchStateKey();
+    if (!key) return;
+    const store = loadWatchStore();
+    store[key] = state;
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(store));
+}
+
+// Alerts start from the current block when the first watch or search is added
+async function startWatching(state) { // Chg A35
+    if (state.lastAlertBlock === null) state.lastAlertBlock = Number(await web3.eth.getBlockNumber());
+}
+
+// After a chain reset the rebuilt index is below the stored lastAlertBlock of this deployment's
+// accounts, which would silence their alerts until the new chain grew past it
+function clampWatchAlertBlocks(deployment, latestBlock) { // Chg A35
+    const store = loadWatchStore();
+    let changed = false;
+    Object.entries(store).forEach(([key, state]) => {
+        if (key.startsWith(deployment + '|') && state.lastAlertBlock !== null && state.lastAlertBlock > latestBlock) {
+            state.lastAlertBlock = latestBlock;
+            changed = true;
+        }
+    });
+    if (changed) localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(store));
+}
+
+function isWatched(tokenId) { // Chg A35
+    return loadWatchState().cards.includes(Number(tokenId));
+}
+
+// ☆/★ button for card tiles, the card page and queue entries
+function watchButton(tokenId) { // Chg A35
+    if (!watchStateKey()) return '';
+    const watched = isWatched(tokenId);
+    return html`<button ${action('toggleWatch', tokenId)} class="secondary watch-button${watched ? ' watching' : ''}"
+        data-watch-button="${tokenId}">${watched ? '★ Watching' : '☆ Watch'}</button>`;
+}
+
+async function toggleWatch(tokenId) { // Chg A35
+    tokenId = Number(tokenId);
+    const state = loadWatchState();
+    const watched = state.cards.includes(tokenId);
+    if (watched) {
+        state.cards = state.cards.filter(id => id !== tokenId);
+    } else {
+        await startWatching(state);
+        state.cards.push(tokenId);
+    }
+    saveWatchState(state);
+
+    document.querySelectorAll(`[data-watch-button="${tokenId}"]`).forEach(button => {
+        button.classList.toggle('watching', !watched);
+        button.textContent = !watched ? '★ Watching' : '☆ Watch';
+    });
+    showSuccess(watched ? `Stopped watching card #${tokenId}` : `Watching card #${tokenId}`);
+    if (currentRoute.page === 'watchlist') await loadWatchlistPage();
+}
+
+// "grade 10–10, ≤ 2 ETH" - what a saved search looks for
+function describeMarketFilters(filters) { // Chg A35
+    const parts = [];
+    if (filters.q) parts.push(`name contains "${filters.q}"`);
+    if (filters.graded !== 'all') parts.push(filters.graded);
+    if (filters.minGrade !== '' && filters.maxGrade !== '') parts.push(`grade ${filters.minGrade}–${filters.maxGrade}`);
+    else if (filters.minGrade !== '') parts.push(`grade ≥ ${filters.minGrade}`);
+    else if (filters.maxGrade !== '') parts.push(`grade ≤ ${filters.maxGrade}`);
+    if (filters.minPrice !== '') parts.push(`≥ ${filters.minPrice} ETH`);
+    if (filters.maxPrice !== '') parts.push(`≤ ${filters.maxPrice} ETH`);
+    if (filters.owner) parts.push(`owner ${filters.owner}`);
+    if (filters.hideMine) parts.push('not mine');
+    return parts.length ? parts.join(', ') : 'any listed card';
+}
+
+// Market toolbar: alert on listed cards matching the current filters
+async function saveSearchAlert() { // Chg A35
+    if (!watchStateKey()) {
+        showError('Connect a wallet and the contracts first');
+        return;
+    }
+    const filters = {};
+    SEARCH_ALERT_FILTER_KEYS.forEach(key => { filters[key] = marketFilters[key]; });
+    const name = prompt('Name for this alert:', describeMarketFilters(filters));
+    if (name === null) return;
+
+    const state = loadWatchState();
+    await startWatching(state);
+    // Cards that match already are not news; only cards that start matching alert
+    const matching = filterAndSortMarket(await getIndexedCards(), { ...MARKET_FILTER_DEFAULTS, ...filters });
+    state.searches.push({
+        id: Date.now().toString(36),
+        name: name.trim() || describeMarketFilters(filters),
+        filters,
+        matching: matching.map(card => card.tokenId)
+    });
+    saveWatchState(state);
+    showSuccess(`Alert saved: you will be notified when a new card matches (${matching.length} match now)`);
+}
+
+function deleteSearchAlert(id) { // Chg A35
+    const state = loadWatchState();
+    state.searches = state.searches.filter(search => search.id !== id);
+    saveWatchState(state);
+    loadWatchlistPage();
+}
+
+// Alert text for an event on a watched card, or null if it isn't one we report
+function describeWatchEvent(ev, card) { // Chg A35
+    const v = ev.values;
+    const eth = wei => web3.utils.fromWei(String(wei), 'ether') + ' ETH';
+    switch (ev.event) {
+        case 'Listed':
+            return `${card.name} was listed for ${eth(v.price)}`;
+        case 'Unlisted':
+            return `${card.name} was unlisted`;
+        case 'PriceUpdated':
+            return BigInt(v.newPrice) < BigInt(v.oldPrice)
+                ? `Price drop on ${card.name}: ${eth(v.oldPrice)} → ${eth(v.newPrice)}`
+                : `Price change on ${card.name}: ${eth(v.oldPrice)} → ${eth(v.newPrice)}`;
+        case 'GradeSet':
+            return `${card.name} was graded ${v.grade}`;
+        case 'CardPurchased':
+            return `${card.name} sold for ${eth(v.price)}`;
+        default:
+            return null;
+    }
+}
+
+// Called after each index sync with the block it reached. Each account checks the indexed
+// events since its own lastAlertBlock, so blocks synced while another account (or none) was
+// connected are caught up by the next sync after it connects.
+async function raiseWatchAlerts(syncedBlock) { // Chg A35
+    const state = loadWatchState();
+    if (state.lastAlertBlock === null || state.lastAlertBlock >= syncedBlock) return;
+
+    // Only the blocks since this account's last check are read from the index
+    const ownTxs = new Set(txRecords.map(tx => tx.hash).filter(Boolean));
+    const fresh = (await getIndexedEventsAfter(state.lastAlertBlock))
+        .filter(ev => ev.tokenId !== null && ev.blockNumber <= syncedBlock);
+
+    const alerts = [];
+    const cards = new Map();
+    for (const tokenId of new Set(fresh.map(ev => ev.tokenId))) {
+        const card = await getIndexedCard(tokenId);
+        if (card) cards.set(tokenId, card);
+    }
+
+    fresh.forEach(ev => {
+        const card = cards.get(ev.tokenId);
+        if (!card || !state.cards.includes(ev.tokenId) || ownTxs.has(ev.transactionHash)) return;
+        const message = WATCH_CARD_EVENTS.includes(ev.event) && describeWatchEvent(ev, card);
+        if (message) alerts.push({ tokenId: ev.tokenId, title: '★ Watched card', message, blockNumber: ev.blockNumber });
+    });
+
+    // Saved searches compare the card as it is after this sync with the last known matches
+    const searchTokens = new Set(fresh.filter(ev => SEARCH_ALERT_EVENTS.includes(ev.event) || ev.event === 'Unlisted')
+        .map(ev => ev.tokenId));
+    state.searches.forEach(search => {
+        const filters = { ...MARKET_FILTER_DEFAULTS, ...search.filters };
+        searchTokens.forEach(tokenId => {
+            const card = cards.get(tokenId);
+            const matches = !!card && filterAndSortMarket([card], filters).length > 0;
+            const matched = search.matching.includes(tokenId);
+            if (matches && !matched) {
+                search.matching.push(tokenId);
+                const mine = currentAccount && card.owner.toLowerCase() === currentAccount.toLowerCase();
+                if (!mine) {
+                    alerts.push({
+                        tokenId,
+                        title: '🔎 ' + search.name,
+                        message: `${card.name} matches at ${web3.utils.fromWei(card.price, 'ether')} ETH${card.graded ? ' (grade ' + card.grade + ')' : ''}`,
+                        blockNumber: Math.max(...fresh.filter(ev => ev.tokenId === tokenId).map(ev => ev.blockNumber))
+                    });
+                }
+            } else if (!matches && matched) {
+                search.matching = search.matching.filter(id => id !== tokenId);
+            }
+        });
+    });
+
+    state.lastAlertBlock = syncedBlock; // everything up to here has been looked at
+    alerts.forEach(alert => {
+        state.inbox.unshift({ id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), at: Date.now(), read: false, ...alert });
+        showBrowserNotification(alert);
+    });
+    state.inbox = state.inbox.slice(0, WATCH_INBOX_LIMIT);
+    saveWatchState(state);
+
+    renderAlertBadge();
+    if (alerts.length && currentRoute.page === 'watchlist') await loadWatchlistPage();
+}
+
+function showBrowserNotification(alert) { // Chg A35
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const notification = new Notification(alert.title, { body: alert.message, tag: 'card-' + alert.tokenId });
+    notification.onclick = () => {
+        window.focus();
+        window.location.hash = '#/card/' + alert.tokenId;
+        notification.close();
+    };
+}
+
+// Must run from a click: browsers ignore permission requests that aren't user-initiated
+async function enableBrowserNotifications() { // Chg A35
+    if (typeof Notification === 'undefined') {
+        showError('This browser does not support notifications; alerts still appear in the inbox');
+        return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission === 'granted') showSuccess('Browser notifications enabled');
+    else showError('Notifications were not allowed; alerts still appear in the inbox');
+    await loadWatchlistPage();
+}
+
+// Unread count on the Watchlist nav button
+function renderAlertBadge() { // Chg A35
+    const badge = document.getElementById('alertBadge');
+    if (!badge) return;
+    const unread = loadWatchState().inbox.filter(alert => !alert.read).length;
+    badge.textContent = unread;
+    badge.style.display = unread ? '' : 'none';
+}
+
+function markAlertsRead() { // Chg A35
+    const state = loadWatchState();
+    state.inbox.forEach(alert => { alert.read = true; });
+    saveWatchState(state);
+    renderAlertBadge();
+    loadWatchlistPage();
+}
+
+function clearAlerts() { // Chg A35
+    const state = loadWatchState();
+    state.inbox = [];
+    saveWatchState(state);
+    renderAlertBadge();
+    loadWatchlistPage();
+}
+
+// #/watchlist: inbox, watched cards and saved searches
+async function loadWatchlistPage() { // Chg A35
+    const inboxDiv = document.getElementById('alertInbox');
+    const cardsDiv = document.getElementById('watchedCards');
+    const searchesDiv = document.getElementById('searchAlerts');
+    const permissionDiv = document.getElementById('notificationPermission');
+
+    if (!watchStateKey()) {
+        const message = html`<div class="loading">Connect a wallet and the contracts to use the watchlist...</div>`;
+        [inboxDiv, cardsDiv, searchesDiv].forEach(div => { div.innerHTML = message; });
+        return;
+    }
+
+    const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    permissionDiv.innerHTML = permission === 'granted'
+        ? html`<p style="color: #666;">🔔 Browser notifications are on.</p>`
+        : permission === 'denied' || permission === 'unsupported'
+            ? html`<p style="color: #666;">Browser notifications are ${permission === 'denied' ? 'blocked for this site' : 'not supported here'}; alerts appear in the inbox below.</p>`
+            : html`<button ${action('enableBrowserNotifications')}>🔔 Enable Browser Notifications</button>`;
+
+    const state = loadWatchState();
+    inboxDiv.innerHTML = state.inbox.length
+        ? html`${state.inbox.map(alert => html`
+            <div class="alert-item${alert.read ? '' : ' unread'}">
+                <div><strong>${alert.title}</strong> · <a href="#/card/${alert.tokenId}">${alert.message}</a></div>
+                <div class="tx-meta">${new Date(alert.at).toLocaleString()} · block ${alert.blockNumber}</div>
+            </div>`)}`
+        : html`<p style="color: #666;">No alerts yet.</p>`;
+
+    const cards = await Promise.all(state.cards.map(tokenId => getIndexedCard(tokenId)));
+    cardsDiv.innerHTML = state.cards.length
+        ? html`<table class="data-table">
+            <tr><th>Token</th><th>Name</th><th>Price</th><th>Listed</th><th>Grade</th><th></th></tr>
+            ${state.cards.map((tokenId, i) => {
+                const card = cards[i];
+                return card
+                    ? html`<tr>
+                        <td>#${tokenId}</td>
+                        <td><a href="#/card/${tokenId}">${card.name}</a></td>
+                        <td>${web3.utils.fromWei(card.price, 'ether')} ETH</td>
+                        <td>${card.isListed ? 'Yes' : 'No'}</td>
+                        <td>${card.graded ? card.grade : '—'}</td>
+                        <td>${watchButton(tokenId)}</td>
+                    </tr>`
+                    : html`<tr><td>#${tokenId}</td><td colspan="4">Not in the card index</td><td>${watchButton(tokenId)}</td></tr>`;
+            })}
+        </table>`
+        : html`<p style="color: #666;">No watched cards. Use ☆ Watch on a card in the market, on its page or in the grading queue.</p>`;
+
+    searchesDiv.innerHTML = state.searches.length
+        ? html`<table class="data-table">
+            <tr><th>Alert</th><th>Looks for</th><th>Matching now</th><th></th></tr>
+            ${state.searches.map(search => {
+                const query = marketFiltersToQuery({ ...MARKET_FILTER_DEFAULTS, ...search.filters });
+                return html`<tr>
+                    <td>${search.name}</td>
+                    <td>${describeMarketFilters({ ...MARKET_FILTER_DEFAULTS, ...search.filters })}</td>
+                    <td><a href="#/market${query ? '?' + query : ''}">${search.matching.length} card(s)</a></td>
+                    <td><button ${action('deleteSearchAlert', search.id)} class="secondary">🗑️ Delete</button></td>
+                </tr>`;
+            })}
+        </table>`
+        : html`<p style="color: #666;">No saved searches. Set filters on the Market page and click "🔔 Alert Me".</p>`;
+}
+
+// Request grading
+async function requestGrading(tokenId) {
+    try {
+        await cardClient.enqueue(tokenId); // pays gradingFee - Chg A27, Chg A33
+
+        showSuccess('Card enqueued for grading!');
+        loadQueue();
+
+    } catch (error) {
+        showError('Error requesting grading: ' + error.message);
+        console.error('Full error:', error);
+    }
+}
+
+// Load grading queue and show each request as a mini-card - Chg A10
+async function loadQueue() { // Chg A10
+    if (!graderContract || !cardRegistry) return;
+
+    const queueDiv = document.getElementById('queueInfo');
+    const listDiv = document.getElementById('queueList');
+
+    try {
+        listDiv.innerHTML = '<div class="loading">Loading queue...</div>';
+
+        await syncCardIndex(); // Chg A13
+        const queueLength = await refreshQueueSummary(); // Chg A12
+
+        if (queueLength == 0) {
+            listDiv.innerHTML = EMPTY_QUEUE_HTML; // Chg A12
+            return;
+        }
+
+        // Get list of pending tokenIds (one call; popNext/emergencyClearQueue emit no events)
+        const tokenIds = await graderContract.methods.getPendingQueue().call(); // Chg A10
+
+        listDiv.innerHTML = '';
+
+        for (const tokenId of tokenIds) {
+            const wrapper = await buildQueueCard(tokenId); // Chg A12
+            if (!wrapper) continue;
+            const existing = listDiv.querySelector(`.queue-card[data-token-id="${tokenId}"]`);
+            if (existing) existing.remove(); // a live update may have beaten us here - Chg A12
+            listDiv.appendChild(wrapper);
+        }
+
+        if (!listDiv.querySelector('.queue-card')) {
+            listDiv.innerHTML = EMPTY_QUEUE_HTML; // only already-graded leftovers - Chg A20
+        }
+    } catch (error) {
+        console.error('Error loading queue:', error);
+        queueDiv.innerHTML = html`<p>Error loading queue: ${error.message}</p>`; // Chg A31
+        listDiv.innerHTML = '';
+    }
+}
+
+// Update the "Queue Length / Total Processed" summary and return the length - Chg A12
+async function refreshQueueSummary() { // Chg A12
+    const queueDiv = document.getElementById('queueInfo');
+
+    const queueLength = await graderContract.methods.queueLength().call();
+    const totalProcessed = await graderContract.methods.totalProcessed().call();
+
+    // Summary info
+    queueDiv.innerHTML = html`
+                <p><strong>Queue Length:</strong> ${queueLength}</p>
+                <p><strong>Total Processed:</strong> ${totalProcessed}</p>
+            `;
+
+    return queueLength;
+}
+
+// Build the queue mini-card for one pending token - Chg A12
+async function buildQueueCard(tokenId) { // Chg A12
+    // Card, owner and grading request all come from the local index - Chg A13
+    const card = await getIndexedCard(tokenId);
+    if (!card) {
+        console.warn('Queued token missing from card index:', tokenId);
+        return null;
+    }
+    // grade() on a token that isn't at the head leaves it in the on-chain queue - Chg A20
+    if (card.graded) return null;
+    const owner = card.owner;
+    const reqInfo = card.gradingRequest;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'queue-card';
+    wrapper.dataset.tokenId = tokenId; // Chg A12
+
+    const requestedAt =
+        reqInfo && reqInfo.requestTime && reqInfo.requestTime !== '0'
+            ? new Date(Number(reqInfo.requestTime) * 1000).toLocaleString()
+            : '—';
+
+    const requesterShort =
+        reqInfo && reqInfo.requester
+            ? reqInfo.requester.substring(0, 15) + '...'
+            : 'Unknown';
+
+    wrapper.innerHTML = html`
+                <div class="queue-card-image-wrapper">
+                    <img class="queue-card-image" data-card-image style="display:none;" alt="${card.name}">
+                    <div class="queue-card-placeholder" data-card-image-placeholder>No Image</div>
+                </div>
+                <div class="queue-card-details">
+                    <h4><a href="#/card/${tokenId}">${card.name}</a> (Token #${tokenId})</h4> <!-- Chg A24 -->
+                    <p><strong>Owner:</strong> <a href="#/owner/${owner}">${owner.substring(0, 20)}...</a></p>
+                    <p><strong>Requested By:</strong> ${requesterShort}</p>
+                    <p><strong>Requested At:</strong> ${requestedAt}</p>
+                    <p><strong>Waiting:</strong> ${reqInfo ? formatDuration(Date.now() / 1000 - Number(reqInfo.requestTime)) : '—'}</p>
+                    <div class="card-attributes"></div>
+                    <!-- Inline details + per-card grading for authorized graders - Chg A20 -->
+                    <details class="queue-card-more">
+                        <summary>Card details</summary>
+                        <p><strong>Price:</strong> ${web3.utils.fromWei(card.price, 'ether')} ETH</p>
+                        <p><strong>Listed:</strong> ${card.isListed ? 'Yes' : 'No'}</p>
+                        <p><strong>Created:</strong> ${new Date(card.createdAt * 1000).toLocaleDateString()}</p>
+                        <p style="word-break: break-all;"><strong>CID:</strong> ${card.metadataCID}</p>
+                        <p><strong>Owner (full):</strong> ${owner}</p>
+                    </details>
+                    ${isCurrentGrader
+            ? html`<button ${action('openGradingForm', tokenId)} class="secondary">⭐ Grade This Card</button>`
+            : ''}
+                    ${watchButton(tokenId)} <!-- Chg A35 -->
+                </div>
+            `;
+
+    hydrateCardMedia(wrapper, card.metadataCID); // Chg A18
+    return wrapper;
+}
+
+// Add, replace or drop a single queue entry after an on-chain change - Chg A12
+async function refreshQueueEntry(tokenId) { // Chg A12
+    if (!graderContract || !cardRegistry) return;
+
+    const listDiv = document.getElementById('queueList');
+    try {
+        const pending = await graderContract.methods.isInQueue(tokenId).call();
+        const existing = listDiv.querySelector(`.queue-card[data-token-id="${tokenId}"]`);
+        const wrapper = pending ? await buildQueueCard(tokenId) : null; // null once graded - Chg A20
+
+        if (!wrapper) {
+            if (existing) existing.remove();
+            if (!listDiv.querySelector('.queue-card')) {
+                listDiv.innerHTML = EMPTY_QUEUE_HTML;
+            }
+            return;
+        }
+
+        if (existing) {
+            existing.replaceWith(wrapper);
+        } else {
+            // FIFO queue: new requests always join at the back
+            listDiv.querySelectorAll(':scope > :not(.queue-card)').forEach(el => el.remove());
+            listDiv.appendChild(wrapper);
+        }
+    } catch (error) {
+        console.error('refreshQueueEntry error for token', tokenId, error);
+    }
+}
+
+// === Grader workbench (Chg A20) ===
+// My past grades (Graded events where grader == currentAccount), average turnaround
+// from requestTime to grade, and how long the current queue has been waiting.
+async function loadGraderWorkbench() { // Chg A20
+    const section = document.getElementById('graderWorkbench');
+    if (!section) return;
+
+    if (!isCurrentGrader || !graderContract) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = '';
+
+    const statsDiv = document.getElementById('workbenchStats');
+    const historyDiv = document.getElementById('workbenchHistory');
+
+    try {
+        await syncCardIndex();
+
+        const me = currentAccount.toLowerCase();
+        const myGrades = (await getIndexedEventsByName('Graded'))
+            .filter(ev => ev.values.grader && ev.values.grader.toLowerCase() === me)
+            .reverse(); // newest first
+
+        const rows = [];
+        const turnarounds = [];
+        for (const ev of myGrades) {
+            const card = await getIndexedCard(ev.tokenId);
+            const requestTime = card && card.gradingRequest ? Number(card.gradingRequest.requestTime) : null;
+            const turnaround = requestTime ? Number(ev.timestamp) - requestTime : null;
+            if (turnaround !== null) turnarounds.push(turnaround);
+            rows.push({ ev, card, turnaround });
+        }
+
+        // Queue wait: age of each still-pending request
+        const now = Math.floor(Date.now() / 1000);
+        const pendingIds = await graderContract.methods.getPendingQueue().call();
+        const waits = [];
+        for (const tokenId of pendingIds) {
+            const card = await getIndexedCard(tokenId);
+            if (!card || card.graded || !card.gradingRequest) continue;
+            waits.push(now - Number(card.gradingRequest.requestTime));
+        }
+
+        const average = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+
+        statsDiv.innerHTML = html`
+                <div class="stat"><span class="stat-value">${myGrades.length}</span><span class="stat-label">Cards I graded</span></div>
+                <div class="stat"><span class="stat-value">${formatDuration(average(turnarounds))}</span><span class="stat-label">My avg. turnaround</span></div>
+                <div class="stat"><span class="stat-value">${waits.length}</span><span class="stat-label">Waiting now</span></div>
+                <div class="stat"><span class="stat-value">${formatDuration(waits.length ? Math.max(...waits) : null)}</span><span class="stat-label">Longest wait</span></div>
+                <div class="stat"><span class="stat-value">${formatDuration(average(waits))}</span><span class="stat-label">Avg. wait</span></div>
+            `;
+
+        if (rows.length === 0) {
+            historyDiv.innerHTML = '<p style="color:#666;">You have not graded any cards yet.</p>';
+            return;
+        }
+
+        historyDiv.innerHTML = html`
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Token</th><th>Name</th><th>Grade</th><th>Graded At</th><th>Turnaround</th><th>Tx</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(({ ev, card, turnaround }) => html`
+                        <tr>
+                            <td>#${ev.tokenId}</td>
+                            <td>${card ? card.name : '—'}</td>
+                            <td>${ev.values.grade}</td>
+                            <td>${new Date(Number(ev.timestamp) * 1000).toLocaleString()}</td>
+                            <td>${formatDuration(turnaround)}</td>
+                            <td title="${ev.transactionHash}">${ev.transactionHash.substring(0, 10)}...</td>
+                        </tr>`)}
+                    </tbody>
+                </table>
+            `;
+    } catch (error) {
+        console.error('Error loading grader workbench:', error);
+        statsDiv.innerHTML = html`<p>Error loading workbench: ${error.message}</p>`; // Chg A31
+    }
+}
+
+// 93784 → "1d 2h", 150 → "2m"; null → "—"
+function formatDuration(seconds) { // Chg A20
+    if (seconds === null || seconds === undefined || isNaN(seconds)) return '—';
+    const s = Math.max(0, Math.round(seconds));
+    const d = Math.floor(s / 86400);
+    const h = Math.floor((s % 86400) / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    if (d > 0) return `${d}d ${h}h`;
+    if (h > 0) return `${h}h ${m}m`;
+    if (m > 0) return `${m}m`;
+    return `${s}s`;
+}
+
+// === Owner admin console (Chg A25) ===
+// UI for the owner-only settings that used to need Remix. Each contract has its
+// own Ownable owner, so every section is enabled only for that contract's owner.
+const ADMIN_SECTIONS = ['registry', 'marketplace', 'grader']; // Chg A25
+let adminOwners = {}; // role → owner address - Chg A25
+let adminMaxRoyaltyBps = 1000; // CardRegistry.MAX_ROYALTY_BPS, refreshed on load - Chg A36
+
+async function loadAdminConsole() { // Chg A25
+    const overview = document.getElementById('adminOverview');
+    if (!overview) return;
+    if (!cardRegistry || !marketplace || !graderContract) {
+        overview.innerHTML = '<div class="loading">Connect contracts to load settings...</div>';
+        return;
+    }
+
+    try {
+        const graderAddr = graderContract.options.address;
+        const [registryOwner, marketOwner, graderOwner, feeBps, feeRecipient, paused,
+            marketBalance, escrowed, gradingFee, graderBalance, queueLength, registered,
+            defaultRoyalty, maxRoyaltyBps] = await Promise.all([
+            cardRegistry.methods.owner().call(),
+            marketplace.methods.owner().call(),
+            graderContract.methods.owner().call(),
+            marketplace.methods.platformFeeBps().call(),
+            marketplace.methods.feeRecipient().call(),
+            marketplace.methods.paused().call(),
+            web3.eth.getBalance(marketplace.options.address),
+            marketplace.methods.totalEscrowed().call(), // Chg A28
+            graderContract.methods.gradingFee().call(),
+            web3.eth.getBalance(graderAddr),
+            graderContract.methods.queueLength().call(),
+            cardRegistry.methods.registeredGraderContracts(graderAddr).call(),
+            cardClient.defaultRoyalty(), // Chg A36
+            cardRegistry.methods.MAX_ROYALTY_BPS().call() // Chg A36
+        ]);
+        adminOwners = { registry: registryOwner, marketplace: marketOwner, grader: graderOwner };
+
+        const eth = wei => web3.utils.fromWei(String(wei), 'ether') + ' ETH';
+        overview.innerHTML = html`
+            <table class="data-table">
+                <tr><th colspan="2">CardRegistry</th></tr>
+                <tr><td>Owner</td><td>${registryOwner}</td></tr>
+                <tr><td>Grader contract registered</td><td>${registered ? '✅ Yes' : '❌ No'} (${graderAddr})</td></tr>
+                <tr><td>Default royalty (EIP-2981)</td><td>${defaultRoyalty.bps} bps (${defaultRoyalty.bps / 100}%) to ${defaultRoyalty.receiver}</td></tr> <!-- Chg A36 -->
+                <tr><td>Royalty cap</td><td>${maxRoyaltyBps} bps (${Number(maxRoyaltyBps) / 100}%)</td></tr>
+                <tr><th colspan="2">Marketplace</th></tr>
+                <tr><td>Owner</td><td>${marketOwner}</td></tr>
+                <tr><td>Status</td><td>${paused ? '⏸️ Paused' : '▶️ Active'}</td></tr>
+                <tr><td>Platform fee</td><td>${feeBps} bps (${Number(feeBps) / 100}%)</td></tr>
+                <tr><td>Fee recipient</td><td>${feeRecipient}</td></tr>
+                <tr><td>Contract balance</td><td>${eth(marketBalance)}</td></tr>
+                <tr><td>Escrowed (offers, bids, refunds)</td><td>${eth(escrowed)}</td></tr> <!-- Chg A28 -->
+                <tr><th colspan="2">GraderContract</th></tr>
+                <tr><td>Owner</td><td>${graderOwner}</td></tr>
+                <tr><td>Grading fee</td><td>${eth(gradingFee)}</td></tr>
+                <tr><td>Collected fees (balance)</td><td>${eth(graderBalance)}</td></tr>
+                <tr><td>Queue length</td><td>${queueLength}</td></tr>
+            </table>
+        `;
+
+        document.getElementById('adminPauseBtn').textContent = paused ? '▶️ Unpause Marketplace' : '⏸️ Pause Marketplace';
+        document.getElementById('adminPauseBtn').dataset.paused = paused ? '1' : '';
+        document.getElementById('adminFeeBps').placeholder = feeBps;
+        document.getElementById('adminFeeRecipient').placeholder = feeRecipient;
+        document.getElementById('adminGradingFee').placeholder = web3.utils.fromWei(String(gradingFee), 'ether');
+        document.getElementById('adminRegisterAddress').placeholder = graderAddr;
+        document.getElementById('adminRoyaltyBps').placeholder = defaultRoyalty.bps; // Chg A36
+        document.getElementById('adminRoyaltyReceiver').placeholder = defaultRoyalty.receiver;
+        adminMaxRoyaltyBps = Number(maxRoyaltyBps);
+        document.getElementById('adminWithdrawTo').placeholder = currentAccount || '0x...';
+
+        // Lock the sections of contracts this account doesn't own
+        const me = currentAccount ? currentAccount.toLowerCase() : '';
+        ADMIN_SECTIONS.forEach(role => {
+            const section = document.getElementById('admin-' + role);
+            const isOwner = adminOwners[role].toLowerCase() === me;
+            section.querySelectorAll('button, input, textarea').forEach(el => { el.disabled = !isOwner; });
+            section.querySelector('.admin-not-owner').style.display = isOwner ? 'none' : '';
+        });
+
+        await loadAdminGraders();
+        await loadAdminRoyalties(); // Chg A36
+    } catch (error) {
+        overview.innerHTML = '';
+        showError('Error loading admin settings: ' + error.message);
+    }
+}
+
+// Graders seen in GraderAdded/GraderRemoved events, with their current on-chain status
+async function loadAdminGraders() { // Chg A25
+    const listDiv = document.getElementById('adminGraders');
+
+    await syncCardIndex();
+    const changes = [...await getIndexedEventsByName('GraderAdded'), ...await getIndexedEventsByName('GraderRemoved')]
+        .sort(compareIndexedEvents);
+    const graded = await getIndexedEventsByName('Graded');
+
+    const graders = new Map();
+    changes.forEach(ev => {
+        const key = ev.values.grader.toLowerCase();
+        const entry = graders.get(key) || { address: ev.values.grader, addedAt: null };
+        if (ev.event === 'GraderAdded' && entry.addedAt === null) entry.addedAt = Number(ev.timestamp);
+        graders.set(key, entry);
+    });
+
+    if (graders.size === 0) {
+        listDiv.innerHTML = '<p style="color:#666;">No graders have been added yet.</p>';
+        return;
+    }
+
+    // Events can't tell us about a batch that later failed, so ask the contract
+    const rows = [];
+    for (const entry of graders.values()) {
+        const active = await graderContract.methods.authorizedGraders(entry.address).call();
+        const count = graded.filter(ev => ev.values.grader && ev.values.grader.toLowerCase() === entry.address.toLowerCase()).length;
+        rows.push(html`
+            <tr>
+                <td>${entry.address}</td>
+                <td>${active ? '✅ Active' : '🚫 Revoked'}</td>
+                <td>${entry.addedAt ? new Date(entry.addedAt * 1000).toLocaleDateString() : '—'}</td>
+                <td>${count}</td>
+                <td>${active
+                    ? html`<button class="secondary" ${action('adminSetGrader', entry.address, false)}>Revoke</button>`
+                    : html`<button ${action('adminSetGrader', entry.address, true)}>Re-authorize</button>`}</td>
+            </tr>`);
+    }
+
+    listDiv.innerHTML = html`
+        <table class="data-table">
+            <tr><th>Grader</th><th>Status</th><th>First added</th><th>Cards graded</th><th></th></tr>
+            ${rows}
+        </table>
+    `;
+
+    const graderOwner = adminOwners.grader && currentAccount &&
+        adminOwners.grader.toLowerCase() === currentAccount.toLowerCase();
+    listDiv.querySelectorAll('button').forEach(btn => { btn.disabled = !graderOwner; });
+}
+
+// Confirm, estimate, send, then reload the console
+async function sendAdminTx(contract, method, args, confirmText, successText) { // Chg A25
+    if (!confirm(confirmText)) return false;
+
+    try {
+        await sendTx(contract.methods[method](...args), // Chg A27
+            { label: `${method}(${args.map(String).join(', ')})`, key: 'admin:' + method });
+
+        showSuccess(successText);
+        await loadAdminConsole();
+        return true;
+    } catch (error) {
+        showError(`Error calling ${method}: ` + error.message);
+        console.error('Full error:', error);
+        return false;
+    }
+}
+
+function readAdminAddress(id) { // Chg A25
+    const value = document.getElementById(id).value.trim();
+    if (!web3.utils.isAddress(value)) {
+        showError('Please enter a valid address');
+        return null;
+    }
+    return web3.utils.toChecksumAddress(value);
+}
+
+async function adminSetPlatformFee() { // Chg A25
+    const bps = Number(document.getElementById('adminFeeBps').value);
+    if (!Number.isInteger(bps) || bps < 0 || bps > 1000) {
+        showError('Platform fee must be a whole number of basis points between 0 and 1000 (10%)');
+        return;
+    }
+    await sendAdminTx(marketplace, 'setPlatformFee', [bps],
+        `Set the marketplace platform fee to ${bps} bps (${bps / 100}%)?`,
+        'Platform fee updated');
+}
+
+async function adminSetFeeRecipient() { // Chg A25
+    const recipient = readAdminAddress('adminFeeRecipient');
+    if (!recipient) return;
+    await sendAdminTx(marketplace, 'setFeeRecipient', [recipient],
+        `Send future platform fees to ${recipient}?`,
+        'Fee recipient updated');
+}
+
+async function adminTogglePause() { // Chg A25
+    const pause = !document.getElementById('adminPauseBtn').dataset.paused;
+    await sendAdminTx(marketplace, 'setPaused', [pause],
+        pause ? 'Pause the marketplace? Listing and buying will be blocked until it is unpaused.'
+            : 'Unpause the marketplace?',
+        pause ? 'Marketplace paused' : 'Marketplace unpaused');
+}
+
+async function adminEmergencyWithdraw() { // Chg A25
+    // Escrowed offers stay with the bidders - Chg A28
+    const balance = BigInt(await web3.eth.getBalance(marketplace.options.address)) -
+        BigInt(await marketplace.methods.totalEscrowed().call());
+    if (balance <= 0n) {
+        showError('The marketplace contract holds no ETH outside escrowed offers');
+        return;
+    }
+    await sendAdminTx(marketplace, 'emergencyWithdraw', [],
+        `EMERGENCY: withdraw ${web3.utils.fromWei(balance.toString(), 'ether')} ETH from the marketplace contract to its owner?`,
+        'Marketplace balance withdrawn');
+}
+
+async function adminSetGradingFee() { // Chg A25
+    const fee = document.getElementById('adminGradingFee').value.trim();
+    if (fee === '' || isNaN(Number(fee)) || Number(fee) < 0) {
+        showError('Please enter a grading fee in ETH (0 for free)');
+        return;
+    }
+    await sendAdminTx(graderContract, 'setGradingFee', [web3.utils.toWei(fee, 'ether')],
+        `Set the grading fee to ${fee} ETH?`,
+        'Grading fee updated');
+}
+
+async function adminWithdrawFees() { // Chg A25
+    const input = document.getElementById('adminWithdrawTo');
+    if (!input.value.trim()) input.value = currentAccount;
+    const recipient = readAdminAddress('adminWithdrawTo');
+    if (!recipient) return;
+
+    const balance = await web3.eth.getBalance(graderContract.options.address);
+    if (BigInt(balance) === 0n) {
+        showError('No grading fees to withdraw');
+        return;
+    }
+    await sendAdminTx(graderContract, 'withdrawFees', [recipient],
+        `Withdraw ${web3.utils.fromWei(balance, 'ether')} ETH of grading fees to ${recipient}?`,
+        'Grading fees withdrawn');
+}
+
+async function adminClearQueue() { // Chg A25
+    const length = await graderContract.methods.queueLength().call();
+    await sendAdminTx(graderContract, 'emergencyClearQueue', [],
+        `EMERGENCY: drop all ${length} pending grading requests? Fees already paid are not refunded.`,
+        'Grading queue cleared');
+    loadQueue();
+}
+
+// One address → setGrader, several (comma/whitespace separated) → addGradersBatch
+async function adminAddGraders() { // Chg A25
+    const input = document.getElementById('adminNewGraders');
+    const addresses = input.value.split(/[\s,;]+/).filter(Boolean);
+    const invalid = addresses.filter(a => !web3.utils.isAddress(a));
+    if (addresses.length === 0 || invalid.length > 0) {
+        showError(invalid.length ? 'Invalid address: ' + invalid[0] : 'Please enter at least one grader address');
+        return;
+    }
+
+    const done = addresses.length === 1
+        ? await sendAdminTx(graderContract, 'setGrader', [addresses[0], true],
+            `Authorize ${addresses[0]} as a grader?`, 'Grader authorized')
+        : await sendAdminTx(graderContract, 'addGradersBatch', [addresses],
+            `Authorize these ${addresses.length} graders?\n\n${addresses.join('\n')}`, `${addresses.length} graders authorized`);
+
+    if (done) {
+        input.value = '';
+        await updateGraderControlsVisibility(); // in case the owner added themselves
+    }
+}
+
+async function adminSetGrader(address, allowed) { // Chg A25
+    await sendAdminTx(graderContract, 'setGrader', [address, allowed],
+        allowed ? `Re-authorize ${address} as a grader?` : `Revoke grading rights from ${address}?`,
+        allowed ? 'Grader re-authorized' : 'Grader revoked');
+    await updateGraderControlsVisibility();
+}
+
+async function adminRegisterGraderContract(allowed) { // Chg A25
+    const input = document.getElementById('adminRegisterAddress');
+    if (!input.value.trim()) input.value = graderContract.options.address;
+    const address = readAdminAddress('adminRegisterAddress');
+    if (!address) return;
+
+    await sendAdminTx(cardRegistry, 'registerGraderContract', [address, allowed],
+        allowed ? `Allow ${address} to set grades on the CardRegistry?`
+            : `Stop ${address} from setting grades on the CardRegistry?`,
+        allowed ? 'Grader contract registered' : 'Grader contract unregistered');
+}
+
+// --- Royalties (EIP-2981) on the CardRegistry - Chg A36 ---
+// Per-card overrides are the latest TokenRoyaltyUpdated per token (receiver 0x0 = reset),
+// shown with what each card has paid in royalties so far.
+async function loadAdminRoyalties() { // Chg A36
+    const listDiv = document.getElementById('adminRoyalties');
+
+    const [changes, sales] = await Promise.all([
+        getIndexedEventsByName('TokenRoyaltyUpdated'),
+        getIndexedEventsByName('CardPurchased')
+    ]);
+    const overrides = new Map();
+    changes.forEach(ev => {
+        if (ev.values.receiver === '0x0000000000000000000000000000000000000000') overrides.delete(ev.tokenId);
+        else overrides.set(ev.tokenId, { receiver: ev.values.receiver, bps: Number(ev.values.feeBps) });
+    });
+    const paidByToken = new Map();
+    let totalPaid = 0n;
+    sales.forEach(ev => {
+        const royalty = BigInt(ev.values.royalty);
+        totalPaid += royalty;
+        paidByToken.set(ev.tokenId, (paidByToken.get(ev.tokenId) || 0n) + royalty);
+    });
+
+    const eth = wei => web3.utils.fromWei(wei.toString(), 'ether') + ' ETH';
+    const rows = [];
+    for (const [tokenId, override] of overrides) {
+        const card = await getIndexedCard(tokenId);
+        rows.push(html`
+            <tr>
+                <td><a href="#/card/${tokenId}">${card ? card.name : 'Card'} #${tokenId}</a></td>
+                <td>${override.bps} bps (${override.bps / 100}%)</td>
+                <td>${override.receiver}</td>
+                <td>${eth(paidByToken.get(tokenId) || 0n)}</td>
+                <td><button class="secondary" ${action('adminResetTokenRoyalty', tokenId)}>Reset to Default</button></td>
+            </tr>`);
+    }
+
+    listDiv.innerHTML = html`
+        <p style="margin: 10px 0;"><strong>Royalties paid on all sales:</strong> ${eth(totalPaid)}</p>
+        ${rows.length ? html`
+        <table class="data-table">
+            <tr><th>Card</th><th>Royalty</th><th>Receiver</th><th>Paid so far</th><th></th></tr>
+            ${rows}
+        </table>` : html`<p style="color:#666;">No per-card overrides; every card uses the default royalty.</p>`}
+    `;
+
+    const registryOwner = adminOwners.registry && currentAccount &&
+        adminOwners.registry.toLowerCase() === currentAccount.toLowerCase();
+    listDiv.querySelectorAll('button').forEach(btn => { btn.disabled = !registryOwner; });
+}
+
+// Basis points from an admin input, within the registry's cap; null after showing an error
+function readRoyaltyBps(id) { // Chg A36
+    const bps = Number(document.getElementById(id).value);
+    if (document.getElementById(id).value.trim() === '' || !Number.isInteger(bps) || bps < 0 || bps > adminMaxRoyaltyBps) {
+        showError(`Royalty must be a whole number of basis points between 0 and ${adminMaxRoyaltyBps} (${adminMaxRoyaltyBps / 100}%)`);
+        return null;
+    }
+    return bps;
+}
+
+async function adminSetDefaultRoyalty() { // Chg A36
+    const bps = readRoyaltyBps('adminRoyaltyBps');
+    if (bps === null) return;
+    const input = document.getElementById('adminRoyaltyReceiver');
+    if (!input.value.trim()) input.value = input.placeholder;
+    const receiver = readAdminAddress('adminRoyaltyReceiver');
+    if (!receiver) return;
+
+    await sendAdminTx(cardRegistry, 'setDefaultRoyalty', [receiver, bps],
+        `Pay ${bps} bps (${bps / 100}%) of every resale to ${receiver}, for all cards without their own royalty?`,
+        'Default royalty updated');
+}
+
+async function adminSetTokenRoyalty() { // Chg A36
+    const tokenId = Number(document.getElementById('adminRoyaltyTokenId').value);
+    if (!Number.isInteger(tokenId) || tokenId < 1) {
+        showError('Please enter a token ID');
+        return;
+    }
+    const bps = readRoyaltyBps('adminTokenRoyaltyBps');
+    if (bps === null) return;
+    const receiver = readAdminAddress('adminTokenRoyaltyReceiver');
+    if (!receiver) return;
+
+    await sendAdminTx(cardRegistry, 'setTokenRoyalty', [tokenId, receiver, bps],
+        `Pay ${bps} bps (${bps / 100}%) of every resale of card #${tokenId} to ${receiver}?`,
+        `Royalty for card #${tokenId} updated`);
+}
+
+async function adminResetTokenRoyalty(tokenId) { // Chg A36
+    await sendAdminTx(cardRegistry, 'resetTokenRoyalty', [tokenId],
+        `Put card #${tokenId} back on the default royalty?`,
+        `Card #${tokenId} uses the default royalty again`);
+}
+
+// === Transaction manager (Chg A27) ===
+// Every write goes through sendTx(): estimate → send with 1.5x gas, tracked in
+// the tray (pending / confirmed / failed) with a decoded revert reason.
+const txRecords = []; // newest first - Chg A27
+const txInFlight = new Set(); // keys of actions still waiting, blocks double-submits - Chg A27
+let txCounter = 0; // Chg A27
+
+// require() messages from the three contracts, reworded for users
+const REVERT_MESSAGES = { // Chg A27
+    'CID mismatch - card may have changed': 'The card\'s metadata changed after you loaded it. Refresh and check the card again before buying.',
+    'Card hash mismatch': 'The card (name, metadata or grade) changed after you loaded it. Refresh and check it again before buying.',
+    'Incorrect payment amount': 'The price changed after you loaded the card. Refresh to see the new price.',
+    'Token not listed': 'This card is no longer listed for sale.',
+    'Token not for sale': 'This card has no sale price.',
+    'Cannot buy your own card': 'You already own this card.',
+    'Insufficient grading fee': 'The grading fee changed. Refresh and try again with the current fee.',
+    'Token already in queue': 'This card is already waiting in the grading queue.',
+    'Token already graded': 'This card has already been graded.',
+    'Card already graded': 'This card has already been graded.',
+    'Already graded': 'This grading request has already been completed.',
+    'Only token owner can request grading': 'Only the card\'s owner can request grading.',
+    'Not authorized grader': 'This account is not an authorized grader.',
+    'No grading request found': 'This card has no grading request.',
+    'Invalid grade format': 'The grade must be a number from 1 to 10 (halves allowed).',
+    'Queue empty': 'The grading queue is empty.',
+    'Only owner can list': 'Only the card\'s owner can list it.',
+    'Only owner can unlist': 'Only the card\'s owner can unlist it.',
+    'Only owner can set price': 'Only the card\'s owner can change its price.',
+    'Already listed': 'This card is already listed.',
+    'Not listed': 'This card is not listed.',
+    'Price must be set': 'Set a price before listing the card.',
+    'Price must be greater than 0': 'The price must be greater than 0.',
+    'Fee too high (max 10%)': 'The platform fee can be at most 1000 bps (10%).',
+    'No balance': 'The contract holds no ETH to withdraw.',
+    'No fees to withdraw': 'There are no grading fees to withdraw.',
+    'Offer must be greater than 0': 'The offer must be greater than 0 ETH.', // offers - Chg A28
+    'Expiry must be in the future': 'The offer expiry must be in the future.',
+    'Cannot offer on your own card': 'You already own this card.',
+    'Offer not found': 'This offer does not exist.',
+    'Offer not active': 'This offer was already withdrawn or accepted.',
+    'Offer expired': 'This offer has expired.',
+    'Only bidder can withdraw': 'Only the account that made the offer can withdraw it.',
+    'Only owner can accept offers': 'Only the card\'s current owner can accept offers.',
+    'Bidder already owns this card': 'The bidder already owns this card.',
+    'Card is on auction': 'This card is on auction; wait for the auction to finish.', // auctions - Chg A29
+    'Unlist before auctioning': 'Unlist the card before starting an auction.',
+    'Only owner can auction': 'Only the card\'s owner can auction it.',
+    'Auction already active': 'This card already has an auction running.',
+    'Reserve must be greater than 0': 'The reserve price must be greater than 0.',
+    'Invalid auction times': 'The end time must be in the future and after the start time.',
+    'No active auction': 'This card has no active auction.',
+    'Auction not started': 'The auction has not started yet.',
+    'Auction ended': 'The auction has ended; it can only be settled now.',
+    'Seller cannot bid': 'You cannot bid on your own auction.',
+    'Bid below reserve': 'Your bid is below the reserve price.',
+    'Bid too low': 'Someone bid higher in the meantime. Bids must beat the highest bid by 5%.',
+    'Auction not ended': 'The auction has not ended yet (a late bid may have extended it).',
+    'Only seller can cancel': 'Only the seller can cancel the auction.',
+    'Auction has bids': 'An auction with bids cannot be cancelled.',
+    'Nothing to withdraw': 'You have no refunds to withdraw.',
+    'Only marketplace': 'The CardRegistry is not linked to this Marketplace, so it can\'t record the sale. The registry owner has to call setMarketplace with the Marketplace address.', // Chg A28
+    'Royalty too high (max 10%)': 'The royalty can be at most 1000 bps (10%).', // royalties - Chg A36
+    'Invalid recipient': 'The recipient (new card owner or royalty receiver) can\'t be the zero address.'
+};
+
+// OpenZeppelin v5 custom errors (selector is computed on first use)
+const CUSTOM_ERRORS = { // Chg A27
+    'OwnableUnauthorizedAccount(address)': 'Only the contract owner can do this.',
+    'EnforcedPause()': 'The marketplace is paused.',
+    'ExpectedPause()': 'The marketplace is not paused.',
+    'ReentrancyGuardReentrantCall()': 'The contract rejected a re-entrant call.',
+    'ERC721InsufficientApproval(address,uint256)': 'The marketplace is not approved to transfer this card. The seller has to approve it first.',
+    'ERC721NonexistentToken(uint256)': 'This card does not exist.',
+    'ERC721IncorrectOwner(address,uint256,address)': 'The card is not owned by the expected account.',
+    'ERC721InvalidReceiver(address)': 'The recipient can\'t receive ERC-721 tokens.'
+};
+let customErrorSelectors = null; // Chg A27
+
+// Turn a web3/provider error into one readable sentence
+function decodeTxError(error) { // Chg A27
+    const message = (error && error.message) || String(error);
+
+    if (error && (error.code === 4001 || /user (denied|rejected)/i.test(message))) {
+        return 'You rejected the transaction in your wallet.';
+    }
+    if (/insufficient funds/i.test(message)) {
+        return 'This account does not have enough ETH for the value plus gas.';
+    }
+
+    // Revert data can sit in several places depending on node and wallet
+    const data = error && error.data;
+    const candidates = [
+        data && data.result,
+        data && data.data,
+        data && data.originalError && data.originalError.data,
+        typeof data === 'string' ? data : null
+    ];
+    const inMessage = message.match(/"data":\s*"(0x[0-9a-fA-F]{8,})"/);
+    if (inMessage) candidates.push(inMessage[1]);
+    const revertData = candidates.find(d => typeof d === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(d));
+
+    let reason = data && typeof data.reason === 'string' ? data.reason : null;
+    if (!reason && revertData && revertData.startsWith('0x08c379a0')) { // Error(string)
+        try {
+            reason = web3.eth.abi.decodeParameter('string', '0x' + revertData.slice(10));
+        } catch (e) {
+            reason = null;
+        }
+    }
+    if (!reason) {
+        const match = message.match(/(?:reverted with reason string|execution reverted:|revert) '?([^'"\n]+)'?/);
+        if (match && match[1].trim() !== 'revert') reason = match[1].trim();
+    }
+    if (reason) {
+        return REVERT_MESSAGES[reason] || 'The contract rejected the transaction: ' + reason;
+    }
+
+    if (revertData) {
+        if (!customErrorSelectors) {
+            customErrorSelectors = {};
+            Object.keys(CUSTOM_ERRORS).forEach(sig => {
+                customErrorSelectors[web3.eth.abi.encodeFunctionSignature(sig)] = CUSTOM_ERRORS[sig];
+            });
+        }
+        const known = customErrorSelectors[revertData.slice(0, 10).toLowerCase()];
+        if (known) return known;
+    }
+
+    if (/reverted by the EVM/i.test(message)) {
+        return 'The transaction was mined but reverted. Refresh and check the card\'s current state.';
+    }
+    return message.split('\n')[0];
+}
+
+// method: a web3 contract method call, e.g. marketplace.methods.list(tokenId)
+// key: identifies the action for the double-submit guard (defaults to label)
+async function sendTx(method, { label, key = label, value } = {}) { // Chg A27
+    if (!currentAccount) throw new Error('Select an account first');
+    if (txInFlight.has(key)) throw new Error(`"${label}" is already waiting for confirmation`);
+    txInFlight.add(key);
+
+    const record = {
+        id: ++txCounter,
+        label,
+        status: 'pending',
+        hash: null,
+        gasUsed: null,
+        blockNumber: null,
+        error: null,
+        startedAt: Date.now()
+    };
+    txRecords.unshift(record);
+    renderTxTray();
+
+    const options = { from: currentAccount };
+    if (value !== undefined) options.value = value;
+
+    try {
+        const gasEstimate = await method.estimateGas(options);
+
+        const receipt = await method
+            .send({ ...options, gas: Math.floor(gasEstimate * 1.5) })
+            .on('transactionHash', hash => {
+                record.hash = hash;
+                renderTxTray();
+            });
+
+        record.status = 'confirmed';
+        record.hash = receipt.transactionHash;
+        record.gasUsed = receipt.gasUsed;
+        record.blockNumber = receipt.blockNumber;
+        return receipt;
+    } catch (error) {
+        record.status = 'failed';
+        record.error = decodeTxError(error);
+        if (error.receipt) {
+            record.hash = error.receipt.transactionHash;
+            record.gasUsed = error.receipt.gasUsed;
+            record.blockNumber = error.receipt.blockNumber;
+        }
+        console.error(label + ' failed:', error);
+        throw new Error(record.error);
+    } finally {
+        txInFlight.delete(key);
+        renderTxTray();
+    }
+}
+
+function renderTxTray() { // Chg A27
+    const tray = document.getElementById('txTray');
+    if (!tray) return;
+    tray.style.display = txRecords.length ? '' : 'none';
+
+    const pending = txRecords.filter(tx => tx.status === 'pending').length;
+    document.getElementById('txTraySummary').textContent = pending
+        ? `${pending} pending`
+        : `${txRecords.length} recent`;
+
+    const icons = { pending: '⏳', confirmed: '✅', failed: '❌' };
+    const list = document.getElementById('txTrayList');
+    // Labels carry card names, so they go through html`` - Chg A31
+    list.innerHTML = html`${txRecords.map(tx => html`
+        <div class="tx-item tx-${tx.status}">
+            <div><strong>${icons[tx.status]} ${tx.label}</strong></div>
+            ${tx.hash ? html`<div class="tx-meta" title="${tx.hash}">Tx ${tx.hash.substring(0, 18)}...</div>` : ''}
+            ${tx.blockNumber !== null ? html`<div class="tx-meta">Block ${tx.blockNumber} · Gas used ${tx.gasUsed}</div>` : ''}
+            ${tx.error ? html`<div class="tx-error">${tx.error}</div>` : ''}
+            <div class="tx-meta">${new Date(tx.startedAt).toLocaleTimeString()}</div>
+        </div>
+    `)}`;
+}
+
+function toggleTxTray() { // Chg A27
+    document.getElementById('txTray').classList.toggle('collapsed');
+}
+
+function clearFinishedTxs() { // Chg A27
+    for (let i = txRecords.length - 1; i >= 0; i--) {
+        if (txRecords[i].status !== 'pending') txRecords.splice(i, 1);
+    }
+    renderTxTray();
+}
+
+// === Live updates from contract events (Chg A12) ===
+// The local node is reached over plain HTTP, which has no push subscriptions,
+// so we poll each contract for new logs and re-render only the affected tokens.
+const MARKET_EVENTS = ['CardCreated', 'PriceUpdated', 'GradeSet', 'OwnershipTransferred',
+    'Listed', 'Unlisted', 'CardPurchased', 'Approval', ...AUCTION_EVENTS]; // Chg A12, single-token approvals - Chg A26, auctions - Chg A29
+const QUEUE_EVENTS = ['Enqueued', 'Graded', 'GradeSet', 'OwnershipTransferred']; // Chg A12
+
+// Start polling (called once contracts are connected and the index is loaded)
+function startEventWatcher() { // Chg A12
+    stopEventWatcher();
+    eventPollTimer = setInterval(pollContractEvents, EVENT_POLL_INTERVAL_MS);
+}
+
+function stopEventWatcher() { // Chg A12
+    if (eventPollTimer) {
+        clearInterval(eventPollTimer);
+        eventPollTimer = null;
+    }
+}
+
+// Sync new logs into the card index and refresh only what changed
+async function pollContractEvents() { // Chg A12
+    if (isPollingEvents || !cardRegistry || !marketplace || !graderContract) return;
+    isPollingEvents = true;
+
+    try {
+        const events = await syncCardIndex(); // Chg A13
+        // Fee, pause and grader changes have no tokenId - Chg A25
+        if (events.length > 0 && currentRoute.page === 'admin') await loadAdminConsole();
+        // Operator approvals change which listings can be bought - Chg A26
+        if (events.some(ev => ev.event === 'ApprovalForAll')) {
+            clearMarketApprovals();
+            await renderMarket();
+            await loadMyCollection();
+        }
+        const tokenEvents = events.filter(ev => ev.tokenId !== null);
+        if (tokenEvents.length === 0) return;
+
+        const marketTokens = new Set();
+        const queueTokens = new Set();
+        const graderTokens = new Set();
+
+        tokenEvents.forEach(ev => {
+            if (MARKET_EVENTS.includes(ev.event)) marketTokens.add(ev.tokenId);
+            if (QUEUE_EVENTS.includes(ev.event)) queueTokens.add(ev.tokenId);
+            if (ev.source === 'grader') graderTokens.add(ev.tokenId);
+        });
+
+        for (const tokenId of marketTokens) {
+            await refreshMarketCard(tokenId);
+            await refreshCollectionCard(tokenId); // Chg A14
+        }
+        if (tokenEvents.some(ev => AUCTION_EVENTS.includes(ev.event))) await renderAuctions(); // Chg A29
+        for (const tokenId of graderTokens) {
+            // queue badge / grading button on the owner's collection tile - Chg A14
+            if (!marketTokens.has(tokenId)) await refreshCollectionCard(tokenId);
+        }
+
+        const listDiv = document.getElementById('queueList');
+        for (const tokenId of queueTokens) {
+            // Ownership/grade changes only matter for entries we are already showing
+            const shown = listDiv.querySelector(`.queue-card[data-token-id="${tokenId}"]`);
+            if (!shown && !graderTokens.has(tokenId)) continue;
+            await refreshQueueEntry(tokenId);
+        }
+        if (graderTokens.size > 0) {
+            await refreshQueueSummary();
+            await loadGraderWorkbench(); // Chg A20
+        }
+        await refreshRouteView(new Set(tokenEvents.map(ev => ev.tokenId))); // Chg A24
+
+        await updateAccountInfo(); // purchases and fees move balances
+    } catch (error) {
+        console.error('Error polling contract events:', error);
+    } finally {
+        isPollingEvents = false;
+    }
+}
+
+// === Local card index in IndexedDB (Chg A13) ===
+// Replays CardRegistry, Marketplace and GraderContract events into the browser
+// so the market, queue and history views don't need 3 RPC calls per token.
+// Each sync resumes from the last block stored in the 'meta' store.
+const CARD_INDEX_DB_NAME = 'pokemonCardIndex'; // Chg A13
+const CARD_INDEX_DB_VERSION = 3; // Chg A13, v2 adds the events 'event' index - Chg A20, v3 'blockNumber' - Chg A35
+const CARD_INDEX_SYNC_CHUNK = 5000; // max blocks per getPastEvents call - Chg A13
+
+let cardIndexDB = null; // Chg A13
+let cardIndexSyncChain = Promise.resolve([]); // serializes syncs so no event is applied twice - Chg A13
+
+function openCardIndexDB() { // Chg A13
+    if (cardIndexDB) return Promise.resolve(cardIndexDB);
+
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(CARD_INDEX_DB_NAME, CARD_INDEX_DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            const db = req.result;
+            if (e.oldVersion < 1) {
+                db.createObjectStore('cards', { keyPath: 'tokenId' });
+                const events = db.createObjectStore('events', { keyPath: 'id' });
+                events.createIndex('tokenId', 'tokenId');
+                db.createObjectStore('meta');
+            }
+            if (e.oldVersion < 2) {
+                req.transaction.objectStore('events').createIndex('event', 'event'); // Chg A20
+            }
+            if (e.oldVersion < 3) {
+                req.transaction.objectStore('events').createIndex('blockNumber', 'blockNumber'); // Chg A35
+            }
+        };
+        req.onsuccess = () => {
+            cardIndexDB = req.result;
+            resolve(cardIndexDB);
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Wrap an IDBRequest / IDBTransaction in a promise
+function idbRequest(req) { // Chg A13
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function idbTransactionDone(tx) { // Chg A13
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+// Read helpers used by the views
+async function getIndexedCard(tokenId) { // Chg A13
+    const db = await openCardIndexDB();
+    return idbRequest(db.transaction('cards').objectStore('cards').get(Number(tokenId)));
+}
+
+async function getIndexedCards() { // Chg A13
+    const db = await openCardIndexDB();
+    return idbRequest(db.transaction('cards').objectStore('cards').getAll());
+}
+
+// All indexed events for one token, oldest first
+async function getIndexedEvents(tokenId) { // Chg A13
+    const db = await openCardIndexDB();
+    const events = await idbRequest(
+        db.transaction('events').objectStore('events').index('tokenId').getAll(Number(tokenId))
+    );
+    return events.sort(compareIndexedEvents);
+}
+
+// All indexed events with a given name (e.g. 'Graded'), oldest first - Chg A20
+async function getIndexedEventsByName(eventName) { // Chg A20
+    const db = await openCardIndexDB();
+    const events = await idbRequest(
+        db.transaction('events').objectStore('events').index('event').getAll(eventName)
+    );
+    return events.sort(compareIndexedEvents);
+}
+
+// Indexed events in blocks after fromBlock, oldest first - Chg A35
+async function getIndexedEventsAfter(fromBlock) { // Chg A35
+    const db = await openCardIndexDB();
+    const events = await idbRequest(
+        db.transaction('events').objectStore('events').index('blockNumber').getAll(IDBKeyRange.lowerBound(fromBlock, true))
+    );
+    return events.sort(compareIndexedEvents);
+}
+
+function compareIndexedEvents(a, b) { // Chg A13
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+// Identifies the deployment the index was built from, so a redeploy starts over
+function currentDeploymentKey() { // Chg A13
+    return [currentChainId, cardRegistry, marketplace, graderContract] // chain ID - Chg A15
+        .map(c => (c && c.options ? c.options.address.toLowerCase() : String(c)))
+        .join(',');
+}
+
+// Catch the index up to the latest block; resolves with the newly applied events
+function syncCardIndex() { // Chg A13
+    cardIndexSyncChain = cardIndexSyncChain
+        .catch(() => [])
+        .then(runCardIndexSync);
+    return cardIndexSyncChain;
+}
+
+async function runCardIndexSync() { // Chg A13
+    const db = await openCardIndexDB();
+    const deployment = currentDeploymentKey();
+    const latest = await web3.eth.getBlockNumber();
+
+    let meta = await idbRequest(db.transaction('meta').objectStore('meta').get('sync'));
+
+    // Different contracts, or the chain was reset underneath us → rebuild
+    if (!meta || meta.deployment !== deployment || meta.lastSyncedBlock > latest) {
+        await clearCardIndex();
+        clampWatchAlertBlocks(deployment, Number(latest)); // Chg A35
+        meta = { deployment, lastSyncedBlock: -1 };
+    }
+
+    const applied = [];
+
+    for (let from = meta.lastSyncedBlock + 1; from <= latest; from += CARD_INDEX_SYNC_CHUNK) {
+        const range = { fromBlock: from, toBlock: Math.min(from + CARD_INDEX_SYNC_CHUNK - 1, latest) };
+
+        // All three contracts, flattened and in chain order - Chg A33
+        const events = await cardClient.getEvents(range);
+
+        // Load every card this chunk touches, apply the events, write back in one go
+        const touched = new Set(events.filter(ev => ev.tokenId !== null).map(ev => ev.tokenId));
+        const cards = new Map();
+        const readStore = db.transaction('cards').objectStore('cards');
+        for (const tokenId of touched) {
+            const card = await idbRequest(readStore.get(tokenId));
+            if (card) cards.set(tokenId, card);
+        }
+
+        events.forEach(ev => applyIndexedEvent(cards, ev));
+
+        meta.lastSyncedBlock = range.toBlock;
+
+        const tx = db.transaction(['cards', 'events', 'meta'], 'readwrite');
+        cards.forEach(card => tx.objectStore('cards').put(card));
+        events.forEach(ev => tx.objectStore('events').put(ev));
+        tx.objectStore('meta').put(meta, 'sync');
+        await idbTransactionDone(tx);
+
+        applied.push(...events);
+    }
+
+    // Alerts must never break the sync the views depend on - Chg A35
+    await raiseWatchAlerts(meta.lastSyncedBlock).catch(error => console.error('Watchlist alerts failed:', error));
+    return applied;
+}
+
+// Fold one event into the card records (same field names as getCard())
+function applyIndexedEvent(cards, ev) { // Chg A13
+    if (ev.tokenId === null) return;
+    const v = ev.values;
+
+    if (ev.event === 'CardCreated') {
+        cards.set(ev.tokenId, {
+            tokenId: ev.tokenId,
+            name: v.name,
+            metadataCID: v.metadataCID,
+            grade: 'ungraded',
+            graded: false,
+            price: v.price,
+            createdAt: ev.timestamp,
+            owner: v.creator,
+            isListed: false,
+            purchaseCount: 0,
+            inQueue: false,
+            gradingRequest: null
+        });
+        return;
+    }
+
+    const card = cards.get(ev.tokenId);
+    if (!card) return;
+
+    switch (ev.event) {
+        case 'PriceUpdated':
+            card.price = v.newPrice;
+            break;
+        case 'GradeSet':
+            card.grade = v.grade;
+            card.metadataCID = v.newMetadataCID;
+            card.graded = true;
+            break;
+        case 'OwnershipTransferred':
+            card.owner = v.to;
+            break;
+        case 'Listed':
+            card.isListed = true;
+            break;
+        case 'Unlisted':
+            card.isListed = false;
+            break;
+        case 'CardPurchased':
+            card.purchaseCount++;
+            break;
+        case 'Enqueued':
+            card.inQueue = true;
+            card.gradingRequest = {
+                requester: v.requester,
+                requestTime: ev.timestamp,
+                completed: false,
+                finalGrade: ''
+            };
+            break;
+        case 'Graded':
+            card.inQueue = false;
+            if (card.gradingRequest) {
+                card.gradingRequest.completed = true;
+                card.gradingRequest.finalGrade = v.grade;
+            }
+            break;
+        case 'AuctionCreated': // Chg A29
+            card.auction = {
+                seller: v.seller,
+                reserve: v.reserve,
+                startTime: Number(v.startTime),
+                endTime: Number(v.endTime),
+                highestBid: '0',
+                highestBidder: null,
+                bidCount: 0,
+                active: true
+            };
+            break;
+        case 'BidPlaced': // Chg A29
+            if (card.auction) {
+                card.auction.highestBid = v.amount;
+                card.auction.highestBidder = v.bidder;
+                card.auction.endTime = Number(v.endTime); // anti-sniping extension
+                card.auction.bidCount++;
+            }
+            break;
+        case 'AuctionSettled': // Chg A29
+        case 'AuctionCancelled':
+            if (card.auction) card.auction.active = false;
+            break;
+    }
+}
+
+async function clearCardIndex() { // Chg A13
+    const db = await openCardIndexDB();
+    const tx = db.transaction(['cards', 'events', 'meta'], 'readwrite');
+    ['cards', 'events', 'meta'].forEach(name => tx.objectStore(name).clear());
+    await idbTransactionDone(tx);
+}
 
+// "Resync from genesis" button: drop the index and replay every event again
+async function resyncCardIndex() { // Chg A13
+    if (!cardRegistry || !marketplace || !graderContract) {
+        showError('Please initialize contracts first');
+        return;
+    }
 
-// Buy a card
-async function buyCard(tokenId, expectedCID) {
     try {
-        const price = await cardRegistry.methods.getPrice(tokenId).call();
-
-        const gasEstimate = await marketplace.methods
-            .buy(tokenId, expectedCID)
-            .estimateGas({
-                from: currentAccount,
-                value: price
-            });
+        showSuccess('Rebuilding card index from genesis...');
+        cardIndexSyncChain = cardIndexSyncChain.catch(() => []).then(async () => {
+            await clearCardIndex();
+            return [];
+        });
+        await loadCards();
+        await loadQueue();
+        showSuccess('Card index rebuilt from genesis.');
+    } catch (error) {
+        showError('Error rebuilding card index: ' + error.message);
+        console.error('resyncCardIndex error:', error);
+    }
+}
 
-        await marketplace.methods
-            .buy(tokenId, expectedCID)
-            .send({
-                from: currentAccount,
-                value: price,
-                gas: Math.floor(gasEstimate * 1.5)
-            });
 
-        showSuccess('Card purchased successfully!');
-        loadCards();
-        await updateAccountInfo();
+// Process next in queue (grader only)
+async function processNextInQueue() {
+    if (!isCurrentGrader) {
+        // Chg A3
+        showError('Selected account is not an authorized grader.');
+        return;
+    }
 
+    try {
+        // Skips cards graded out of order from the workbench - Chg A20, Chg A33
+        const nextToken = await cardClient.nextToGrade();
+        if (nextToken === null) {
+            showError('Queue is empty');
+            return;
+        }
+        await openGradingForm(nextToken); // Chg A19
     } catch (error) {
-        showError('Error buying card: ' + error.message);
+        showError('Error grading card: ' + error.message);
         console.error('Full error:', error);
     }
 }
 
-// Update card price
-async function updatePrice(tokenId) {
-    const newPrice = prompt('Enter new price in ETH:');
-    if (!newPrice) return;
+// === Grading form + IPFS grading certificate (Chg A19) ===
+// The grader records sub-grades, notes and photos. We upload a new metadata JSON
+// (the original metadata plus a "grading_certificate" section and a link back to
+// the original CID) and pass its CID to GraderContract.grade().
+const SUB_GRADES = [['centering', 'Centering'], ['corners', 'Corners'], ['edges', 'Edges'], ['surface', 'Surface']]; // Chg A19
 
-    try {
-        const priceWei = web3.utils.toWei(newPrice, 'ether');
+async function openGradingForm(tokenId) { // Chg A19
+    const card = await cardRegistry.methods.getCard(tokenId).call();
 
-        const gasEstimate = await cardRegistry.methods
-            .setPrice(tokenId, priceWei)
-            .estimateGas({ from: currentAccount });
+    const subGradeInputs = SUB_GRADES.map(([key, label]) => html`
+                <div class="input-group sub-grade">
+                    <label>${label} (1-10):</label>
+                    <input type="number" id="subGrade-${key}" min="1" max="10" step="0.5">
+                </div>`);
 
-        await cardRegistry.methods
-            .setPrice(tokenId, priceWei)
-            .send({
-                from: currentAccount,
-                gas: Math.floor(gasEstimate * 1.5)
-            });
+    showModal(html`
+        <h2>⭐ Grade Card #${tokenId} - ${card.name}</h2>
+        <div class="card-image-wrapper">
+            <img class="card-image" data-card-image style="display:none;" alt="${card.name}">
+        </div>
+        <div class="card-attributes"></div>
+        <div class="sub-grades">${subGradeInputs}</div>
+        <div class="input-group">
+            <label>Final Grade (1-10, suggested from sub-grades):</label>
+            <input type="text" id="finalGrade" maxlength="4" placeholder="e.g., 9 or 9.5">
+        </div>
+        <div class="input-group">
+            <label>Grader Notes:</label>
+            <textarea id="gradingNotes" placeholder="e.g., slight off-center left/right, sharp corners"></textarea>
+        </div>
+        <div class="input-group">
+            <label>Inspection Photos (optional):</label>
+            <input type="file" id="gradingPhotos" accept="image/png,image/jpeg,image/gif,image/webp" multiple> <!-- Chg A34 -->
+        </div>
+        <button id="submitGradeBtn" ${action('submitGrading', tokenId)}>✅ Submit Grade</button>
+    `);
+    document.querySelectorAll('.sub-grade input').forEach(input => input.addEventListener('input', updateSuggestedGrade)); // Chg A31
 
-        showSuccess('Price updated successfully!');
-        loadCards();
+    hydrateCardMedia(document.getElementById('modalContent'), card.metadataCID);
+}
 
-    } catch (error) {
-        showError('Error updating price: ' + error.message);
-        console.error('Full error:', error);
-    }
+// Average of the entered sub-grades, rounded down to the nearest half point
+function updateSuggestedGrade() { // Chg A19
+    const values = SUB_GRADES
+        .map(([key]) => parseFloat(document.getElementById('subGrade-' + key).value))
+        .filter(v => !isNaN(v));
+    if (values.length !== SUB_GRADES.length) return;
+
+    const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+    document.getElementById('finalGrade').value = String(Math.floor(average * 2) / 2);
 }
 
-// List card
-async function listCard(tokenId) {
-    try {
-        const gasEstimate = await marketplace.methods
-            .list(tokenId)
-            .estimateGas({ from: currentAccount });
+function isValidGradeValue(value) { // Chg A19
+    const n = Number(value);
+    return value !== '' && !isNaN(n) && n >= 1 && n <= 10 && (n * 2) % 1 === 0;
+}
 
-        await marketplace.methods.list(tokenId).send({
-            from: currentAccount,
-            gas: Math.floor(gasEstimate * 1.5)
-        });
-        showSuccess('Card listed successfully!');
-        loadCards();
-    } catch (error) {
-        showError('Error listing card: ' + error.message);
-        console.error('Full error:', error);
+async function submitGrading(tokenId) { // Chg A19
+    if (!isCurrentGrader) {
+        showError('Selected account is not an authorized grader.');
+        return;
     }
-}
 
-// Request grading
-async function requestGrading(tokenId) {
+    const subGrades = {};
+    for (const [key, label] of SUB_GRADES) {
+        const value = document.getElementById('subGrade-' + key).value.trim();
+        if (!isValidGradeValue(value)) {
+            showError(label + ' sub-grade must be between 1 and 10 in half points');
+            return;
+        }
+        subGrades[key] = Number(value);
+    }
+
+    const finalGrade = document.getElementById('finalGrade').value.trim();
+    if (!isValidGradeValue(finalGrade)) {
+        showError('Final grade must be between 1 and 10 in half points (e.g., 9 or 9.5)');
+        return;
+    }
+
+    const notes = document.getElementById('gradingNotes').value.trim();
+    const photos = Array.from(document.getElementById('gradingPhotos').files || []);
+    const photoProblem = photos.map(validateImageFile).find(Boolean); // before anything is uploaded - Chg A34
+    if (photoProblem) {
+        showError(photoProblem);
+        return;
+    }
+    const submitBtn = document.getElementById('submitGradeBtn');
+    submitBtn.disabled = true;
+
     try {
-        const fee = await graderContract.methods.gradingFee().call();
+        const card = await cardRegistry.methods.getCard(tokenId).call();
 
-        const gasEstimate = await graderContract.methods
-            .enqueueForGrading(tokenId)
-            .estimateGas({
-                from: currentAccount,
-                value: fee
-            });
+        // 1) Inspection photos
+        const photoCIDs = [];
+        for (const [index, photo] of photos.entries()) {
+            showSuccess(`Uploading inspection photo ${index + 1}/${photos.length} to IPFS...`);
+            photoCIDs.push(await uploadFileToIPFS(photo));
+        }
 
-        await graderContract.methods
-            .enqueueForGrading(tokenId)
-            .send({
-                from: currentAccount,
-                value: fee,
-                gas: Math.floor(gasEstimate * 1.5)
-            });
+        // 2) Certificate = original metadata (null for legacy image-only cards) + grading section,
+        // uploaded to IPFS and recorded on-chain by cardClient.grade() - Chg A33
+        const { metadata: original } = await fetchCardMetadata(card.metadataCID);
 
-        showSuccess('Card enqueued for grading!');
+        showSuccess('Uploading grading certificate to IPFS...');
+        const { certificateCID } = await cardClient.grade(tokenId, {
+            grade: finalGrade,
+            subGrades,
+            notes,
+            photoCIDs,
+            metadata: original
+        });
+
+        closeModal();
+        showSuccess('Card graded successfully! Certificate CID: ' + certificateCID);
         loadQueue();
+        loadCards();
+        loadGraderWorkbench(); // Chg A20
 
     } catch (error) {
-        showError('Error requesting grading: ' + error.message);
+        showError('Error grading card: ' + error.message);
         console.error('Full error:', error);
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
-// Load grading queue and show each request as a mini-card - Chg A10
-async function loadQueue() { // Chg A10
-    if (!graderContract || !cardRegistry) return;
+// Show the grading certificate stored in a graded card's metadata
+async function viewCertificate(tokenId) { // Chg A19
+    try {
+        const card = await getIndexedCard(tokenId);
+        if (!card) throw new Error('Token #' + tokenId + ' is not in the card index');
 
-    const queueDiv = document.getElementById('queueInfo');
-    const listDiv = document.getElementById('queueList');
+        const { metadata } = await fetchCardMetadata(card.metadataCID);
+        const cert = metadata && metadata.grading_certificate;
+        if (!cert) {
+            showModal(html`<h2>📄 Grading Certificate - ${card.name}</h2>
+                <p style="margin: 15px 0; color: #666;">
+                    Graded ${card.grade} before grading certificates were recorded; no certificate is available.
+                </p>`);
+            return;
+        }
 
-    try {
-        listDiv.innerHTML = '<div class="loading">Loading queue...</div>';
+        // The certificate is IPFS JSON anyone could have written: escape everything - Chg A31
+        const subGradeRows = SUB_GRADES.map(([key, label]) => html`
+                <div class="card-info"><strong>${label}:</strong> ${cert.sub_grades ? cert.sub_grades[key] : '—'}</div>`);
 
-        const queueLength = await graderContract.methods.queueLength().call();
-        const totalProcessed = await graderContract.methods.totalProcessed().call();
+        // src is set by loadIpfsImage after the modal opens, so each photo can fall back across gateways - Chg A34
+        const photos = (Array.isArray(cert.inspection_photos) ? cert.inspection_photos : [])
+            .map(String)
+            .filter(uri => safeUrl(cidToImageUrl(uri)))
+            .map(uri => html`
+                <img class="inspection-photo" data-ipfs-ref="${uri}" alt="Inspection photo">`);
 
-        // Summary info
-        queueDiv.innerHTML = `
-                    <p><strong>Queue Length:</strong> ${queueLength}</p>
-                    <p><strong>Total Processed:</strong> ${totalProcessed}</p>
-                `;
+        showModal(html`
+            <h2>📄 Grading Certificate - ${card.name}</h2>
+            <p style="margin: 15px 0; color: #666;">Token ID: ${tokenId}</p>
+            <div class="certificate">
+                <div class="certificate-grade">Grade ${cert.grade}</div>
+                ${subGradeRows}
+                <div class="card-info"><strong>Notes:</strong> ${cert.notes || '—'}</div>
+                <div class="card-info"><strong>Grader:</strong> ${cert.grader}</div>
+                <div class="card-info"><strong>Graded At:</strong> ${new Date(cert.graded_at).toLocaleString()}</div>
+                <div class="card-info" style="word-break: break-all;"><strong>Certificate CID:</strong> ${card.metadataCID}</div>
+                <div class="card-info" style="word-break: break-all;"><strong>Original Metadata:</strong> ${metadata.original_metadata || '—'}</div>
+                ${photos.length ? html`<div class="inspection-photos">${photos}</div>` : ''}
+            </div>
+        `);
+        document.querySelectorAll('#modalContent [data-ipfs-ref]')
+            .forEach(img => loadIpfsImage(img, img.dataset.ipfsRef)); // Chg A34
+    } catch (error) {
+        showError('Error loading certificate: ' + error.message);
+    }
+}
 
-        if (queueLength == 0) {
-            listDiv.innerHTML =
-                '<p style="color:#666;">No cards currently waiting for grading.</p>';
-            return;
-        }
+// View provenance timeline (ownership, sales, prices, listings, grading) - Chg A21
+async function viewHistory(tokenId) {
+    try {
+        const { card, timeline } = await buildProvenanceTimeline(tokenId); // Chg A21
 
-        // Get list of pending tokenIds
-        const tokenIds = await graderContract.methods.getPendingQueue().call(); // Chg A10
+        showModal(html`
+            <h2>📜 Provenance Timeline - ${card.name}</h2>
+            <p style="margin: 15px 0; color: #666;">Token ID: ${tokenId} · ${timeline.length} events</p>
+            <div class="history-actions">
+                <button ${action('exportProvenanceJSON', tokenId)} class="success">⬇️ JSON</button>
+                <button ${action('exportProvenanceCSV', tokenId)} class="success">⬇️ CSV</button>
+                <button ${action('printProvenanceCertificate', tokenId)}>🖨️ Provenance Certificate</button>
+            </div>
+            ${renderProvenanceItems(timeline)} <!-- shared with the card detail view - Chg A24 -->
+        `); // Chg A31
 
-        listDiv.innerHTML = '';
+    } catch (error) {
+        showError('Error viewing history: ' + error.message);
+    }
+}
 
-        for (const tokenId of tokenIds) {
-            // Fetch card + owner
-            const card = await cardRegistry.methods.getCard(tokenId).call();
-            const owner = await cardRegistry.methods.ownerOf(tokenId).call();
+function renderProvenanceItems(timeline) { // Chg A24
+    return timeline.map(entry => {
+        const date = new Date(entry.timestamp * 1000);
+        return html`
+                        <div class="history-item history-${entry.event}">
+                            <strong>${entry.title}</strong><br>
+                            ${entry.description}<br>
+                            Date: ${date.toLocaleString()}<br>
+                            <span class="history-meta">Block ${entry.blockNumber} · Tx ${entry.transactionHash}</span>
+                        </div>
+                    `;
+    }); // array of html`` items - Chg A31
+}
 
-            // Optional: grading request info (requester, time)
-            let reqInfo = null;
-            try {
-                // public mapping getter
-                reqInfo = await graderContract.methods.gradingRequests(tokenId).call();
-            } catch (e) {
-                console.warn('Could not load gradingRequests for token', tokenId, e);
-            }
+// === Provenance timeline + exports (Chg A21) ===
+// Every indexed event for a token (registry, marketplace and grader) in chain order,
+// each with a human-readable title/description plus its raw values.
+const PROVENANCE_EVENTS = ['CardCreated', 'OwnershipTransferred', 'PriceUpdated', 'Listed', 'Unlisted',
+    'CardPurchased', 'OfferAccepted', 'AuctionCreated', 'AuctionSettled', 'AuctionCancelled',
+    'Enqueued', 'GradeSet', 'Graded']; // Chg A21, offers - Chg A28, auctions - Chg A29
 
-            // Build image URL from metadataCID via local gateway (same as market) - Chg A10
-            let imageUrl = '';
-            if (card.metadataCID && card.metadataCID.trim() !== '') {
-                const cid = card.metadataCID.trim();
-                if (cid.startsWith('http://') || cid.startsWith('https://')) {
-                    imageUrl = cid;
-                } else if (cid.startsWith('ipfs://')) {
-                    imageUrl = 'http://127.0.0.1:8080/ipfs/' + cid.replace('ipfs://', '');
-                } else {
-                    imageUrl = 'http://127.0.0.1:8080/ipfs/' + cid;
-                }
-            }
+async function buildProvenanceTimeline(tokenId) { // Chg A21
+    await syncCardIndex();
+    const card = await getIndexedCard(tokenId);
+    if (!card) throw new Error('Token #' + tokenId + ' is not in the card index');
 
-            const wrapper = document.createElement('div');
-            wrapper.className = 'queue-card';
+    const timeline = (await getIndexedEvents(tokenId))
+        .filter(ev => PROVENANCE_EVENTS.includes(ev.event))
+        .map(ev => ({
+            event: ev.event,
+            ...describeProvenanceEvent(ev),
+            timestamp: Number(ev.timestamp),
+            blockNumber: ev.blockNumber,
+            logIndex: ev.logIndex,
+            transactionHash: ev.transactionHash,
+            values: ev.values
+        }));
 
-            const requestedAt =
-                reqInfo && reqInfo.requestTime && reqInfo.requestTime !== '0'
-                    ? new Date(Number(reqInfo.requestTime) * 1000).toLocaleString()
-                    : '—';
+    return { card, timeline };
+}
 
-            const requesterShort =
-                reqInfo && reqInfo.requester
-                    ? reqInfo.requester.substring(0, 15) + '...'
-                    : 'Unknown';
+function describeProvenanceEvent(ev) { // Chg A21
+    const v = ev.values;
+    const eth = wei => web3.utils.fromWei(String(wei), 'ether') + ' ETH';
 
-            wrapper.innerHTML = `
-                        <div class="queue-card-image-wrapper">
-                            ${imageUrl
-                    ? `<img class="queue-card-image" src="${imageUrl}" alt="${card.name}">`
-                    : `<div class="queue-card-placeholder">No Image</div>`
-                }
-                        </div>
-                        <div class="queue-card-details">
-                            <h4>${card.name} (Token #${tokenId})</h4>
-                            <p><strong>Owner:</strong> ${owner.substring(0, 20)}...</p>
-                            <p><strong>Requested By:</strong> ${requesterShort}</p>
-                            <p><strong>Requested At:</strong> ${requestedAt}</p>
-                        </div>
-                    `;
+    switch (ev.event) {
+        case 'CardCreated':
+            return { title: 'Minted', description: `Created for ${v.creator} at ${eth(v.price)} · CID ${v.metadataCID}` };
+        case 'OwnershipTransferred':
+            return { // sale price reported by the marketplace, 0 for plain transfers - Chg A28
+                title: 'Ownership Transferred',
+                description: `${v.from} → ${v.to} ` + (v.price && v.price !== '0' ? `(sold for ${eth(v.price)})` : '(transfer, no sale)')
+            };
+        case 'PriceUpdated':
+            return { title: 'Price Updated', description: `${eth(v.oldPrice)} → ${eth(v.newPrice)}` };
+        case 'Listed':
+            return { title: 'Listed', description: `Listed by ${v.owner} at ${eth(v.price)}` };
+        case 'Unlisted':
+            return { title: 'Unlisted', description: `Unlisted by ${v.owner}` };
+        case 'CardPurchased':
+            return {
+                title: 'Purchased',
+                description: `${v.buyer} bought from ${v.seller} for ${eth(v.price)} (platform fee ${eth(v.platformFee)}` +
+                    (v.royalty !== '0' ? `, royalty ${eth(v.royalty)} to ${v.royaltyReceiver})` : ')') // Chg A36
+            };
+        case 'OfferAccepted': // Chg A28
+            return { title: 'Offer Accepted', description: `${v.seller} accepted offer #${v.offerId} of ${eth(v.amount)} from ${v.bidder}` };
+        case 'AuctionCreated': // Chg A29
+            return {
+                title: 'Auction Started',
+                description: `By ${v.seller}, reserve ${eth(v.reserve)}, ${new Date(v.startTime * 1000).toLocaleString()} → ${new Date(v.endTime * 1000).toLocaleString()}`
+            };
+        case 'AuctionSettled': // Chg A29
+            return { title: 'Auction Won', description: `${v.winner} won the auction from ${v.seller} with ${eth(v.amount)}` };
+        case 'AuctionCancelled': // Chg A29
+            return { title: 'Auction Ended Without Sale', description: `${v.reason} (seller ${v.seller})` };
+        case 'Enqueued':
+            return { title: 'Grading Requested', description: `Requested by ${v.requester} · queue position ${v.queuePosition}` };
+        case 'GradeSet':
+            return { title: 'Grade Recorded', description: `Grade ${v.grade} · new metadata CID ${v.newMetadataCID}` };
+        case 'Graded':
+            return { title: 'Graded', description: `Grade ${v.grade} by grader ${v.grader}` };
+        default:
+            return { title: ev.event, description: '' };
+    }
+}
 
-            listDiv.appendChild(wrapper);
-        }
+async function exportProvenanceJSON(tokenId) { // Chg A21
+    try {
+        const { card, timeline } = await buildProvenanceTimeline(tokenId);
+        const cardHash = await cardRegistry.methods.getCardHash(tokenId).call();
+        const payload = {
+            tokenId: Number(tokenId),
+            chainId: currentChainId,
+            registry: cardRegistry.options.address,
+            cardHash,
+            card,
+            exportedAt: new Date().toISOString(),
+            timeline
+        };
+        downloadFile(`card-${tokenId}-provenance.json`, JSON.stringify(payload, null, 2), 'application/json');
     } catch (error) {
-        console.error('Error loading queue:', error);
-        queueDiv.innerHTML =
-            '<p>Error loading queue: ' + error.message + '</p>';
-        listDiv.innerHTML = '';
+        showError('Error exporting provenance: ' + error.message);
     }
 }
 
+async function exportProvenanceCSV(tokenId) { // Chg A21
+    try {
+        const { timeline } = await buildProvenanceTimeline(tokenId);
+        const header = ['block', 'logIndex', 'timestamp', 'event', 'title', 'description', 'transactionHash', 'values'];
+        const rows = timeline.map(entry => [
+            entry.blockNumber,
+            entry.logIndex,
+            new Date(entry.timestamp * 1000).toISOString(),
+            entry.event,
+            entry.title,
+            entry.description,
+            entry.transactionHash,
+            JSON.stringify(entry.values)
+        ]);
+        downloadFile(`card-${tokenId}-provenance.csv`, toCSV([header, ...rows]), 'text/csv');
+    } catch (error) {
+        showError('Error exporting provenance: ' + error.message);
+    }
+}
 
-// Process next in queue (grader only)
-async function processNextInQueue() {
-    if (!isCurrentGrader) {
-        // Chg A3
-        showError('Selected account is not an authorized grader.');
+// Printable page with the current on-chain card hash so the history can be checked later
+async function printProvenanceCertificate(tokenId) { // Chg A21
+    // Open the window while still inside the click, or popup blockers step in
+    const win = window.open('', '_blank');
+    if (!win) {
+        showError('Allow pop-ups to print the provenance certificate');
         return;
     }
 
-    const grade = prompt('Enter grade (1-10):');
-    if (!grade) return;
-
-    // const newCID = prompt('Enter new metadata CID with grade:');
-    // if (!newCID) return;
-
     try {
-        const result = await graderContract.methods.peek().call();
-        const nextToken = result.tokenId;
-        const exists = result.exists;
-        if (!exists) {
-            showError('Queue is empty');
-            return;
-        }
-        // ---- Fetch existing CID from CardRegistry ----
-        const cardData = await cardRegistry.methods.getCard(nextToken).call();
-        const currentCID = cardData.metadataCID;
-        const gasEstimate = await graderContract.methods
-            .grade(nextToken, grade, currentCID)
-            .estimateGas({ from: currentAccount });
-
-        await graderContract.methods
-            .grade(nextToken, grade, currentCID)
-            .send({
-                from: currentAccount,
-                gas: Math.floor(gasEstimate * 1.5)
-            });
+        const { card, timeline } = await buildProvenanceTimeline(tokenId);
+        const cardHash = await cardRegistry.methods.getCardHash(tokenId).call();
+        const { imageUrl } = await fetchCardMetadata(card.metadataCID);
 
-        showSuccess('Card graded successfully!');
-        loadQueue();
-        loadCards();
+        const rows = timeline.map(entry => html`
+                <tr>
+                    <td>${new Date(entry.timestamp * 1000).toLocaleString()}</td>
+                    <td>${entry.title}</td>
+                    <td>${entry.description}</td>
+                    <td>${entry.blockNumber}</td>
+                    <td class="mono">${entry.transactionHash}</td>
+                </tr>`);
 
+        win.document.write(String(html`<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Provenance Certificate - ${card.name} (#${tokenId})</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 30px; color: #333; }
+    h1 { margin-bottom: 5px; }
+    .mono { font-family: monospace; word-break: break-all; font-size: 11px; }
+    img { max-height: 220px; float: right; margin-left: 20px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 12px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+    .verify { margin-top: 20px; padding: 10px; border: 2px solid #667eea; border-radius: 8px; font-size: 13px; }
+</style></head>
+<body>
+    ${safeUrl(imageUrl) ? html`<img src="${safeUrl(imageUrl)}" alt="${card.name}">` : ''}
+    <h1>Provenance Certificate</h1>
+    <h2>${card.name} — Token #${tokenId}</h2>
+    <p><strong>Grade:</strong> ${card.graded ? card.grade : 'Ungraded'}<br>
+       <strong>Current owner:</strong> <span class="mono">${card.owner}</span><br>
+       <strong>Metadata CID:</strong> <span class="mono">${card.metadataCID}</span><br>
+       <strong>Minted:</strong> ${new Date(card.createdAt * 1000).toLocaleString()}</p>
+    <div class="verify">
+        <strong>Card hash (getCardHash):</strong> <span class="mono">${cardHash}</span><br>
+        Verify by calling <code>getCardHash(${tokenId})</code> on CardRegistry
+        <span class="mono">${cardRegistry.options.address}</span> on chain ${currentChainId}.
+        A different result means the card's name, metadata or grade has changed since
+        ${new Date().toLocaleString()}.
+    </div>
+    <table>
+        <thead><tr><th>Date</th><th>Event</th><th>Details</th><th>Block</th><th>Transaction</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</body></html>`)); // Chg A31
+        win.document.close();
+        win.focus();
+        win.print();
     } catch (error) {
-        showError('Error grading card: ' + error.message);
-        console.error('Full error:', error);
+        win.close();
+        showError('Error building provenance certificate: ' + error.message);
     }
 }
 
-// View ownership history
-async function viewHistory(tokenId) {
-    try {
-        const history = await cardRegistry.methods.getOwnershipHistory(tokenId).call();
-        const card = await cardRegistry.methods.getCard(tokenId).call();
+// Quote every cell so commas, quotes and newlines survive
+function toCSV(rows) { // Chg A21
+    return rows
+        .map(row => row.map(cell => '"' + String(cell === null || cell === undefined ? '' : cell).replace(/"/g, '""') + '"').join(','))
+        .join('\r\n');
+}
 
-        let html = `<h2>📜 Ownership History - ${card.name}</h2>`;
-        html += `<p style="margin: 15px 0; color: #666;">Token ID: ${tokenId}</p>`;
+function downloadFile(filename, content, type) { // Chg A21
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-        history.forEach((record, index) => {
-            const date = new Date(record.timestamp * 1000);
-            html += `
-                        <div class="history-item">
-                            <strong>Transfer ${index + 1}</strong><br>
-                            Owner: ${record.owner}<br>
-                            Date: ${date.toLocaleString()}<br>
-                            Price: ${web3.utils.fromWei(record.price, 'ether')} ETH
-                        </div>
-                    `;
-        });
+// === IPFS pin health (Chg A34) ===
+// Every CID of every indexed card is looked up in the API node's pin set. The last
+// result is kept so the table's Re-pin buttons and "Re-pin All Missing" can update it.
+let pinHealthResults = []; // [{ tokenId, name, role, cid, status: 'pinned'|'missing'|'repinned'|'error', error }]
+
+async function runPinHealthCheck() { // Chg A34
+    if (!cardClient) {
+        showError('Connect to the contracts first');
+        return;
+    }
+    const output = document.getElementById('pinHealth');
+    try {
+        const cards = (await getIndexedCards()).sort((a, b) => a.tokenId - b.tokenId);
+        const results = [];
+        for (const [index, card] of cards.entries()) {
+            output.innerHTML = html`<p>Checking card ${index + 1} / ${cards.length}...</p>`;
+            for (const { role, cid } of await cardClient.cardCids(card)) {
+                const entry = { tokenId: card.tokenId, name: card.name, role, cid, status: 'pinned', error: '' };
+                try {
+                    if (!(await cardClient.isPinned(cid))) entry.status = 'missing';
+                } catch (error) {
+                    entry.status = 'error';
+                    entry.error = error.message;
+                }
+                results.push(entry);
+            }
+        }
+        pinHealthResults = results;
+        renderPinHealth();
+    } catch (error) {
+        output.innerHTML = '';
+        showError('Pin health check failed: ' + error.message);
+    }
+}
 
-        showModal(html);
+function renderPinHealth() { // Chg A34
+    const output = document.getElementById('pinHealth');
+    const problems = pinHealthResults.filter(entry => entry.status !== 'pinned');
+    const pinned = pinHealthResults.length - problems.length;
+    output.innerHTML = html`
+        <p style="margin: 15px 0;"><strong>${pinned} / ${pinHealthResults.length} CIDs pinned</strong></p>
+        ${problems.length ? html`
+        <table class="data-table">
+            <tr><th>Token</th><th>Name</th><th>Object</th><th>CID</th><th>Status</th><th></th></tr>
+            ${problems.map(entry => html`
+            <tr>
+                <td>#${entry.tokenId}</td>
+                <td>${entry.name}</td>
+                <td>${entry.role}</td>
+                <td style="word-break: break-all;">${entry.cid}</td>
+                <td class="pin-status-${entry.status}">${entry.status}${entry.error ? ': ' + entry.error : ''}</td>
+                <td>${entry.status === 'repinned' ? '' : html`<button ${action('repinCid', entry.cid)} class="secondary">📌 Re-pin</button>`}</td>
+            </tr>`)}
+        </table>` : ''}`;
+}
 
+// pin/add can take a while when the content has to come back from the network
+async function repinCid(cid) { // Chg A34
+    const entries = pinHealthResults.filter(entry => entry.cid === cid);
+    try {
+        showSuccess('Re-pinning ' + cid + '...');
+        await cardClient.pin(cid);
+        entries.forEach(entry => { entry.status = 'repinned'; entry.error = ''; });
+        showSuccess('Pinned ' + cid);
     } catch (error) {
-        showError('Error viewing history: ' + error.message);
+        entries.forEach(entry => { entry.status = 'error'; entry.error = error.message; });
+        showError('Could not re-pin ' + cid + ': ' + error.message);
+    }
+    renderPinHealth();
+}
+
+async function repinAllMissing() { // Chg A34
+    if (pinHealthResults.length === 0) await runPinHealthCheck();
+    const cids = [...new Set(pinHealthResults
+        .filter(entry => entry.status === 'missing' || entry.status === 'error')
+        .map(entry => entry.cid))];
+    if (cids.length === 0) {
+        showSuccess('Nothing to re-pin');
+        return;
     }
+    for (const cid of cids) await repinCid(cid);
 }
 
 // Modal functions
@@ -694,34 +5555,286 @@ function closeModal() {
 }
 
 // Save/Load configuration
+// === Named deployment profiles (Chg A17) ===
+// Each profile holds one environment (RPC, chain ID, contracts, ABIs, IPFS endpoints).
+// Stored together under one localStorage key; the old single config is migrated as "default".
+const PROFILES_STORAGE_KEY = 'pokemonCardProfiles'; // Chg A17
+const LEGACY_CONFIG_KEY = 'pokemonCardConfig'; // Chg A17
+
+// Profile property → form field id
+const PROFILE_FIELDS = { // Chg A17
+    rpcUrl: 'rpcUrl',
+    chainId: 'expectedChainId',
+    cardRegistryAddress: 'cardRegistryAddress',
+    marketplaceAddress: 'marketplaceAddress',
+    graderAddress: 'graderAddress',
+    cardRegistryABI: 'cardRegistryABI',
+    marketplaceABI: 'marketplaceABI',
+    graderABI: 'graderABI',
+    ipfsApiUrl: 'ipfsApiUrl',
+    ipfsGatewayUrl: 'ipfsGatewayUrl',
+    ipfsFallbackGateways: 'ipfsFallbackGateways' // one URL per line - Chg A34
+};
+
+const PROFILE_DEFAULTS = { // Chg A17
+    rpcUrl: DEFAULT_RPC_URL,
+    ipfsApiUrl: DEFAULT_IPFS_API_URL,
+    ipfsGatewayUrl: DEFAULT_IPFS_GATEWAY_URL
+};
+
+function loadProfileStore() { // Chg A17
+    const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+    if (saved) return JSON.parse(saved);
+
+    const legacy = localStorage.getItem(LEGACY_CONFIG_KEY);
+    if (legacy) {
+        return {
+            activeProfile: 'default',
+            profiles: { default: { ...PROFILE_DEFAULTS, ...JSON.parse(legacy), name: 'default' } }
+        };
+    }
+    return { activeProfile: null, profiles: {} };
+}
+
+function saveProfileStore(store) { // Chg A17
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(store));
+}
+
+function readProfileForm() { // Chg A17
+    const profile = { name: document.getElementById('profileName').value.trim() };
+    Object.keys(PROFILE_FIELDS).forEach(key => {
+        profile[key] = document.getElementById(PROFILE_FIELDS[key]).value.trim();
+    });
+    return profile;
+}
+
+function applyProfileToForm(profile) { // Chg A17
+    document.getElementById('profileName').value = profile.name || '';
+    Object.keys(PROFILE_FIELDS).forEach(key => {
+        const value = profile[key] !== undefined && profile[key] !== '' ? profile[key] : PROFILE_DEFAULTS[key];
+        document.getElementById(PROFILE_FIELDS[key]).value = value || '';
+    });
+}
+
+function renderProfileSelect(store) { // Chg A17
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+    Object.keys(store.profiles).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        const chainId = store.profiles[name].chainId;
+        option.text = chainId ? `${name} (chain ${chainId})` : name;
+        select.appendChild(option);
+    });
+    select.value = store.activeProfile || '';
+}
+
 function saveConfig() {
-    const config = {
-        cardRegistryAddress: document.getElementById('cardRegistryAddress').value,
-        marketplaceAddress: document.getElementById('marketplaceAddress').value,
-        graderAddress: document.getElementById('graderAddress').value,
-        cardRegistryABI: document.getElementById('cardRegistryABI').value,
-        marketplaceABI: document.getElementById('marketplaceABI').value,
-        graderABI: document.getElementById('graderABI').value
-    };
+    const profile = readProfileForm(); // Chg A17
+    if (!profile.name) {
+        showError('Please enter a profile name');
+        return;
+    }
 
-    localStorage.setItem('pokemonCardConfig', JSON.stringify(config));
-    showSuccess('Configuration saved!');
+    const store = loadProfileStore();
+    store.profiles[profile.name] = profile;
+    store.activeProfile = profile.name;
+    saveProfileStore(store);
+    renderProfileSelect(store);
+    showSuccess('Configuration saved to profile "' + profile.name + '"!');
 }
 
 function loadConfig() {
-    const saved = localStorage.getItem('pokemonCardConfig');
-    if (saved) {
-        const config = JSON.parse(saved);
-        document.getElementById('cardRegistryAddress').value = config.cardRegistryAddress || '';
-        document.getElementById('marketplaceAddress').value = config.marketplaceAddress || '';
-        document.getElementById('graderAddress').value = config.graderAddress || '';
-        document.getElementById('cardRegistryABI').value = config.cardRegistryABI || '';
-        document.getElementById('marketplaceABI').value = config.marketplaceABI || '';
-        document.getElementById('graderABI').value = config.graderABI || '';
+    const store = loadProfileStore(); // Chg A17
+    renderProfileSelect(store);
+
+    const profile = store.profiles[store.activeProfile];
+    if (profile) {
+        applyProfileToForm(profile);
         showSuccess('Configuration loaded!');
+    } else {
+        applyProfileToForm({ name: 'default' });
+    }
+}
+
+// Profile dropdown changed: load it and reconnect to its node/contracts
+async function switchProfile() { // Chg A17
+    const name = document.getElementById('profileSelect').value;
+    await activateProfile(name);
+}
+
+async function activateProfile(name) { // Chg A17
+    const store = loadProfileStore();
+    const profile = store.profiles[name];
+    if (!profile) return;
+
+    store.activeProfile = name;
+    saveProfileStore(store);
+    renderProfileSelect(store);
+    applyProfileToForm(profile);
+    profilePinnedByUser = true;
+    showSuccess('Switched to profile "' + name + '"');
+
+    try {
+        if (connectionMode === 'local') {
+            await useLocalNode(); // the profile may point at a different RPC URL
+        } else {
+            await checkChainId();
+            await reconnectContracts();
+        }
+    } catch (error) {
+        showError('Error switching profile: ' + error.message);
+    }
+}
+
+// Start a blank profile (keeps the default RPC/IPFS endpoints)
+function newProfile() { // Chg A17
+    const name = (prompt('New profile name:') || '').trim();
+    if (!name) return;
+
+    const store = loadProfileStore();
+    if (store.profiles[name]) {
+        showError('A profile named "' + name + '" already exists');
+        return;
+    }
+    applyProfileToForm({ name });
+    showSuccess('Fill in the new profile and click Save Config');
+}
+
+function deleteProfile() { // Chg A17
+    const store = loadProfileStore();
+    const name = store.activeProfile;
+    if (!name || !store.profiles[name]) {
+        showError('No saved profile selected');
+        return;
+    }
+    if (!confirm('Delete profile "' + name + '"?')) return;
+
+    delete store.profiles[name];
+    store.activeProfile = Object.keys(store.profiles).sort()[0] || null;
+    saveProfileStore(store);
+    loadConfig();
+    showSuccess('Profile "' + name + '" deleted');
+}
+
+// Download every saved profile as one JSON file
+function exportProfiles() { // Chg A17
+    const store = loadProfileStore();
+    if (Object.keys(store.profiles).length === 0) {
+        showError('No saved profiles to export');
+        return;
+    }
+
+    downloadFile('pokemon-card-profiles.json',
+        JSON.stringify({ profiles: store.profiles }, null, 2), 'application/json'); // Chg A21
+}
+
+// Accepts an export from exportProfiles() or a single profile object
+async function importProfiles() { // Chg A17
+    const input = document.getElementById('profileImportFile');
+    const file = input.files && input.files[0];
+    if (!file) {
+        showError('Choose a profile JSON file first');
+        return;
+    }
+
+    try {
+        const json = JSON.parse(await file.text());
+        const incoming = json.profiles ? Object.values(json.profiles) : [json];
+        const valid = incoming.filter(p => p && typeof p.name === 'string' && p.name.trim());
+        if (valid.length === 0) throw new Error('no named profiles found');
+
+        const store = loadProfileStore();
+        valid.forEach(p => {
+            store.profiles[p.name.trim()] = { ...p, name: p.name.trim() };
+        });
+        if (!store.activeProfile) store.activeProfile = valid[0].name.trim();
+        saveProfileStore(store);
+        renderProfileSelect(store);
+        showSuccess('Imported ' + valid.length + ' profile(s): ' + valid.map(p => p.name).join(', '));
+    } catch (error) {
+        showError('Error importing profiles: ' + error.message);
+    } finally {
+        input.value = '';
+    }
+}
+
+// Pick the saved profile whose chain ID matches the connected chain
+async function autoSelectProfileForChain(chainId) { // Chg A17
+    if (profilePinnedByUser) return false;
+
+    const store = loadProfileStore();
+    const active = store.profiles[store.activeProfile];
+    if (active && Number(active.chainId) === chainId) return false;
+
+    // A local node only serves its own RPC URL, so only a wallet can hop profiles by RPC
+    const match = Object.values(store.profiles).find(p =>
+        Number(p.chainId) === chainId &&
+        (connectionMode === 'wallet' || (p.rpcUrl || DEFAULT_RPC_URL) === getRpcUrl()));
+    if (!match) return false;
+
+    store.activeProfile = match.name;
+    saveProfileStore(store);
+    renderProfileSelect(store);
+    applyProfileToForm(match);
+    showSuccess('Selected profile "' + match.name + '" for chain ' + chainId);
+    return true;
+}
+
+// Warn when the active profile's contracts have no code on this chain
+async function checkProfileContractsCode() { // Chg A17
+    const warning = document.getElementById('profileWarning');
+    const profile = readProfileForm();
+    const missing = [];
+
+    for (const [label, address] of [
+        ['CardRegistry', profile.cardRegistryAddress],
+        ['Marketplace', profile.marketplaceAddress],
+        ['GraderContract', profile.graderAddress]
+    ]) {
+        if (!address || !web3.utils.isAddress(address)) continue;
+        const code = await web3.eth.getCode(address);
+        if (!code || code === '0x' || code === '0x0') missing.push(label);
+    }
+
+    if (missing.length > 0) {
+        warning.textContent =
+            `⚠️ Profile "${profile.name || 'unsaved'}": no contract code for ${missing.join(', ')} ` +
+            `on chain ${currentChainId}. The contracts may have been redeployed or this is the wrong network.`;
+        warning.style.display = 'block';
+    } else {
+        warning.style.display = 'none';
     }
 }
 
+// Current endpoints (form values fall back to the local defaults)
+function getRpcUrl() { // Chg A17
+    return document.getElementById('rpcUrl').value.trim() || DEFAULT_RPC_URL;
+}
+
+function getIpfsApiUrl() { // Chg A17
+    return (document.getElementById('ipfsApiUrl').value.trim() || DEFAULT_IPFS_API_URL).replace(/\/+$/, '');
+}
+
+function getIpfsGatewayUrl() { // Chg A17
+    return (document.getElementById('ipfsGatewayUrl').value.trim() || DEFAULT_IPFS_GATEWAY_URL).replace(/\/+$/, '');
+}
+
+// Primary gateway first, then the profile's fallbacks in the order given - Chg A34
+function getIpfsGateways() { // Chg A34
+    const fallbacks = document.getElementById('ipfsFallbackGateways').value
+        .split(/[\s,]+/)
+        .map(url => url.replace(/\/+$/, ''))
+        .filter(url => /^https?:\/\//i.test(url));
+    return [...new Set([getIpfsGatewayUrl(), ...fallbacks])];
+}
+
+// Build an image URL from a metadataCID via the profile's IPFS gateway
+// (segments encoded by ipfsGatewayPath in cardClient.js - Chg A31, A34)
+function cidToImageUrl(metadataCID) { // Chg A17
+    return ipfsGatewayUrls([getIpfsGatewayUrl()], metadataCID)[0] || '';
+}
+
 // Notification helpers
 function showSuccess(message) {
     const status = document.getElementById('connection-status');
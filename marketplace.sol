@@ -6,7 +6,10 @@ pragma solidity ^0.8.20;
   - Secure marketplace with CID verification on purchases
   - Cards automatically listed after creation
   - Optional platform fee system
+  - EIP-2981 creator royalties from the registry paid on every sale
   - Purchase history tracking
+  - Escrowed ETH offers on any card (listed or not), with expiry
+  - Timed English auctions with reserve, outbid refunds and anti-sniping extension
   - Emergency pause functionality
 */
 
@@ -20,6 +23,8 @@ interface ICardRegistry {
     function getPrice(uint256 tokenId) external view returns (uint256);
     function getMetadataCID(uint256 tokenId) external view returns (string memory);
     function getCardHash(uint256 tokenId) external view returns (bytes32);
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
+    function recordSale(uint256 tokenId, uint256 salePrice) external;
     function safeTransferFrom(address from, address to, uint256 tokenId) external;
 }
 
@@ -40,9 +45,36 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         address seller;
         uint256 price;
         uint64 timestamp;
+        address royaltyReceiver; // address(0) when no royalty was due
+        uint256 royalty;
     }
     mapping(uint256 => Purchase[]) private purchaseHistory;
 
+    // Offers: ETH is held by this contract until withdrawn or accepted
+    struct Offer {
+        address bidder;
+        uint256 amount;
+        uint64 expiresAt;
+        bool active;
+    }
+    mapping(uint256 => Offer[]) private offers; // tokenId => offers (offerId = index)
+    uint256 public totalEscrowed; // offers + auction bids + unclaimed refunds
+
+    // Auctions: the card stays with the seller; the highest bid is escrowed here
+    struct Auction {
+        address seller;
+        uint256 reserve;
+        uint64 startTime;
+        uint64 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool active;
+    }
+    mapping(uint256 => Auction) public auctions;
+    mapping(address => uint256) public pendingReturns; // refunds and sale payouts that could not be pushed
+    uint64 public constant ANTI_SNIPING_WINDOW = 10 minutes; // a late bid pushes the end this far out
+    uint256 public constant MIN_BID_INCREMENT_BPS = 500; // each bid beats the last by 5%
+
     // Events
     event Listed(uint256 indexed tokenId, address indexed owner, uint256 price);
     event Unlisted(uint256 indexed tokenId, address indexed owner);
@@ -51,8 +83,35 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         address indexed buyer,
         address indexed seller,
         uint256 price,
-        uint256 platformFee
+        uint256 platformFee,
+        address royaltyReceiver,
+        uint256 royalty
+    );
+    event OfferMade(
+        uint256 indexed tokenId,
+        uint256 indexed offerId,
+        address indexed bidder,
+        uint256 amount,
+        uint64 expiresAt
     );
+    event OfferWithdrawn(uint256 indexed tokenId, uint256 indexed offerId, address indexed bidder, uint256 amount);
+    event OfferAccepted(
+        uint256 indexed tokenId,
+        uint256 indexed offerId,
+        address indexed seller,
+        address bidder,
+        uint256 amount
+    );
+    event AuctionCreated(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 reserve,
+        uint64 startTime,
+        uint64 endTime
+    );
+    event BidPlaced(uint256 indexed tokenId, address indexed bidder, uint256 amount, uint64 endTime);
+    event AuctionSettled(uint256 indexed tokenId, address indexed seller, address indexed winner, uint256 amount);
+    event AuctionCancelled(uint256 indexed tokenId, address indexed seller, string reason);
     event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
     event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
 
@@ -100,6 +159,7 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         address tokenOwner = cardRegistry.ownerOf(tokenId);
         require(msg.sender == tokenOwner, "Only owner can list");
         require(!listed[tokenId], "Already listed");
+        require(!auctions[tokenId].active, "Card is on auction");
         
         uint256 price = cardRegistry.getPrice(tokenId);
         require(price > 0, "Price must be set");
@@ -125,6 +185,7 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
             msg.sender == tokenOwner || msg.sender == address(cardRegistry),
             "Unauthorized"
         );
+        require(!auctions[tokenId].active, "Card is on auction");
         
         listed[tokenId] = true;
         uint256 price = cardRegistry.getPrice(tokenId);
@@ -143,6 +204,31 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         nonReentrant 
         whenNotPaused 
     {
+        _buy(tokenId, expectedCID);
+    }
+
+    /// @notice Purchase with additional hash verification
+    /// @param tokenId Token to purchase
+    /// @param expectedCID Expected IPFS CID
+    /// @param expectedHash Expected card data hash
+    function buyWithHashVerification(
+        uint256 tokenId,
+        string calldata expectedCID,
+        bytes32 expectedHash
+    ) external payable nonReentrant whenNotPaused {
+        // First verify hash
+        bytes32 actualHash = cardRegistry.getCardHash(tokenId);
+        require(actualHash == expectedHash, "Card hash mismatch");
+
+        // Then proceed with normal purchase
+        // (internal call: an external this.buy() would re-enter nonReentrant
+        //  and make this contract, not the caller, the buyer)
+        _buy(tokenId, expectedCID);
+    }
+
+    /// @dev Shared purchase logic; msg.sender is the buyer and msg.value the payment
+    function _buy(uint256 tokenId, string calldata expectedCID) private {
+        require(!auctions[tokenId].active, "Card is on auction");
         require(listed[tokenId], "Token not listed");
         
         // Get current price and verify payment
@@ -162,50 +248,132 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         require(seller != address(0), "Invalid seller");
         require(seller != msg.sender, "Cannot buy your own card");
 
-        // Calculate platform fee
+        _settleSale(tokenId, seller, msg.sender, price, true);
+    }
+
+    /// @dev Transfer the card, pay fee + seller, record the purchase.
+    ///      Shared by direct purchases, accepted offers and settled auctions. Auctions pass
+    ///      safeTransfer = false so a winning contract without onERC721Received can't block settlement.
+    function _settleSale(uint256 tokenId, address seller, address buyer, uint256 price, bool safeTransfer) private {
+        // Calculate platform fee and the creator royalty
         uint256 platformFee = (price * platformFeeBps) / 10000;
-        uint256 sellerAmount = price - platformFee;
+        (address royaltyReceiver, uint256 royalty) = _royaltyFor(tokenId, seller, price, platformFee);
+        uint256 sellerAmount = price - platformFee - royalty;
 
-        // Transfer token from seller to buyer
+        // Transfer token from seller to buyer, recording the amount paid in its provenance
         // Seller must have approved this marketplace contract
-        cardToken.safeTransferFrom(seller, msg.sender, tokenId);
+        cardRegistry.recordSale(tokenId, price);
+        if (safeTransfer) {
+            cardToken.safeTransferFrom(seller, buyer, tokenId);
+        } else {
+            cardToken.transferFrom(seller, buyer, tokenId);
+        }
 
-        // Distribute funds
+        // Distribute funds; a recipient that rejects ETH can claim it via withdrawRefund
         if (platformFee > 0) {
-            (bool feeSent, ) = payable(feeRecipient).call{value: platformFee}("");
-            require(feeSent, "Platform fee transfer failed");
+            _payOut(feeRecipient, platformFee);
         }
 
-        (bool sellerPaid, ) = payable(seller).call{value: sellerAmount}("");
-        require(sellerPaid, "Seller payment failed");
+        if (royalty > 0) {
+            _payOut(royaltyReceiver, royalty);
+        }
+
+        _payOut(seller, sellerAmount);
 
         // Record purchase history
         purchaseHistory[tokenId].push(Purchase({
-            buyer: msg.sender,
+            buyer: buyer,
             seller: seller,
             price: price,
-            timestamp: uint64(block.timestamp)
+            timestamp: uint64(block.timestamp),
+            royaltyReceiver: royaltyReceiver,
+            royalty: royalty
         }));
 
         // Keep token listed (per requirements - ownership changes, listing remains)
-        emit CardPurchased(tokenId, msg.sender, seller, price, platformFee);
+        emit CardPurchased(tokenId, buyer, seller, price, platformFee, royaltyReceiver, royalty);
     }
 
-    /// @notice Purchase with additional hash verification
-    /// @param tokenId Token to purchase
-    /// @param expectedCID Expected IPFS CID
-    /// @param expectedHash Expected card data hash
-    function buyWithHashVerification(
-        uint256 tokenId,
-        string calldata expectedCID,
-        bytes32 expectedHash
-    ) external payable nonReentrant whenNotPaused {
-        // First verify hash
-        bytes32 actualHash = cardRegistry.getCardHash(tokenId);
-        require(actualHash == expectedHash, "Card hash mismatch");
+    /// @dev EIP-2981 royalty from the registry. Nothing is due when the receiver is the
+    ///      seller (the creator selling its own card), and the royalty never exceeds what
+    ///      is left after the platform fee.
+    function _royaltyFor(uint256 tokenId, address seller, uint256 price, uint256 platformFee)
+        private
+        view
+        returns (address receiver, uint256 royalty)
+    {
+        (address royaltyReceiver, uint256 amount) = cardRegistry.royaltyInfo(tokenId, price);
+        if (royaltyReceiver == address(0) || royaltyReceiver == seller || amount == 0) {
+            return (address(0), 0);
+        }
+        uint256 remaining = price - platformFee;
+        return (royaltyReceiver, amount > remaining ? remaining : amount);
+    }
 
-        // Then proceed with normal purchase
-        this.buy{value: msg.value}(tokenId, expectedCID);
+    // -------------------------
+    // Offers
+    // -------------------------
+    /// @notice Offer msg.value ETH for a card (listed or not); the ETH is escrowed
+    /// @param tokenId Token to bid on
+    /// @param expiresAt Unix time after which the offer can no longer be accepted
+    function makeOffer(uint256 tokenId, uint64 expiresAt)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        returns (uint256 offerId)
+    {
+        require(msg.value > 0, "Offer must be greater than 0");
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+        require(cardRegistry.ownerOf(tokenId) != msg.sender, "Cannot offer on your own card");
+
+        offerId = offers[tokenId].length;
+        offers[tokenId].push(Offer({
+            bidder: msg.sender,
+            amount: msg.value,
+            expiresAt: expiresAt,
+            active: true
+        }));
+        totalEscrowed += msg.value;
+
+        emit OfferMade(tokenId, offerId, msg.sender, msg.value, expiresAt);
+    }
+
+    /// @notice Take back the escrowed ETH of an offer (any time, even when paused or expired)
+    function withdrawOffer(uint256 tokenId, uint256 offerId) external nonReentrant {
+        require(offerId < offers[tokenId].length, "Offer not found");
+        Offer storage offer = offers[tokenId][offerId];
+        require(offer.bidder == msg.sender, "Only bidder can withdraw");
+        require(offer.active, "Offer not active");
+
+        offer.active = false;
+        totalEscrowed -= offer.amount;
+
+        (bool refunded, ) = payable(msg.sender).call{value: offer.amount}("");
+        require(refunded, "Refund failed");
+
+        emit OfferWithdrawn(tokenId, offerId, msg.sender, offer.amount);
+    }
+
+    /// @notice Current owner sells the card to the bidder for the offered amount
+    /// @dev Owner must have approved this marketplace contract, as for buy()
+    function acceptOffer(uint256 tokenId, uint256 offerId) external nonReentrant whenNotPaused {
+        require(offerId < offers[tokenId].length, "Offer not found");
+        Offer storage offer = offers[tokenId][offerId];
+        require(offer.active, "Offer not active");
+        require(offer.expiresAt > block.timestamp, "Offer expired");
+
+        address seller = cardRegistry.ownerOf(tokenId);
+        require(seller == msg.sender, "Only owner can accept offers");
+        require(!auctions[tokenId].active, "Card is on auction");
+        require(offer.bidder != seller, "Bidder already owns this card");
+
+        offer.active = false;
+        totalEscrowed -= offer.amount;
+
+        _settleSale(tokenId, seller, offer.bidder, offer.amount, true);
+
+        emit OfferAccepted(tokenId, offerId, seller, offer.bidder, offer.amount);
     }
 
     // -------------------------
@@ -272,17 +440,171 @@ contract Marketplace is ReentrancyGuard, Pausable, Ownable {
         return listedTokens;
     }
 
+    // -------------------------
+    // Auctions
+    // -------------------------
+    /// @notice Start an English auction; the card must not be listed at a fixed price
+    /// @param reserve Minimum first bid
+    /// @param startTime Bidding opens (use block time or later)
+    /// @param endTime Bidding closes (extended by late bids)
+    function createAuction(uint256 tokenId, uint256 reserve, uint64 startTime, uint64 endTime)
+        external
+        whenNotPaused
+    {
+        require(cardRegistry.ownerOf(tokenId) == msg.sender, "Only owner can auction");
+        require(!auctions[tokenId].active, "Auction already active");
+        require(!listed[tokenId], "Unlist before auctioning");
+        require(reserve > 0, "Reserve must be greater than 0");
+        require(endTime > startTime && endTime > block.timestamp, "Invalid auction times");
+
+        auctions[tokenId] = Auction({
+            seller: msg.sender,
+            reserve: reserve,
+            startTime: startTime,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            active: true
+        });
+
+        emit AuctionCreated(tokenId, msg.sender, reserve, startTime, endTime);
+    }
+
+    /// @notice Bid msg.value; the previous highest bidder is refunded
+    function bid(uint256 tokenId) external payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp >= auction.startTime, "Auction not started");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        require(msg.value >= auction.reserve, "Bid below reserve");
+        require(
+            msg.value >= auction.highestBid + (auction.highestBid * MIN_BID_INCREMENT_BPS) / 10000 &&
+                msg.value > auction.highestBid,
+            "Bid too low"
+        );
+
+        address previousBidder = auction.highestBidder;
+        uint256 previousBid = auction.highestBid;
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = msg.value;
+        totalEscrowed += msg.value;
+
+        // Anti-sniping: a bid in the last window extends the auction
+        if (auction.endTime - block.timestamp < ANTI_SNIPING_WINDOW) {
+            auction.endTime = uint64(block.timestamp) + ANTI_SNIPING_WINDOW;
+        }
+
+        if (previousBidder != address(0)) {
+            _refund(previousBidder, previousBid);
+        }
+
+        emit BidPlaced(tokenId, msg.sender, msg.value, auction.endTime);
+    }
+
+    /// @notice After the end time anyone can settle: winner gets the card, seller the proceeds
+    /// @dev If the seller no longer owns the card or revoked the approval, the bid is refunded instead.
+    ///      Works while paused too, so a winning bid is never locked in escrow.
+    function settleAuction(uint256 tokenId) external nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp >= auction.endTime, "Auction not ended");
+
+        auction.active = false;
+        address seller = auction.seller;
+        address winner = auction.highestBidder;
+        uint256 amount = auction.highestBid;
+
+        if (winner == address(0)) {
+            emit AuctionCancelled(tokenId, seller, "No bids");
+            return;
+        }
+
+        totalEscrowed -= amount;
+
+        bool canTransfer = cardRegistry.ownerOf(tokenId) == seller &&
+            (cardToken.isApprovedForAll(seller, address(this)) || cardToken.getApproved(tokenId) == address(this));
+        if (!canTransfer) {
+            _payOut(winner, amount);
+            emit AuctionCancelled(tokenId, seller, "Seller can no longer transfer the card");
+            return;
+        }
+
+        _settleSale(tokenId, seller, winner, amount, false);
+        emit AuctionSettled(tokenId, seller, winner, amount);
+    }
+
+    /// @notice Seller can cancel before anyone has bid
+    function cancelAuction(uint256 tokenId) external {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(auction.seller == msg.sender, "Only seller can cancel");
+        require(auction.highestBidder == address(0), "Auction has bids");
+
+        auction.active = false;
+        emit AuctionCancelled(tokenId, msg.sender, "Cancelled by seller");
+    }
+
+    /// @notice Claim refunds and sale payouts that could not be sent automatically
+    function withdrawRefund() external nonReentrant {
+        uint256 amount = pendingReturns[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingReturns[msg.sender] = 0;
+        totalEscrowed -= amount;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Refund failed");
+    }
+
+    /// @dev Return escrowed ETH; if the recipient rejects it, keep it claimable via withdrawRefund
+    function _refund(address to, uint256 amount) private {
+        totalEscrowed -= amount;
+        _payOut(to, amount);
+    }
+
+    /// @dev Push a payment; if the recipient rejects it, escrow it in pendingReturns instead of reverting
+    function _payOut(address to, uint256 amount) private {
+        (bool sent, ) = payable(to).call{value: amount, gas: 30000}("");
+        if (!sent) {
+            pendingReturns[to] += amount;
+            totalEscrowed += amount;
+        }
+    }
+
+    /// @notice All offers ever made on a token (check active/expiresAt)
+    function getOffers(uint256 tokenId) external view returns (Offer[] memory) {
+        return offers[tokenId];
+    }
+
+    /// @notice A single offer
+    function getOffer(uint256 tokenId, uint256 offerId) external view returns (Offer memory) {
+        require(offerId < offers[tokenId].length, "Offer not found");
+        return offers[tokenId][offerId];
+    }
+
     /// @notice Calculate platform fee for a given price
     function calculatePlatformFee(uint256 price) external view returns (uint256) {
         return (price * platformFeeBps) / 10000;
     }
 
+    /// @notice Royalty a sale of the token at this price would pay, given its current owner
+    function calculateRoyalty(uint256 tokenId, uint256 price)
+        external
+        view
+        returns (address receiver, uint256 royalty)
+    {
+        return _royaltyFor(tokenId, cardRegistry.ownerOf(tokenId), price, (price * platformFeeBps) / 10000);
+    }
+
     // -------------------------
     // Emergency Functions
     // -------------------------
     /// @notice Withdraw stuck ETH (emergency only)
+    /// @dev Escrowed offer funds belong to bidders and are never withdrawn here
     function emergencyWithdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
+        uint256 balance = address(this).balance - totalEscrowed;
         require(balance > 0, "No balance");
         
         (bool success, ) = payable(owner()).call{value: balance}("");
@@ -0,0 +1,99 @@
+// === Auction guard test (Chg A29) ===
+// Compiles the contracts, deploys them on an in-process Ganache chain and checks that a
+// card on a running auction can't be put on fixed-price sale or bought out from under
+// the bidders.
+//
+//   node tests/auction.test.js
+//
+// Needs Node 18+, solc 0.8.20+, ganache 7, web3 1.x and OpenZeppelin Contracts 5:
+// npm install solc@0.8.20 ganache@7 web3@1.10.0 @openzeppelin/contracts@5
+// Exits with code 1 when a check fails.
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const ganache = require('ganache');
+const Web3 = require('web3');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCES = ['cardRegistry.sol', 'marketplace.sol'];
+
+// The sources import ReentrancyGuard and Pausable from security/, which Contracts 5 keeps in utils/
+function findImports(importPath) {
+    const resolved = importPath.replace(/^@openzeppelin\/contracts\/security\//, '@openzeppelin/contracts/utils/');
+    try {
+        return { contents: fs.readFileSync(require.resolve(resolved), 'utf8') };
+    } catch (e) {
+        return { error: 'Not found: ' + importPath };
+    }
+}
+
+function compile() {
+    const sources = Object.fromEntries(SOURCES.map(file => [file, { content: fs.readFileSync(path.join(ROOT, file), 'utf8') }]));
+    const input = {
+        language: 'Solidity',
+        sources,
+        // Same settings as the deployment instructions; unoptimized, both contracts exceed 24 KB
+        settings: { optimizer: { enabled: true, runs: 200 }, outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length) throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    return output.contracts;
+}
+
+// The revert reason of a call (a sent transaction's error carries only the receipt), or null if it succeeds
+async function revertReason(method, from, value) {
+    try {
+        await method.call({ from, value });
+        return null;
+    } catch (error) {
+        const match = /revert (.*)/.exec(error.message);
+        return match ? match[1].split('\n')[0].trim() : error.message;
+    }
+}
+
+async function run() {
+    const contracts = compile();
+    const web3 = new Web3(ganache.provider({ logging: { quiet: true } }));
+    const [owner, seller, bidder, buyer] = await web3.eth.getAccounts();
+    const deploy = ({ abi, evm }, args) => new web3.eth.Contract(abi)
+        .deploy({ data: '0x' + evm.bytecode.object, arguments: args })
+        .send({ from: owner, gas: 8000000 });
+    const send = (method, from, value) => method.send({ from, value, gas: 1000000 });
+    const ether = amount => web3.utils.toWei(amount, 'ether');
+
+    const registry = await deploy(contracts['cardRegistry.sol'].CardRegistry, ['Pokemon Cards', 'PKMN']);
+    const marketplace = await deploy(contracts['marketplace.sol'].Marketplace, [registry.options.address]);
+    await send(registry.methods.setMarketplace(marketplace.options.address), owner);
+    await send(registry.methods.setApprovalForAll(marketplace.options.address, true), seller);
+    await send(registry.methods.createCard(seller, 'Pikachu', 'QmPikachu', ether('1')), owner);
+
+    const now = Number((await web3.eth.getBlock('latest')).timestamp);
+    await send(marketplace.methods.createAuction(1, ether('1'), now, now + 3600), seller);
+    await send(marketplace.methods.bid(1), bidder, ether('1'));
+
+    const results = [];
+    const expectRevert = async (label, method, from, value, reason) => {
+        const actual = await revertReason(method, from, value);
+        results.push({ ok: actual === reason, message: `${label}: ${actual === null ? 'went through' : 'reverted "' + actual + '"'}` });
+    };
+
+    await expectRevert('autoList during the auction', marketplace.methods.autoList(1), seller, undefined, 'Card is on auction');
+    await expectRevert('list during the auction', marketplace.methods.list(1), seller, undefined, 'Card is on auction');
+    await expectRevert('buy during the auction', marketplace.methods.buy(1, 'QmPikachu'), buyer, ether('1'), 'Card is on auction');
+
+    const auction = await marketplace.methods.auctions(1).call();
+    results.push({ ok: auction.active && auction.highestBidder === bidder, message: 'auction still running with the bid' });
+    results.push({ ok: (await registry.methods.ownerOf(1).call()) === seller, message: 'seller still owns the card' });
+
+    results.forEach(r => console.log((r.ok ? '✅ ' : '❌ ') + r.message));
+    const failed = results.filter(r => !r.ok).length;
+    console.log(`${results.length - failed} / ${results.length} checks passed`);
+    if (failed) process.exitCode = 1;
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,240 @@
+// === Rendering test (Chg A31) ===
+// Hostile card names and CIDs rendered through the real view builders of index.js in a
+// jsdom page; the checks confirm no markup, handler or URL escaped from the data.
+// The full views (card page, owner page, grading queue, history modal, watchlist) run
+// against an in-memory card index that replaces the IndexedDB one.
+//
+//   node tests/rendering.test.js
+//
+// Needs Node 18+, jsdom and web3 1.x: npm install jsdom web3@1.10.0
+// Exits with code 1 when a check fails.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const Web3 = require('web3');
+
+const ROOT = path.join(__dirname, '..');
+
+const HOSTILE_NAMES = [
+    '<img src=x onerror="alert(\'name\')">',
+    '"><script>alert(1)</script>',
+    "' onmouseover='alert(1)' x='",
+    '</h3><button onclick="alert(1)">Free card</button>',
+    '${alert(1)} `backtick` {{constructor}}',
+    'Charizard & "Friends" <3',
+    'javascript:alert(1)'
+];
+
+const HOSTILE_CIDS = [
+    'Qm"><img src=x onerror=alert(1)>',
+    "bafy' onerror='alert(1)",
+    '../../api/v0/shutdown',
+    'Qm?x=<svg onload=alert(1)>#frag',
+    'javascript:alert(1)'
+];
+
+const TEST_ADDRESS = '0x1111111111111111111111111111111111111111';
+const VIEWER_ADDRESS = '0x3333333333333333333333333333333333333333'; // connected account, not the owner
+const TX_HASH = '0x' + '0'.repeat(64);
+
+function hostileCardFixture(name, cid, index) {
+    return {
+        tokenId: 900000 + index,
+        name,
+        metadataCID: cid,
+        grade: '<b onclick="alert(1)">10</b>',
+        graded: index % 2 === 0,
+        price: '1000000000000000000',
+        createdAt: 1700000000,
+        owner: TEST_ADDRESS,
+        isListed: false, // listed tiles would ask the contract about approvals
+        purchaseCount: 0,
+        inQueue: false,
+        gradingRequest: null,
+        auction: {
+            seller: TEST_ADDRESS, reserve: '1000', startTime: 1700000000, endTime: 1700086400,
+            highestBid: '0', highestBidder: null, bidCount: 0, active: true
+        }
+    };
+}
+
+// index.html without its <script> tags, with cardClient.js and index.js evaluated in the page
+function loadApp() {
+    const markup = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+    // The page's own logging (metadata it can't fetch offline) is dropped
+    const dom = new JSDOM(markup, { runScripts: 'outside-only', url: 'http://localhost/', virtualConsole: new VirtualConsole() });
+    // Run as classic scripts (not eval) so their top-level let/const are shared like in the browser
+    const context = dom.getInternalVMContext();
+    const runScript = (code, filename) => new vm.Script(code, { filename }).runInContext(context);
+    dom.window.Web3 = Web3;
+    dom.window.fetch = () => Promise.reject(new Error('no network in tests')); // tiles hydrate images from IPFS
+    for (const file of ['cardClient.js', 'index.js']) runScript(fs.readFileSync(path.join(ROOT, file), 'utf8'), file);
+    dom.window.onload = null; // no node to connect to; the views only need web3 for formatting
+    runScript('web3 = new Web3("http://127.0.0.1:8545")', 'setup');
+    return dom.window;
+}
+
+// Connected contracts and an in-memory card index (window.testIndex) in place of the chain and IndexedDB
+function stubChainAndIndex(window) {
+    window.testIndex = { cards: [], events: [], queue: [] };
+    window.eval(`
+        const contract = address => ({ options: { address } });
+        const call = value => () => ({ call: async () => value });
+        currentChainId = 1337;
+        currentAccount = ${JSON.stringify(VIEWER_ADDRESS)};
+        cardRegistry = contract('0x000000000000000000000000000000000000c001');
+        marketplace = contract('0x000000000000000000000000000000000000c002');
+        graderContract = {
+            ...contract('0x000000000000000000000000000000000000c003'),
+            methods: {
+                queueLength: () => ({ call: async () => String(testIndex.queue.length) }),
+                totalProcessed: call('0'),
+                getPendingQueue: () => ({ call: async () => testIndex.queue.map(String) })
+            }
+        };
+        isCurrentGrader = true;
+        syncCardIndex = async () => [];
+        getIndexedCards = async () => testIndex.cards;
+        getIndexedCard = async tokenId => testIndex.cards.find(card => card.tokenId === Number(tokenId)) || null;
+        getIndexedEvents = async tokenId => testIndex.events.filter(ev => ev.tokenId === Number(tokenId));
+        getIndexedEventsByName = async name => testIndex.events.filter(ev => ev.event === name);
+    `);
+}
+
+// Problems found in one rendered view ([] = intact)
+function inspectRenderedView(window, root, expectedText) {
+    const problems = [];
+    root.querySelectorAll('*').forEach(el => {
+        const tag = el.tagName.toLowerCase();
+        if (['script', 'iframe', 'object', 'embed', 'svg', 'style'].includes(tag)) problems.push(`<${tag}> element`);
+        if (tag === 'img' && !el.hasAttribute('data-card-image')) problems.push('injected <img>');
+        Array.from(el.attributes).forEach(attr => {
+            if (/^on/i.test(attr.name)) problems.push(`${attr.name} attribute on <${tag}>`);
+        });
+        if (el.dataset.action && !window.eval(`Object.prototype.hasOwnProperty.call(UI_ACTIONS, ${JSON.stringify(el.dataset.action)})`)) {
+            problems.push(`unknown action "${el.dataset.action}"`);
+        }
+        if (tag === 'a' && !(el.getAttribute('href') || '').startsWith('#/')) problems.push(`link to "${el.getAttribute('href')}"`);
+    });
+    if (expectedText && !root.textContent.includes(expectedText)) problems.push('name not shown as text');
+    return problems;
+}
+
+// Buttons that must still call the right action for the token ([] = intact)
+function missingActions(root, tokenId, names) {
+    return names.filter(name => !Array.from(root.querySelectorAll('[data-action]')).some(el =>
+        el.dataset.action === name && String(JSON.parse(el.dataset.args)[0]) === String(tokenId) // queue IDs come back as strings
+    )).map(name => `no ${name}(${tokenId}) button`);
+}
+
+async function run() {
+    const window = loadApp();
+    const app = name => window.eval(name); // top-level functions of index.js
+    const results = [];
+    const check = (label, root, expectedText, tokenId, actions = []) => {
+        const problems = [...inspectRenderedView(window, root, expectedText), ...missingActions(root, tokenId, actions)];
+        results.push({ ok: problems.length === 0, message: label + (problems.length ? ': ' + problems.join(', ') : '') });
+    };
+    const fromHtml = markup => {
+        const div = window.document.createElement('div');
+        div.innerHTML = markup;
+        return div;
+    };
+    const html = app('html');
+
+    HOSTILE_NAMES.forEach((name, i) => {
+        const card = hostileCardFixture(name, HOSTILE_CIDS[i % HOSTILE_CIDS.length], i);
+        const label = `Name ${i + 1} (${name.substring(0, 24)})`;
+        const events = [{
+            event: 'CardCreated', values: { creator: TEST_ADDRESS, price: card.price, metadataCID: card.metadataCID, name },
+            timestamp: card.createdAt, blockNumber: 1, transactionHash: '0x' + '0'.repeat(64)
+        }];
+        const timeline = events.map(ev => ({ ...ev, ...app('describeProvenanceEvent')(ev) }));
+        const offer = { tokenId: card.tokenId, offerId: 0, bidder: TEST_ADDRESS, amount: '1', expiresAt: 1700000000, status: 'active' };
+
+        check(label + ' - market tile', app('buildMarketCard')(card.tokenId, card, card.owner), name);
+        check(label + ' - collection tile', app('buildCollectionCard')(card), name);
+        check(label + ' - auction block', fromHtml(app('auctionBlockHtml')(card.tokenId, card)));
+        check(label + ' - offer row', fromHtml(`<table>${app('offerRow')(offer, card, '')}</table>`), name);
+        check(label + ' - provenance', fromHtml(html`${app('renderProvenanceItems')(timeline)}`), card.metadataCID);
+        check(label + ' - check list', fromHtml(app('renderCheckList')([{ ok: false, message: `Metadata name "${name}" differs` }])), name);
+    });
+
+    // Whole views, each card on its own in the stubbed index
+    stubChainAndIndex(window);
+    const byId = id => window.document.getElementById(id);
+    const watchKey = app('watchStateKey')();
+
+    for (const [i, name] of HOSTILE_NAMES.entries()) {
+        const card = { ...hostileCardFixture(name, HOSTILE_CIDS[i % HOSTILE_CIDS.length], i), inQueue: true, graded: false };
+        card.gradingRequest = { requester: TEST_ADDRESS, requestTime: '1700000000' };
+        const tokenId = card.tokenId;
+        const label = `Name ${i + 1} (${name.substring(0, 24)})`;
+        const event = (eventName, values, blockNumber) =>
+            ({ tokenId, event: eventName, values, timestamp: card.createdAt, blockNumber, logIndex: 0, transactionHash: TX_HASH });
+        window.testIndex = {
+            cards: [card],
+            events: [
+                event('CardCreated', { creator: TEST_ADDRESS, price: card.price, metadataCID: card.metadataCID, name }, 1),
+                event('AuctionCreated', { seller: TEST_ADDRESS, reserve: '1000', startTime: 1700000000, endTime: 1700086400 }, 2),
+                event('BidPlaced', { bidder: VIEWER_ADDRESS, amount: '2000' }, 3),
+                event('OfferMade', { offerId: '0', bidder: VIEWER_ADDRESS, amount: '1', expiresAt: '4000000000' }, 4),
+                event('Enqueued', { requester: TEST_ADDRESS, queuePosition: '1' }, 5)
+            ],
+            queue: [tokenId]
+        };
+        window.localStorage.setItem('pokemonCardWatchlists', JSON.stringify({
+            [watchKey]: {
+                cards: [tokenId],
+                searches: [{ id: 's' + i, name, filters: { q: name }, matching: [tokenId] }],
+                inbox: [{ tokenId, title: name, message: `${name} listed for "${card.metadataCID}"`, at: Date.now(), blockNumber: 6, read: false }],
+                lastAlertBlock: 6
+            }
+        }));
+
+        window.eval(`currentRoute = { page: 'card', params: ['${tokenId}'] }`);
+        await app('renderCardDetail')(tokenId);
+        check(label + ' - card page', byId('cardDetail'), name, tokenId, ['makeOffer', 'verifyCard', 'toggleWatch', 'withdrawOffer',
+            'exportProvenanceJSON', 'exportProvenanceCSV', 'printProvenanceCertificate']);
+
+        window.eval(`currentRoute = { page: 'owner', params: ['${TEST_ADDRESS}'] }`);
+        await app('renderOwnerView')(TEST_ADDRESS);
+        check(label + ' - owner page', byId('ownerCards'), name, tokenId, ['makeOffer']);
+
+        await app('loadQueue')();
+        check(label + ' - grading queue', byId('queueList'), name, tokenId, ['openGradingForm', 'toggleWatch']);
+
+        await app('viewHistory')(tokenId);
+        check(label + ' - history modal', byId('modalContent'), name, tokenId,
+            ['exportProvenanceJSON', 'exportProvenanceCSV', 'printProvenanceCertificate']);
+
+        await app('loadWatchlistPage')();
+        check(label + ' - watchlist inbox', byId('alertInbox'), name);
+        check(label + ' - watched cards', byId('watchedCards'), name, tokenId, ['toggleWatch']);
+        check(label + ' - saved searches', byId('searchAlerts'), name, 's' + i, ['deleteSearchAlert']);
+    }
+    window.eval('clearInterval(countdownTimer)'); // started by the auction on the card page
+
+    // CIDs become gateway URLs: they must stay inside /ipfs/ with no query or fragment
+    HOSTILE_CIDS.forEach((cid, i) => {
+        const url = app('cidToImageUrl')(cid);
+        let ok = false;
+        try {
+            const parsed = new URL(url);
+            ok = parsed.pathname.startsWith('/ipfs/') && !parsed.search && !parsed.hash && !parsed.pathname.includes('/../');
+        } catch (e) { /* unparsable counts as a failure */ }
+        results.push({ ok, message: `CID ${i + 1} (${cid.substring(0, 24)}) → ${url}` });
+    });
+
+    results.forEach(r => console.log((r.ok ? '✅ ' : '❌ ') + r.message));
+    const failed = results.filter(r => !r.ok).length;
+    console.log(`${results.length - failed} / ${results.length} checks passed`);
+    if (failed) process.exitCode = 1;
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});